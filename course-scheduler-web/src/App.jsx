@@ -7,13 +7,49 @@ import 'react-toastify/dist/ReactToastify.css';
 import './App.css';
 import LogoDark from './assets/logo_icon_dark.svg';
 import LogoLight from './assets/logo_icon_light.svg';
+import AvailabilityChanges from './components/AvailabilityChanges';
+import BuildingMap from './components/BuildingMap';
 import ConfirmDialog from './components/ConfirmDialog';
 import CourseTable from './components/CourseTable';
+import ImportReviewDialog from './components/ImportReviewDialog';
 import RawDataInput from './components/RawDataInput';
 import TimeFilter from './components/TimeFilter';
+import ScheduleComparison from './components/ScheduleComparison';
+import ScoringProfile from './components/ScoringProfile';
+import SectionLinks from './components/SectionLinks';
+import SubjectPriorities from './components/SubjectPriorities';
 import TimetableView from './components/TimetableView';
-import { parseRawCourseData } from './utils/parseRawData';
+import UnscheduledSubjectsReport from './components/UnscheduledSubjectsReport';
+import {
+  BLOCK_PREFERENCES,
+  checkTimeOverlap,
+  DAY_CODES,
+  DEFAULT_OPTIMAL_TIME_LIMIT_SECONDS,
+  DEFAULT_RESULT_LIMIT,
+  describeBreakViolation,
+  formatSectionLabel,
+  getCourseKey,
+  groupCoursesBySubject,
+  inferSubjectLinks,
+  isScheduleConflictFree,
+  MAX_RESULT_LIMIT,
+  MAX_SEED,
+  MODALITY_FILTERS,
+  normalizeBuildingMap,
+  normalizeModalityPreferences,
+  normalizeResultLimit,
+  normalizeScoringProfile,
+  normalizeSeed,
+  normalizeSubjectLinks,
+  passesCourseFilters,
+  PREFERRED_BLOCK_WEIGHT,
+  SEARCH_MODES,
+  SECTION_TYPE_SUFFIXES,
+} from './scheduler';
+import { getImportAdapters, normalizeColumnMapping, parseCourseImport, suggestColumnMapping } from './utils/importAdapters';
+import { mergeImportedCourses, summarizeAvailabilityChanges } from './utils/mergeImportedCourses';
 import { parseSchedule } from './utils/parseSchedule';
+import { createScheduleWorkerClient } from './utils/scheduleWorkerClient';
 
 const LOCAL_STORAGE_KEYS = {
   COURSES: 'courseBuilder_allCourses',
@@ -25,19 +61,42 @@ const LOCAL_STORAGE_KEYS = {
   SECTION_TYPES: 'courseBuilder_selectedSectionTypes',
   STATUS_FILTER: 'courseBuilder_selectedStatusFilter',
   MAX_UNITS: 'courseBuilder_maxUnits',
+  MIN_UNITS: 'courseBuilder_minUnits',
   MAX_CLASS_GAP_HOURS: 'courseBuilder_maxClassGapHours',
+  MAX_HOURS_PER_DAY: 'courseBuilder_maxHoursPerDay',
+  MAX_CONSECUTIVE_HOURS: 'courseBuilder_maxConsecutiveHours',
   PREFERRED_TIME_OF_DAY: 'courseBuilder_preferredTimeOfDay',
   SCHEDULE_SEARCH_MODE: 'courseBuilder_scheduleSearchMode',
   MINIMIZE_DAYS_ON_CAMPUS: 'courseBuilder_minimizeDaysOnCampus',
+  RESULT_LIMIT: 'courseBuilder_resultLimit',
+  SUBJECT_PRIORITIES: 'courseBuilder_subjectPriorities',
+  KEEP_LOCKED_COURSES: 'courseBuilder_keepLockedCourses',
+  SUBJECT_LINKS: 'courseBuilder_subjectLinks',
+  BLOCK_PREFERENCE: 'courseBuilder_blockPreference',
+  OPTIMAL_TIME_LIMIT: 'courseBuilder_optimalTimeLimitSeconds',
+  SEARCH_SEED: 'courseBuilder_searchSeed',
+  SCORING_PROFILE: 'courseBuilder_scoringProfile',
+  DAY_TIME_BOUNDS: 'courseBuilder_dayTimeBounds',
+  LUNCH_BREAK: 'courseBuilder_lunchBreak',
+  MIN_TRANSITION_MINUTES: 'courseBuilder_minTransitionMinutes',
+  BUILDING_MAP: 'courseBuilder_buildingMap',
+  MODALITY_FILTER: 'courseBuilder_modalityFilter',
+  MODALITY_PREFERENCES: 'courseBuilder_modalityPreferences',
+  IMPORT_FORMAT: 'courseBuilder_importFormat',
+  COLUMN_MAPPING: 'courseBuilder_columnMapping',
 };
 
 const ALLOWED_GROUPING_KEYS = ['none', 'offeringDept', 'subject'];
-const SECTION_TYPE_SUFFIXES = ['AP3', 'AP4', 'AP5'];
 const ALLOWED_STATUS_FILTERS = ['all', 'open', 'closed'];
+const MODALITY_FILTER_LABELS = { any: 'Hybrid Allowed (Any)', 'face-to-face': 'Face-to-Face Only', online: 'Online Only' };
 const ALLOWED_PREFERRED_TIMES = ['any', 'morning', 'afternoon', 'evening'];
 const DEFAULT_PREFERRED_TIMES_ORDER = ['morning', 'afternoon', 'evening', 'any'];
-const ALLOWED_SEARCH_MODES = ['fast', 'exhaustive', 'partial'];
-const SMALL_N_THRESHOLD_PARTIAL = 12;
+const MAX_OPTIMAL_TIME_LIMIT_SECONDS = 300;
+const DEFAULT_LUNCH_BREAK = { minutes: 0, start: '11:00', end: '14:00' };
+const LUNCH_BREAK_MINUTES = [30, 45, 60, 90];
+const LUNCH_WINDOW_TIMES = ['10:00', '10:30', '11:00', '11:30', '12:00', '12:30', '13:00', '13:30', '14:00', '14:30', '15:00'];
+const TRANSITION_MINUTES = [10, 15, 20, 30, 45, 60];
+const ALLOWED_SEARCH_MODES = SEARCH_MODES;
 
 const loadFromLocalStorage = (key, defaultValue) => {
   if (typeof window === 'undefined' || !window.localStorage) {
@@ -69,6 +128,15 @@ const loadFromLocalStorage = (key, defaultValue) => {
     if (key === LOCAL_STORAGE_KEYS.STATUS_FILTER) {
       return ALLOWED_STATUS_FILTERS.includes(parsed) ? parsed : defaultValue;
     }
+    if (key === LOCAL_STORAGE_KEYS.MODALITY_FILTER) {
+      return MODALITY_FILTERS.includes(parsed) ? parsed : defaultValue;
+    }
+    if (key === LOCAL_STORAGE_KEYS.IMPORT_FORMAT) {
+      return parsed === 'auto' || getImportAdapters().some(adapter => adapter.id === parsed) ? parsed : defaultValue;
+    }
+    if (key === LOCAL_STORAGE_KEYS.COLUMN_MAPPING) {
+      return normalizeColumnMapping(parsed);
+    }
     if (key === LOCAL_STORAGE_KEYS.COURSES) {
       return Array.isArray(parsed) ? parsed : defaultValue;
     }
@@ -78,21 +146,71 @@ const loadFromLocalStorage = (key, defaultValue) => {
     if (key === LOCAL_STORAGE_KEYS.EXCLUDED_RANGES) {
       return Array.isArray(parsed) && parsed.every(item => typeof item === 'object' && item !== null && 'id' in item && 'start' in item && 'end' in item) ? parsed : defaultValue;
     }
-    if (key === LOCAL_STORAGE_KEYS.MAX_UNITS) {
+    if (key === LOCAL_STORAGE_KEYS.DAY_TIME_BOUNDS) {
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) &&
+        Object.values(parsed).every(item => typeof item === 'object' && item !== null)
+        ? parsed
+        : defaultValue;
+    }
+    if (key === LOCAL_STORAGE_KEYS.LUNCH_BREAK) {
+      return parsed && typeof parsed.minutes === 'number' && typeof parsed.start === 'string' && typeof parsed.end === 'string'
+        ? parsed
+        : defaultValue;
+    }
+    if (key === LOCAL_STORAGE_KEYS.MIN_TRANSITION_MINUTES) {
+      return typeof parsed === 'number' && parsed >= 0 ? parsed : defaultValue;
+    }
+    if (key === LOCAL_STORAGE_KEYS.MAX_UNITS || key === LOCAL_STORAGE_KEYS.MIN_UNITS) {
       return typeof parsed === 'string' ? parsed : defaultValue;
     }
     if (key === LOCAL_STORAGE_KEYS.MAX_CLASS_GAP_HOURS) {
       return typeof parsed === 'string' ? parsed : defaultValue;
     }
+    if (key === LOCAL_STORAGE_KEYS.MAX_HOURS_PER_DAY || key === LOCAL_STORAGE_KEYS.MAX_CONSECUTIVE_HOURS) {
+      return typeof parsed === 'string' ? parsed : defaultValue;
+    }
+    if (key === LOCAL_STORAGE_KEYS.SEARCH_SEED) {
+      return typeof parsed === 'string' ? parsed : defaultValue;
+    }
     if (key === LOCAL_STORAGE_KEYS.PREFERRED_TIME_OF_DAY) {
       return ALLOWED_PREFERRED_TIMES.includes(parsed) ? parsed : defaultValue;
     }
     if (key === LOCAL_STORAGE_KEYS.SCHEDULE_SEARCH_MODE) {
       return ALLOWED_SEARCH_MODES.includes(parsed) ? parsed : 'partial';
     }
-    if (key === LOCAL_STORAGE_KEYS.MINIMIZE_DAYS_ON_CAMPUS) {
+    if (key === LOCAL_STORAGE_KEYS.MINIMIZE_DAYS_ON_CAMPUS || key === LOCAL_STORAGE_KEYS.KEEP_LOCKED_COURSES) {
       return typeof parsed === 'boolean' ? parsed : defaultValue;
     }
+    if (key === LOCAL_STORAGE_KEYS.RESULT_LIMIT) {
+      return typeof parsed === 'number' ? normalizeResultLimit(parsed) : defaultValue;
+    }
+    if (key === LOCAL_STORAGE_KEYS.SUBJECT_LINKS) {
+      return parsed === null || (Array.isArray(parsed) &&
+        parsed.every(item => item && typeof item.lectureSubject === 'string' && typeof item.labSubject === 'string'))
+        ? parsed
+        : defaultValue;
+    }
+    if (key === LOCAL_STORAGE_KEYS.BLOCK_PREFERENCE) {
+      return BLOCK_PREFERENCES.includes(parsed) ? parsed : defaultValue;
+    }
+    if (key === LOCAL_STORAGE_KEYS.OPTIMAL_TIME_LIMIT) {
+      return typeof parsed === 'number' && parsed >= 1 && parsed <= MAX_OPTIMAL_TIME_LIMIT_SECONDS ? parsed : defaultValue;
+    }
+    if (key === LOCAL_STORAGE_KEYS.SCORING_PROFILE) {
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? normalizeScoringProfile(parsed) : defaultValue;
+    }
+    if (key === LOCAL_STORAGE_KEYS.BUILDING_MAP) {
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? normalizeBuildingMap(parsed) : defaultValue;
+    }
+    if (key === LOCAL_STORAGE_KEYS.MODALITY_PREFERENCES) {
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? normalizeModalityPreferences(parsed) : defaultValue;
+    }
+    if (key === LOCAL_STORAGE_KEYS.SUBJECT_PRIORITIES) {
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) &&
+        Object.values(parsed).every(item => typeof item === 'object' && item !== null)
+        ? parsed
+        : defaultValue;
+    }
     return parsed;
   } catch (e) {
     console.error(`Failed to parse ${key} from localStorage:`, e);
@@ -101,447 +219,48 @@ const loadFromLocalStorage = (key, defaultValue) => {
     if (key === LOCAL_STORAGE_KEYS.THEME_PALETTE) return { light: 'original', dark: 'original' };
     if (key === LOCAL_STORAGE_KEYS.SECTION_TYPES) return [];
     if (key === LOCAL_STORAGE_KEYS.STATUS_FILTER) return 'open';
+    if (key === LOCAL_STORAGE_KEYS.MODALITY_FILTER) return 'any';
+    if (key === LOCAL_STORAGE_KEYS.IMPORT_FORMAT) return 'auto';
+    if (key === LOCAL_STORAGE_KEYS.COLUMN_MAPPING) return null;
     if (key === LOCAL_STORAGE_KEYS.COURSES) return [];
     if (key === LOCAL_STORAGE_KEYS.EXCLUDED_DAYS) return [];
-    if (key === LOCAL_STORAGE_KEYS.EXCLUDED_RANGES) return [{ id: Date.now(), start: '', end: '' }];
+    if (key === LOCAL_STORAGE_KEYS.EXCLUDED_RANGES) return [{ id: Date.now(), start: '', end: '', days: [...DAY_CODES] }];
+    if (key === LOCAL_STORAGE_KEYS.DAY_TIME_BOUNDS) return {};
     if (key === LOCAL_STORAGE_KEYS.MAX_UNITS) return '';
+    if (key === LOCAL_STORAGE_KEYS.MIN_UNITS) return '';
     if (key === LOCAL_STORAGE_KEYS.MAX_CLASS_GAP_HOURS) return '';
+    if (key === LOCAL_STORAGE_KEYS.MAX_HOURS_PER_DAY) return '';
+    if (key === LOCAL_STORAGE_KEYS.MAX_CONSECUTIVE_HOURS) return '';
+    if (key === LOCAL_STORAGE_KEYS.LUNCH_BREAK) return { ...DEFAULT_LUNCH_BREAK };
+    if (key === LOCAL_STORAGE_KEYS.MIN_TRANSITION_MINUTES) return 0;
     if (key === LOCAL_STORAGE_KEYS.PREFERRED_TIME_OF_DAY) return 'any';
     if (key === LOCAL_STORAGE_KEYS.SCHEDULE_SEARCH_MODE) return 'partial';
     if (key === LOCAL_STORAGE_KEYS.MINIMIZE_DAYS_ON_CAMPUS) return false;
+    if (key === LOCAL_STORAGE_KEYS.RESULT_LIMIT) return DEFAULT_RESULT_LIMIT;
+    if (key === LOCAL_STORAGE_KEYS.SUBJECT_PRIORITIES) return {};
+    if (key === LOCAL_STORAGE_KEYS.KEEP_LOCKED_COURSES) return false;
+    if (key === LOCAL_STORAGE_KEYS.SUBJECT_LINKS) return null;
+    if (key === LOCAL_STORAGE_KEYS.BLOCK_PREFERENCE) return 'off';
+    if (key === LOCAL_STORAGE_KEYS.OPTIMAL_TIME_LIMIT) return DEFAULT_OPTIMAL_TIME_LIMIT_SECONDS;
+    if (key === LOCAL_STORAGE_KEYS.SEARCH_SEED) return '';
+    if (key === LOCAL_STORAGE_KEYS.SCORING_PROFILE) return normalizeScoringProfile();
+    if (key === LOCAL_STORAGE_KEYS.BUILDING_MAP) return normalizeBuildingMap();
+    if (key === LOCAL_STORAGE_KEYS.MODALITY_PREFERENCES) return {};
     return defaultValue;
   }
 };
 
-const getSectionTypeSuffix = (sectionString) => {
-  if (typeof sectionString !== 'string') return null;
-  const parts = sectionString.split('-');
-  const lastPart = parts[parts.length - 1];
-  return SECTION_TYPE_SUFFIXES.includes(lastPart) ? lastPart : null;
-};
-
-function checkTimeOverlap(start1, end1, start2, end2) {
-  const timeRegex = /^\d{2}:\d{2}$/;
-  if (!timeRegex.test(start1) || !timeRegex.test(end1) || !timeRegex.test(start2) || !timeRegex.test(end2)) {
-    return false;
-  }
-  return start1 < end2 && end1 > start2;
-}
-
-function isScheduleConflictFree(scheduleToTest, parseFn, overlapFn) {
-  if (!scheduleToTest || scheduleToTest.length <= 1) {
-    return true;
-  }
-  for (let i = 0; i < scheduleToTest.length; i++) {
-    for (let j = i + 1; j < scheduleToTest.length; j++) {
-      const course1 = scheduleToTest[i];
-      const course2 = scheduleToTest[j];
-      const schedule1Result = parseFn(course1.schedule);
-      const schedule2Result = parseFn(course2.schedule);
-
-      if (!schedule1Result || schedule1Result.isTBA || !schedule1Result.allTimeSlots || schedule1Result.allTimeSlots.length === 0 ||
-        !schedule2Result || schedule2Result.isTBA || !schedule2Result.allTimeSlots || schedule2Result.allTimeSlots.length === 0) {
-        continue;
-      }
-
-      for (const slot1 of schedule1Result.allTimeSlots) {
-        for (const slot2 of schedule2Result.allTimeSlots) {
-          const commonDays = slot1.days.filter(day => slot2.days.includes(day));
-          if (commonDays.length > 0) {
-            if (slot1.startTime && slot1.endTime && slot2.startTime && slot2.endTime) {
-              if (overlapFn(slot1.startTime, slot1.endTime, slot2.startTime, slot2.endTime)) {
-                return false;
-              }
-            }
-          }
-        }
-      }
-    }
-  }
-  return true;
-}
-
-function getTimeOfDayBucket(time) {
-  if (!time) return 'any';
-  const [h] = time.split(':').map(Number);
-  if (h < 12) return 'morning';
-  if (h < 17) return 'afternoon';
-  if (h >= 17) return 'evening';
-  return 'any';
-}
-
-function scoreScheduleByTimePreference(schedule, prefOrder) {
-  if (!Array.isArray(prefOrder) || prefOrder.length === 0) return 0;
-  let score = 0;
-  for (const course of schedule) {
-    const parsed = parseSchedule(course.schedule);
-    if (!parsed || parsed.isTBA || !parsed.allTimeSlots || parsed.allTimeSlots.length === 0) continue;
-    let bestIdx = prefOrder.length;
-    for (const slot of parsed.allTimeSlots) {
-      const bucket = getTimeOfDayBucket(slot.startTime);
-      const idx = prefOrder.indexOf(bucket);
-      if (idx !== -1 && idx < bestIdx) bestIdx = idx;
-    }
-    score += bestIdx;
-  }
-  return score;
-}
-
-function exceedsMaxUnits(schedule, maxUnits) {
-  if (!maxUnits) return false;
-  const totalUnits = schedule.reduce((sum, course) => {
-    const units = parseFloat(course.creditedUnits || course.units);
-    return isNaN(units) ? sum : sum + units;
-  }, 0);
-  return totalUnits > parseFloat(maxUnits);
-}
-
-function exceedsMaxGap(schedule, maxGapHours) {
-  if (!maxGapHours) return false;
-  const daySlots = {};
-  for (const course of schedule) {
-    const parsed = parseSchedule(course.schedule);
-    if (!parsed || parsed.isTBA || !parsed.allTimeSlots) continue;
-    for (const slot of parsed.allTimeSlots) {
-      for (const day of slot.days) {
-        if (!daySlots[day]) daySlots[day] = [];
-        daySlots[day].push({ start: slot.startTime, end: slot.endTime });
-      }
-    }
-  }
-
-  for (const slots of Object.values(daySlots)) {
-    slots.sort((a, b) => a.start.localeCompare(b.start));
-    for (let i = 1; i < slots.length; i++) {
-      const prevEnd = slots[i - 1].end;
-      const currStart = slots[i].start;
-      if (prevEnd && currStart) {
-        const [ph, pm] = prevEnd.split(":").map(Number);
-        const [ch, cm] = currStart.split(":").map(Number);
-        const gap = (ch + cm / 60) - (ph + pm / 60);
-        if (gap > parseFloat(maxGapHours)) {
-          return true;
-        }
-      }
-    }
-  }
-  return false;
-}
-
-function countCampusDays(schedule) {
-  const campusDays = new Set();
-  for (const course of schedule) {
-    const parsed = parseSchedule(course.schedule);
-    if (!parsed || parsed.isTBA || !parsed.allTimeSlots) continue;
-
-    for (const slot of parsed.allTimeSlots) {
-      const isOnlineClass = slot.room && slot.room.toLowerCase().includes('online');
-      if (!isOnlineClass) {
-        for (const day of slot.days) {
-          campusDays.add(day);
-        }
-      }
-    }
-  }
-  return campusDays.size;
-}
-
-
-function generateExhaustiveBestSchedule(coursesBySubject, preferredTimeOfDayOrder, maxUnits, maxGapHours, minimizeDaysOnCampus) {
-  const subjects = Object.keys(coursesBySubject);
-  let bestSchedule = [];
-  let bestScore = -1;
-  let bestTimePrefScore = Infinity;
-  let bestCampusDays = Infinity;
-
-  function backtrack(idx, currentSchedule) {
-    if (idx === subjects.length) {
-      if (!isScheduleConflictFree(currentSchedule, parseSchedule, checkTimeOverlap)) return;
-      if (exceedsMaxUnits(currentSchedule, maxUnits)) return;
-      if (exceedsMaxGap(currentSchedule, maxGapHours)) return;
-
-      const totalCourses = currentSchedule.length;
-      const totalUnits = currentSchedule.reduce((sum, course) => {
-        const units = parseFloat(course.creditedUnits || course.units);
-        return isNaN(units) ? sum : sum + units;
-      }, 0);
-      const score = totalCourses * 100 + totalUnits;
-      const timePrefScore = scoreScheduleByTimePreference(currentSchedule, preferredTimeOfDayOrder);
-      const campusDays = minimizeDaysOnCampus ? countCampusDays(currentSchedule) : 0;
-
-      if (minimizeDaysOnCampus) {
-        if (
-          campusDays < bestCampusDays ||
-          (campusDays === bestCampusDays && score > bestScore) ||
-          (campusDays === bestCampusDays && score === bestScore && timePrefScore < bestTimePrefScore)
-        ) {
-          bestCampusDays = campusDays;
-          bestScore = score;
-          bestTimePrefScore = timePrefScore;
-          bestSchedule = [...currentSchedule];
-        }
-      } else {
-        if (
-          score > bestScore ||
-          (score === bestScore && timePrefScore < bestTimePrefScore)
-        ) {
-          bestScore = score;
-          bestTimePrefScore = timePrefScore;
-          bestCampusDays = campusDays;
-          bestSchedule = [...currentSchedule];
-        }
-      }
-      return;
-    }
-
-    const subject = subjects[idx];
-    for (const course of coursesBySubject[subject]) {
-      let hasConflict = false;
-      const courseScheduleResult = parseSchedule(course.schedule);
-      if (courseScheduleResult && !courseScheduleResult.isTBA && courseScheduleResult.allTimeSlots && courseScheduleResult.allTimeSlots.length > 0) {
-        for (const existingCourse of currentSchedule) {
-          const existingScheduleResult = parseSchedule(existingCourse.schedule);
-          if (!existingScheduleResult || existingScheduleResult.isTBA || !existingScheduleResult.allTimeSlots || existingScheduleResult.allTimeSlots.length === 0) continue;
-
-          for (const newSlot of courseScheduleResult.allTimeSlots) {
-            for (const existingSlot of existingScheduleResult.allTimeSlots) {
-              const commonDays = newSlot.days.filter(day => existingSlot.days.includes(day));
-              if (commonDays.length > 0) {
-                if (newSlot.startTime && newSlot.endTime && existingSlot.startTime && existingSlot.endTime) {
-                  if (checkTimeOverlap(newSlot.startTime, newSlot.endTime, existingSlot.startTime, existingSlot.endTime)) {
-                    hasConflict = true;
-                    break;
-                  }
-                }
-              }
-            }
-            if (hasConflict) break;
-          }
-          if (hasConflict) break;
-        }
-      }
-
-      if (!hasConflict) {
-        currentSchedule.push(course);
-        backtrack(idx + 1, currentSchedule);
-        currentSchedule.pop();
-      }
-    }
-  }
-  backtrack(0, []);
-  return { bestSchedule, bestScore, bestTimePrefScore };
-}
-
-function getAllSubsets(arr) {
-  const result = [[]];
-  for (const item of arr) {
-    const len = result.length;
-    for (let i = 0; i < len; i++) {
-      result.push([...result[i], item]);
-    }
-  }
-  return result;
-}
-
-
-function generateBestPartialSchedule_Heuristic(
-  courses,
-  maxUnits,
-  maxGapHours,
-  preferredTimeOfDayOrder,
-  minimizeDaysOnCampus
-) {
-  let bestOverallSchedule = [];
-  let bestOverallSubjectsCount = 0;
-  let bestOverallUnits = 0;
-  let bestOverallTimePref = Infinity;
-  let bestOverallCampusDays = Infinity;
-
-  const numCourses = courses.length;
-  const NUM_ATTEMPTS = Math.min(500, Math.max(50, numCourses * 2));
-
-  for (let attempt = 0; attempt < NUM_ATTEMPTS; attempt++) {
-    let currentSchedule = [];
-    let currentSubjectsSet = new Set();
-    let poolOfCandidatesForAttempt = [...courses];
-    poolOfCandidatesForAttempt.sort(() => Math.random() - 0.5);
-
-    while (true) {
-      let bestCandidateToAddThisPass = null;
-      let bestPriorityForThisPass = -1;
-      let indexOfBestCandidateInPool = -1;
-
-      for (let i = 0; i < poolOfCandidatesForAttempt.length; i++) {
-        const candidate = poolOfCandidatesForAttempt[i];
-        if (currentSubjectsSet.has(candidate.subject)) continue;
-
-        const tempScheduleWithCandidateForConstraints = [...currentSchedule, candidate];
-        if (exceedsMaxUnits(tempScheduleWithCandidateForConstraints, maxUnits)) continue;
-        if (exceedsMaxGap(tempScheduleWithCandidateForConstraints, maxGapHours)) continue;
-
-        let conflictsWithCurrent = false;
-        const candidateScheduleResult = parseSchedule(candidate.schedule);
-        if (candidateScheduleResult && !candidateScheduleResult.isTBA && candidateScheduleResult.allTimeSlots && candidateScheduleResult.allTimeSlots.length > 0) {
-          for (const existingCourse of currentSchedule) {
-            const existingScheduleResult = parseSchedule(existingCourse.schedule);
-            if (!existingScheduleResult || existingScheduleResult.isTBA || !existingScheduleResult.allTimeSlots || existingScheduleResult.allTimeSlots.length === 0) continue;
-            let pairConflict = false;
-            for (const slot1 of candidateScheduleResult.allTimeSlots) {
-              for (const slot2 of existingScheduleResult.allTimeSlots) {
-                const commonDays = slot1.days.filter(day => slot2.days.includes(day));
-                if (commonDays.length > 0) {
-                  if (slot1.startTime && slot1.endTime && slot2.startTime && slot2.endTime) {
-                    if (checkTimeOverlap(slot1.startTime, slot1.endTime, slot2.startTime, slot2.endTime)) {
-                      pairConflict = true; break;
-                    }
-                  }
-                }
-              }
-              if (pairConflict) break;
-            }
-            if (pairConflict) { conflictsWithCurrent = true; break; }
-          }
-        }
-        if (conflictsWithCurrent) continue;
-
-        const units = parseFloat(candidate.creditedUnits || candidate.units) || 0;
-        let priority = 0;
-        if (!currentSubjectsSet.has(candidate.subject)) {
-          priority = 20000 + units;
-        } else {
-          priority = 10000 + units;
-        }
-        priority += Math.random() * 0.1;
-
-
-        if (priority > bestPriorityForThisPass) {
-          bestCandidateToAddThisPass = candidate;
-          bestPriorityForThisPass = priority;
-          indexOfBestCandidateInPool = i;
-        }
-      }
-
-      if (bestCandidateToAddThisPass) {
-        currentSchedule.push(bestCandidateToAddThisPass);
-        currentSubjectsSet.add(bestCandidateToAddThisPass.subject);
-        poolOfCandidatesForAttempt.splice(indexOfBestCandidateInPool, 1);
-      } else {
-        break;
-      }
-    }
-
-    if (currentSchedule.length > 0) {
-      const numSubjects = currentSubjectsSet.size;
-      const totalUnits = currentSchedule.reduce((sum, c) => sum + (parseFloat(c.creditedUnits || c.units) || 0), 0);
-      const timePrefScore = scoreScheduleByTimePreference(currentSchedule, preferredTimeOfDayOrder);
-      const campusDays = minimizeDaysOnCampus ? countCampusDays(currentSchedule) : 0;
-
-      if (minimizeDaysOnCampus) {
-        if (
-          campusDays < bestOverallCampusDays ||
-          (campusDays === bestOverallCampusDays && numSubjects > bestOverallSubjectsCount) ||
-          (campusDays === bestOverallCampusDays && numSubjects === bestOverallSubjectsCount && totalUnits > bestOverallUnits) ||
-          (campusDays === bestOverallCampusDays && numSubjects === bestOverallSubjectsCount && totalUnits === bestOverallUnits && timePrefScore < bestOverallTimePref)
-        ) {
-          bestOverallCampusDays = campusDays;
-          bestOverallSubjectsCount = numSubjects;
-          bestOverallUnits = totalUnits;
-          bestOverallTimePref = timePrefScore;
-          bestOverallSchedule = [...currentSchedule];
-        }
-      } else {
-        if (
-          numSubjects > bestOverallSubjectsCount ||
-          (numSubjects === bestOverallSubjectsCount && totalUnits > bestOverallUnits) ||
-          (numSubjects === bestOverallSubjectsCount && totalUnits === bestOverallUnits && timePrefScore < bestOverallTimePref)
-        ) {
-          bestOverallSubjectsCount = numSubjects;
-          bestOverallUnits = totalUnits;
-          bestOverallTimePref = timePrefScore;
-          bestOverallCampusDays = campusDays;
-          bestOverallSchedule = [...currentSchedule];
-        }
-      }
-    }
-  }
-  return bestOverallSchedule;
-}
-
-
-function generateBestPartialSchedule(courses, maxUnits, maxGapHours, preferredTimeOfDayOrder, minimizeDaysOnCampus) {
-  if (!courses || courses.length === 0) return [];
-
-  if (courses.length <= SMALL_N_THRESHOLD_PARTIAL) {
-    let best = [];
-    let bestSubjects = 0;
-    let bestUnits = 0;
-    let bestTimePref = Infinity;
-    let bestCampusDays = Infinity;
-
-    const allSubsets = getAllSubsets(courses);
-
-    for (const subset of allSubsets) {
-      if (subset.length === 0) continue;
-
-      const subjects = subset.map(c => c.subject);
-      if (new Set(subjects).size !== subjects.length) continue;
-
-      if (!isScheduleConflictFree(subset, parseSchedule, checkTimeOverlap)) continue;
-      if (exceedsMaxUnits(subset, maxUnits)) continue;
-      if (exceedsMaxGap(subset, maxGapHours)) continue;
-
-      const uniqueSubjects = new Set(subset.map(c => c.subject)).size;
-      const totalUnits = subset.reduce((sum, c) => sum + (parseFloat(c.creditedUnits || c.units) || 0), 0);
-      const timePrefScore = scoreScheduleByTimePreference(subset, preferredTimeOfDayOrder);
-      const campusDays = minimizeDaysOnCampus ? countCampusDays(subset) : 0;
-
-      if (minimizeDaysOnCampus) {
-        if (
-          campusDays < bestCampusDays ||
-          (campusDays === bestCampusDays && uniqueSubjects > bestSubjects) ||
-          (campusDays === bestCampusDays && uniqueSubjects === bestSubjects && totalUnits > bestUnits) ||
-          (campusDays === bestCampusDays && uniqueSubjects === bestSubjects && totalUnits === bestUnits && timePrefScore < bestTimePref)
-        ) {
-          bestCampusDays = campusDays;
-          bestSubjects = uniqueSubjects;
-          bestUnits = totalUnits;
-          bestTimePref = timePrefScore;
-          best = [...subset];
-        }
-      } else {
-        if (
-          uniqueSubjects > bestSubjects ||
-          (uniqueSubjects === bestSubjects && totalUnits > bestUnits) ||
-          (uniqueSubjects === bestSubjects && totalUnits === bestUnits && timePrefScore < bestTimePref)
-        ) {
-          bestSubjects = uniqueSubjects;
-          bestUnits = totalUnits;
-          bestTimePref = timePrefScore;
-          bestCampusDays = campusDays;
-          best = [...subset];
-        }
-      }
-    }
-    return best;
-  } else {
-    return generateBestPartialSchedule_Heuristic(
-      courses,
-      maxUnits,
-      maxGapHours,
-      preferredTimeOfDayOrder,
-      minimizeDaysOnCampus
-    );
-  }
-}
-
-
 function App() {
   const [allCourses, setAllCourses] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.COURSES, []));
   const [excludedDays, setExcludedDays] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.EXCLUDED_DAYS, []));
   const [excludedTimeRanges, setExcludedTimeRanges] = useState(() => {
-    const savedRanges = loadFromLocalStorage(LOCAL_STORAGE_KEYS.EXCLUDED_RANGES, [{ id: Date.now(), start: '', end: '', }]);
-    return Array.isArray(savedRanges) && savedRanges.length > 0 ? savedRanges : [{ id: Date.now(), start: '', end: '', }];
+    const savedRanges = loadFromLocalStorage(LOCAL_STORAGE_KEYS.EXCLUDED_RANGES, [{ id: Date.now(), start: '', end: '', days: [...DAY_CODES] }]);
+    // Ranges saved before they could be scoped to days applied to every day.
+    return Array.isArray(savedRanges) && savedRanges.length > 0
+      ? savedRanges.map(range => (Array.isArray(range.days) ? range : { ...range, days: [...DAY_CODES] }))
+      : [{ id: Date.now(), start: '', end: '', days: [...DAY_CODES] }];
   });
+  const [dayTimeBounds, setDayTimeBounds] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.DAY_TIME_BOUNDS, {}));
   const [rawData, setRawData] = useState('');
   const [theme, setTheme] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.THEME, 'dark'));
   const [themePalette, setThemePalette] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.THEME_PALETTE, { light: 'original', dark: 'original' }));
@@ -554,8 +273,14 @@ function App() {
   const [selectedStatusFilter, setSelectedStatusFilter] = useState(() =>
     loadFromLocalStorage(LOCAL_STORAGE_KEYS.STATUS_FILTER, 'open')
   );
+  const [modalityFilter, setModalityFilter] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.MODALITY_FILTER, 'any'));
   const [maxUnits, setMaxUnits] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.MAX_UNITS, ''));
+  const [minUnits, setMinUnits] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.MIN_UNITS, ''));
   const [maxClassGapHours, setMaxClassGapHours] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.MAX_CLASS_GAP_HOURS, ''));
+  const [maxHoursPerDay, setMaxHoursPerDay] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.MAX_HOURS_PER_DAY, ''));
+  const [maxConsecutiveHours, setMaxConsecutiveHours] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.MAX_CONSECUTIVE_HOURS, ''));
+  const [lunchBreak, setLunchBreak] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.LUNCH_BREAK, { ...DEFAULT_LUNCH_BREAK }));
+  const [minTransitionMinutes, setMinTransitionMinutes] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.MIN_TRANSITION_MINUTES, 0));
   const [preferredTimeOfDayOrder, setPreferredTimeOfDayOrder] = useState(() => {
     const saved = loadFromLocalStorage(LOCAL_STORAGE_KEYS.PREFERRED_TIME_OF_DAY, null);
     if (Array.isArray(saved) && saved.length > 0) return saved;
@@ -563,7 +288,7 @@ function App() {
   });
 
   const [processedCourses, setProcessedCourses] = useState([]);
-  const [conflictingLockedCourseIds, setConflictingLockedCourseIds] = useState(new Set());
+  const [conflictingLockedCourseKeys, setConflictingLockedCourseKeys] = useState(new Set());
   const [showTimetable, setShowTimetable] = useState(false);
   const [generatedScheduleCount, setGeneratedScheduleCount] = useState(0);
   const triedScheduleCombinations = useRef(new Set()).current;
@@ -572,7 +297,25 @@ function App() {
     return ALLOWED_SEARCH_MODES.includes(saved) ? saved : 'partial';
   });
   const [minimizeDaysOnCampus, setMinimizeDaysOnCampus] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.MINIMIZE_DAYS_ON_CAMPUS, false));
-
+  const [modalityPreferences, setModalityPreferences] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.MODALITY_PREFERENCES, {}));
+  const [resultLimit, setResultLimit] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.RESULT_LIMIT, DEFAULT_RESULT_LIMIT));
+  const [subjectPriorities, setSubjectPriorities] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.SUBJECT_PRIORITIES, {}));
+  const [keepLockedCourses, setKeepLockedCourses] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.KEEP_LOCKED_COURSES, false));
+  // null means "use the links detected from section naming"; an array means the user edited them.
+  const [subjectLinks, setSubjectLinks] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.SUBJECT_LINKS, null));
+  const [blockPreference, setBlockPreference] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.BLOCK_PREFERENCE, 'off'));
+  const [optimalTimeLimitSeconds, setOptimalTimeLimitSeconds] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.OPTIMAL_TIME_LIMIT, DEFAULT_OPTIMAL_TIME_LIMIT_SECONDS));
+  const [searchSeed, setSearchSeed] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.SEARCH_SEED, ''));
+  const [scoringProfile, setScoringProfile] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.SCORING_PROFILE, normalizeScoringProfile()));
+  const [buildingMap, setBuildingMap] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.BUILDING_MAP, normalizeBuildingMap()));
+
+  const [importFormat, setImportFormat] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.IMPORT_FORMAT, 'auto'));
+  const [columnMapping, setColumnMapping] = useState(() => loadFromLocalStorage(LOCAL_STORAGE_KEYS.COLUMN_MAPPING, null));
+  const effectiveImportFormat = importFormat === 'mapping' && !columnMapping ? 'auto' : importFormat;
+  const [importReview, setImportReview] = useState(null);
+  // Where the column-mapping wizard starts; null while it is closed.
+  const [columnMappingDraft, setColumnMappingDraft] = useState(null);
+  const [availabilityChanges, setAvailabilityChanges] = useState(null);
   const [confirmDialog, setConfirmDialog] = useState({
     open: false,
     title: '',
@@ -584,8 +327,13 @@ function App() {
   });
 
   const [generatedSchedules, setGeneratedSchedules] = useState([]);
+  const [showScheduleComparison, setShowScheduleComparison] = useState(false);
+  // Explanation shown when a run finds no schedule at all; otherwise each generated schedule carries its own.
+  const [failedRunOmissions, setFailedRunOmissions] = useState([]);
   const [currentScheduleIndex, setCurrentScheduleIndex] = useState(0);
   const [isGenerating, setIsGenerating] = useState(false);
+  const [searchProgress, setSearchProgress] = useState(null);
+  const scheduleWorkerClient = useMemo(() => createScheduleWorkerClient(), []);
 
   const handleClearAllLocks = () => {
     setConfirmDialog({
@@ -606,6 +354,7 @@ function App() {
   useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.COURSES, JSON.stringify(allCourses)); }, [allCourses]);
   useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.EXCLUDED_DAYS, JSON.stringify(excludedDays)); }, [excludedDays]);
   useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.EXCLUDED_RANGES, JSON.stringify(excludedTimeRanges)); }, [excludedTimeRanges]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.DAY_TIME_BOUNDS, JSON.stringify(dayTimeBounds)); }, [dayTimeBounds]);
   useEffect(() => {
     localStorage.setItem(LOCAL_STORAGE_KEYS.THEME, JSON.stringify(theme));
     document.documentElement.setAttribute('data-theme', theme);
@@ -620,53 +369,41 @@ function App() {
   useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.GROUPING, JSON.stringify(groupingKey)); }, [groupingKey]);
   useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.SECTION_TYPES, JSON.stringify(selectedSectionTypes)); }, [selectedSectionTypes]);
   useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.STATUS_FILTER, JSON.stringify(selectedStatusFilter)); }, [selectedStatusFilter]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.MODALITY_FILTER, JSON.stringify(modalityFilter)); }, [modalityFilter]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.IMPORT_FORMAT, JSON.stringify(importFormat)); }, [importFormat]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.COLUMN_MAPPING, JSON.stringify(columnMapping)); }, [columnMapping]);
   useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.MAX_UNITS, JSON.stringify(maxUnits)); }, [maxUnits]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.MIN_UNITS, JSON.stringify(minUnits)); }, [minUnits]);
   useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.MAX_CLASS_GAP_HOURS, JSON.stringify(maxClassGapHours)); }, [maxClassGapHours]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.MAX_HOURS_PER_DAY, JSON.stringify(maxHoursPerDay)); }, [maxHoursPerDay]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.MAX_CONSECUTIVE_HOURS, JSON.stringify(maxConsecutiveHours)); }, [maxConsecutiveHours]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.LUNCH_BREAK, JSON.stringify(lunchBreak)); }, [lunchBreak]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.MIN_TRANSITION_MINUTES, JSON.stringify(minTransitionMinutes)); }, [minTransitionMinutes]);
   useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.PREFERRED_TIME_OF_DAY, JSON.stringify(preferredTimeOfDayOrder)); }, [preferredTimeOfDayOrder]);
   useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.SCHEDULE_SEARCH_MODE, JSON.stringify(scheduleSearchMode)); }, [scheduleSearchMode]);
   useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.MINIMIZE_DAYS_ON_CAMPUS, JSON.stringify(minimizeDaysOnCampus)); }, [minimizeDaysOnCampus]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.MODALITY_PREFERENCES, JSON.stringify(modalityPreferences)); }, [modalityPreferences]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.RESULT_LIMIT, JSON.stringify(resultLimit)); }, [resultLimit]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.SUBJECT_PRIORITIES, JSON.stringify(subjectPriorities)); }, [subjectPriorities]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.KEEP_LOCKED_COURSES, JSON.stringify(keepLockedCourses)); }, [keepLockedCourses]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.SUBJECT_LINKS, JSON.stringify(subjectLinks)); }, [subjectLinks]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.BLOCK_PREFERENCE, JSON.stringify(blockPreference)); }, [blockPreference]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.OPTIMAL_TIME_LIMIT, JSON.stringify(optimalTimeLimitSeconds)); }, [optimalTimeLimitSeconds]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.SEARCH_SEED, JSON.stringify(searchSeed)); }, [searchSeed]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.SCORING_PROFILE, JSON.stringify(scoringProfile)); }, [scoringProfile]);
+  useEffect(() => { localStorage.setItem(LOCAL_STORAGE_KEYS.BUILDING_MAP, JSON.stringify(buildingMap)); }, [buildingMap]);
 
 
   useEffect(() => {
-    const filtered = allCourses.filter(course => {
-      if (course.isLocked) return true;
-
-      if (selectedStatusFilter === 'open') { if (course.isClosed === true) return false; }
-      else if (selectedStatusFilter === 'closed') { if (course.isClosed === false) return false; }
-
-      if (selectedSectionTypes.length > 0) {
-        const courseSectionType = getSectionTypeSuffix(course.section);
-        if (!courseSectionType || !selectedSectionTypes.includes(courseSectionType)) return false;
-      }
-
-      const parsedScheduleResult = parseSchedule(course.schedule);
-      if (!parsedScheduleResult || parsedScheduleResult.isTBA) return true;
-      if (!parsedScheduleResult.allTimeSlots || parsedScheduleResult.allTimeSlots.length === 0) {
-        return true;
-      }
-
-      const anySlotIsExcluded = parsedScheduleResult.allTimeSlots.some(slot => {
-        const slotIsOnExcludedDay = slot.days.some(day => excludedDays.includes(day));
-        if (slotIsOnExcludedDay) {
-          return true;
-        }
-        const slotOverlapsAnExcludedTimeRange = excludedTimeRanges.some(excludedRange => {
-          if (excludedRange.start && excludedRange.end && slot.startTime && slot.endTime) {
-            return checkTimeOverlap(slot.startTime, slot.endTime, excludedRange.start, excludedRange.end);
-          }
-          return false;
-        });
-        if (slotOverlapsAnExcludedTimeRange) {
-          return true;
-        }
-        return false;
-      });
-
-      if (anySlotIsExcluded) {
-        return false;
-      }
-      return true;
-    });
+    const filterConstraints = {
+      statusFilter: selectedStatusFilter,
+      sectionTypes: selectedSectionTypes,
+      modality: modalityFilter,
+      excludedDays,
+      excludedTimeRanges,
+      dayTimeBounds,
+    };
+    const filtered = allCourses.filter(course => course.isLocked || passesCourseFilters(course, filterConstraints));
 
     if (groupingKey === 'none') {
       setProcessedCourses(filtered);
@@ -690,7 +427,7 @@ function App() {
         .sort((a, b) => a.groupValue.localeCompare(b.groupValue));
       setProcessedCourses(groupedArray);
     }
-  }, [allCourses, excludedDays, excludedTimeRanges, groupingKey, selectedSectionTypes, selectedStatusFilter]);
+  }, [allCourses, dayTimeBounds, excludedDays, excludedTimeRanges, groupingKey, modalityFilter, selectedSectionTypes, selectedStatusFilter]);
 
   useEffect(() => {
     const currentLockedCourses = allCourses.filter(course => course.isLocked);
@@ -718,44 +455,85 @@ function App() {
               if (slot1.startTime && slot1.endTime && slot2.startTime && slot2.endTime) {
                 const hasTimeOverlap = checkTimeOverlap(slot1.startTime, slot1.endTime, slot2.startTime, slot2.endTime);
                 if (hasTimeOverlap) {
-                  conflicts.add(course1.id);
-                  conflicts.add(course2.id);
+                  conflicts.add(getCourseKey(course1));
+                  conflicts.add(getCourseKey(course2));
                   break;
                 }
               }
             }
           }
-          if (conflicts.has(course1.id) && conflicts.has(course2.id)) break;
+          if (conflicts.has(getCourseKey(course1)) && conflicts.has(getCourseKey(course2))) break;
         }
       }
     }
-    console.log('[useEffect/conflicts] Detected conflict IDs:', Array.from(conflicts));
-    setConflictingLockedCourseIds(conflicts);
+    console.log('[useEffect/conflicts] Detected conflict keys:', Array.from(conflicts));
+    setConflictingLockedCourseKeys(conflicts);
   }, [allCourses]);
 
 
   const handleDayChange = (dayCode, isChecked) => { setExcludedDays(prev => isChecked ? [...prev, dayCode] : prev.filter(d => d !== dayCode)); };
   const handleTimeRangeChange = (id, field, value) => { setExcludedTimeRanges(prev => prev.map(r => r.id === id ? { ...r, [field]: value } : r)); };
-  const handleAddTimeRange = () => { setExcludedTimeRanges(prev => [...prev, { id: Date.now(), start: '', end: '' }]); };
+  const handleAddTimeRange = () => { setExcludedTimeRanges(prev => [...prev, { id: Date.now(), start: '', end: '', days: [...DAY_CODES] }]); };
+  const handleDayTimeBoundChange = (dayCode, field, value) => { setDayTimeBounds(prev => ({ ...prev, [dayCode]: { ...prev[dayCode], [field]: value } })); };
   const handleRemoveTimeRange = (id) => { if (excludedTimeRanges.length <= 1) return; setExcludedTimeRanges(prev => prev.filter(r => r.id !== id)); };
 
+  const addImportedCourses = (courses, formatLabel, skippedCount = 0) => {
+    const coursesWithDefaults = courses.map((course, index) => ({
+      ...course,
+      id: course.id ?? `${Date.now()}-${index}`,
+      isLocked: course.isLocked ?? false,
+      isClosed: course.isClosed ?? (course.totalSlots > 0 && course.enrolled >= course.totalSlots),
+    }));
+    const { courses: mergedCourses, report } = mergeImportedCourses(allCourses, coursesWithDefaults);
+    setAllCourses(mergedCourses);
+    const changes = summarizeAvailabilityChanges(report);
+    setAvailabilityChanges(changes);
+    if (changes && changes.lockedClosed.length > 0) {
+      toast.error(`Locked section${changes.lockedClosed.length === 1 ? '' : 's'} closed since the last import: ${changes.lockedClosed.map(({ after }) => formatSectionLabel(after)).join(', ')}. Pick another section before you enlist.`, { autoClose: false });
+    }
+    const notes = [];
+    if (report.duplicates > 0) notes.push(`${report.duplicates} duplicate rows ignored.`);
+    if (report.keptLocked.length > 0) notes.push(`${report.keptLocked.length} locked sections no longer listed were kept.`);
+    if (skippedCount > 0) notes.push(`${skippedCount} lines skipped.`);
+    toast.success(
+      `Import done (${formatLabel}): ${report.added.length} added, ${report.updated.length} updated, ${report.unchanged.length} unchanged, ${report.removed.length} removed.${notes.length > 0 ? ` ${notes.join(' ')}` : ''}`
+    );
+  };
+
   const handleLoadRawData = () => {
     try {
-      const p = parseRawCourseData(rawData);
-      const coursesWithDefaults = p.map((course, index) => ({
-        ...course,
-        id: course.id ?? `${Date.now()}-${index}`,
-        isLocked: course.isLocked ?? false,
-        isClosed: course.isClosed ?? (course.totalSlots > 0 && course.enrolled >= course.totalSlots),
-      }));
-      setAllCourses(prevCourses => [...prevCourses, ...coursesWithDefaults]);
-      toast.success(`Added ${coursesWithDefaults.length} courses!`);
+      const { courses, issues, adapter } = parseCourseImport(rawData, { adapterId: effectiveImportFormat, columnMapping });
+      if (issues.length > 0) {
+        setImportReview({ courses, issues, formatLabel: adapter.label });
+        return;
+      }
+      addImportedCourses(courses, adapter.label);
     } catch (error) {
       console.error("Error parsing raw data:", error);
       toast.error(`Error loading data: ${error.message}`);
     }
   };
 
+  const handleColumnMappingChange = (mapping) => {
+    setColumnMapping(mapping);
+    if (mapping) {
+      setImportFormat('mapping');
+      toast.success('Column mapping saved. Imports now use it until you pick another format.');
+    } else if (importFormat === 'mapping') {
+      setImportFormat('auto');
+    }
+  };
+
+  const handleMapColumnsFromReview = () => {
+    setImportReview(null);
+    setColumnMappingDraft(suggestColumnMapping(rawData));
+  };
+
+  const handleConfirmImport = (courses) => {
+    addImportedCourses(courses, importReview.formatLabel, importReview.issues.filter(issue => issue.kind === 'skipped').length);
+    setImportReview(null);
+  };
+
   const handleDeleteCourse = (courseIdentity) => {
     const { id, subject, section } = courseIdentity;
     setAllCourses(prev => prev.filter(c => !(c.id === id && c.subject === subject && c.section === section)));
@@ -885,12 +663,38 @@ function App() {
   const handleGroupingChange = (event) => { setGroupingKey(event.target.value); };
   const handleSectionTypeChange = (typeId, isSelected) => { setSelectedSectionTypes(prev => isSelected ? [...new Set([...prev, typeId])] : prev.filter(id => id !== typeId)); };
   const handleStatusFilterChange = (statusValue) => { setSelectedStatusFilter(statusValue); };
-  const handleMaxUnitsChange = (e) => {
+  const handleModalityPreferenceChange = (day, value) => { setModalityPreferences(prev => normalizeModalityPreferences({ ...prev, [day]: value })); };
+  const handleUnitLimitChange = (setter) => (e) => {
     const value = e.target.value;
     if (value === '' || (/^[0-9]*$/.test(value) && parseInt(value, 10) >= 0)) {
-      setMaxUnits(value);
+      setter(value);
     }
   };
+  // Hours may be fractional, e.g. 4.5.
+  const handleHoursLimitChange = (setter) => (e) => {
+    const value = e.target.value;
+    if (value === '' || /^[0-9]*\.?[0-9]*$/.test(value)) {
+      setter(value);
+    }
+  };
+  const handleResultLimitChange = (e) => {
+    const value = e.target.value;
+    if (value === '') return;
+    setResultLimit(normalizeResultLimit(value));
+  };
+  const handleSearchSeedChange = (e) => {
+    const value = e.target.value.trim();
+    if (value !== '' && normalizeSeed(value) === null) return;
+    setSearchSeed(value);
+  };
+  const handleOptimalTimeLimitChange = (e) => {
+    const value = parseInt(e.target.value, 10);
+    if (isNaN(value)) return;
+    setOptimalTimeLimitSeconds(Math.min(MAX_OPTIMAL_TIME_LIMIT_SECONDS, Math.max(1, value)));
+  };
+  const handleSubjectPriorityChange = (subject, priority) => {
+    setSubjectPriorities(prev => ({ ...prev, [subject]: priority }));
+  };
   const handleMaxClassGapHoursChange = (e) => {
     let value = e.target.value;
     setMaxClassGapHours(value);
@@ -909,6 +713,22 @@ function App() {
     return allCourses.filter(course => course.isLocked);
   }, [allCourses]);
 
+  // Generated schedules resolved to course objects, for the read-only comparison view.
+  const comparableSchedules = useMemo(() => {
+    const coursesByKey = new Map(allCourses.map(course => [getCourseKey(course), course]));
+    return generatedSchedules.map((schedule, index) => ({
+      label: `Schedule ${index + 1}`,
+      courses: schedule.courseKeys.map(key => coursesByKey.get(key)).filter(Boolean),
+    }));
+  }, [allCourses, generatedSchedules]);
+
+  const subjectNames = useMemo(() => Object.keys(groupCoursesBySubject(allCourses)), [allCourses]);
+  const effectiveSubjectLinks = useMemo(
+    () => normalizeSubjectLinks(subjectLinks ?? inferSubjectLinks(allCourses), allCourses),
+    [subjectLinks, allCourses]
+  );
+  const lockedSubjects = useMemo(() => new Set(lockedCourses.map(course => course.subject)), [lockedCourses]);
+
   const lockedCoursesCount = useMemo(() => {
     return lockedCourses.length;
   }, [lockedCourses]);
@@ -934,10 +754,10 @@ function App() {
 
   const applyScheduleByIndex = (index) => {
     if (!generatedSchedules[index]) return;
-    const scheduleIds = new Set(generatedSchedules[index]);
+    const scheduleIds = new Set(generatedSchedules[index].courseKeys);
     setAllCourses(prev => prev.map(course => ({
       ...course,
-      isLocked: scheduleIds.has(`${course.id}-${course.subject}-${course.section}`)
+      isLocked: scheduleIds.has(getCourseKey(course))
     })));
     setCurrentScheduleIndex(index);
   };
@@ -965,6 +785,7 @@ function App() {
         triedScheduleCombinations.clear();
         setGeneratedScheduleCount(0);
         setGeneratedSchedules([]);
+        setFailedRunOmissions([]);
         setCurrentScheduleIndex(0);
         setAllCourses(prev => prev.map(c => ({ ...c, isLocked: false })));
         setConfirmDialog(d => ({ ...d, open: false }));
@@ -978,267 +799,139 @@ function App() {
   const generateBestSchedule = async () => {
     if (isGenerating) return;
     setIsGenerating(true);
-    await new Promise(resolve => setTimeout(resolve, 0));
+    setSearchProgress(null);
 
     try {
-      const unlockedCourses = allCourses.map(c => ({ ...c, isLocked: false }));
-      const filteredCourses = unlockedCourses.filter(course => {
-        if (selectedStatusFilter === 'open' && course.isClosed === true) return false;
-        if (selectedStatusFilter === 'closed' && course.isClosed === false) return false;
-
-        if (selectedSectionTypes.length > 0) {
-          const courseSectionType = getSectionTypeSuffix(course.section);
-          if (!courseSectionType || !selectedSectionTypes.includes(courseSectionType)) return false;
-        }
-
-        const parsedScheduleResult = parseSchedule(course.schedule);
-        if (!parsedScheduleResult || parsedScheduleResult.isTBA || !parsedScheduleResult.allTimeSlots || parsedScheduleResult.allTimeSlots.length === 0) {
-          return true;
-        }
-
-        const anySlotIsExcluded = parsedScheduleResult.allTimeSlots.some(slot => {
-          const slotIsOnExcludedDay = slot.days.some(day => excludedDays.includes(day));
-          if (slotIsOnExcludedDay) return true;
-
-          const slotOverlapsAnExcludedTimeRange = excludedTimeRanges.some(excludedRange => {
-            if (excludedRange.start && excludedRange.end && slot.startTime && slot.endTime) {
-              return checkTimeOverlap(slot.startTime, slot.endTime, excludedRange.start, excludedRange.end);
-            }
-            return false;
-          });
-          if (slotOverlapsAnExcludedTimeRange) return true;
-          return false;
-        });
-        if (anySlotIsExcluded) {
-          return false;
-        }
-        return true;
-      });
+      const schedulingConstraints = {
+        searchMode: scheduleSearchMode,
+        statusFilter: selectedStatusFilter,
+        sectionTypes: selectedSectionTypes,
+        modality: modalityFilter,
+        excludedDays,
+        excludedTimeRanges,
+        dayTimeBounds,
+        maxUnits,
+        minUnits,
+        maxClassGapHours,
+        maxHoursPerDay,
+        maxConsecutiveHours,
+        lunchBreak,
+        minTransitionMinutes,
+        preferredTimeOfDayOrder,
+        minimizeDaysOnCampus,
+        modalityPreferences,
+        resultLimit,
+        subjectPriorities,
+        keepLockedCourses,
+        subjectLinks: effectiveSubjectLinks,
+        blockPreference,
+        optimalTimeLimitSeconds,
+        seed: searchSeed,
+        scoringProfile,
+        buildingMap,
+        triedCombinationKeys: Array.from(triedScheduleCombinations),
+      };
 
-      const coursesBySubject = filteredCourses.reduce((acc, course) => {
-        if (!acc[course.subject]) {
-          acc[course.subject] = [];
+      if (scheduleSearchMode === 'exhaustive') {
+        const subjectCount = Object.keys(groupCoursesBySubject(allCourses.filter(course => passesCourseFilters(course, schedulingConstraints)))).length;
+        if (subjectCount > 12) {
+          toast.info('Warning: Exhaustive search may be slow for more than 12 subjects. You can stop it at any time.');
         }
-        acc[course.subject].push(course);
-        return acc;
-      }, {});
-
-      if (scheduleSearchMode === 'exhaustive' && Object.keys(coursesBySubject).length > 12) {
-        toast.info('Warning: Exhaustive search may be very slow for more than 12 subjects. Consider using Fast mode.');
       }
 
-      if (scheduleSearchMode === 'exhaustive') {
-        const { bestSchedule, bestScore } = generateExhaustiveBestSchedule(coursesBySubject, preferredTimeOfDayOrder, maxUnits, maxClassGapHours, minimizeDaysOnCampus);
-        if (bestSchedule.length > 0) {
-          const isActuallyConflictFree = isScheduleConflictFree(bestSchedule, parseSchedule, checkTimeOverlap);
-          if (!isActuallyConflictFree) {
-            toast.error("The best schedule found still had conflicts. Please try again or adjust filters. No schedule applied.");
-            return;
-          }
-          const uniqueCourseKey = (course) => `${course.id}-${course.subject}-${course.section}`;
-          const bestScheduleKeys = new Set(bestSchedule.map(uniqueCourseKey));
-          setAllCourses(prev => prev.map(course => ({
-            ...course,
-            isLocked: bestScheduleKeys.has(uniqueCourseKey(course))
-          })));
-          setGeneratedScheduleCount(prev => prev + 1);
-          setGeneratedSchedules(prev => {
-            const newScheduleKeysArray = bestSchedule.map(uniqueCourseKey);
-            const existingIdx = prev.findIndex(sched => sched.length === newScheduleKeysArray.length && sched.every((id, i) => id === newScheduleKeysArray[i]));
-
-            if (existingIdx === -1) {
-              setCurrentScheduleIndex(prev.length);
-              return [...prev, newScheduleKeysArray];
-            } else {
-              setCurrentScheduleIndex(existingIdx);
-              return prev;
-            }
-          });
-          toast.success(`Generated schedule #${generatedScheduleCount + 1} with ${bestSchedule.length} courses (${bestScore - bestSchedule.length * 100} units)`);
-        } else {
-          toast.error("Couldn't generate a valid schedule with current filters");
-        }
+      const outcome = await scheduleWorkerClient.run(allCourses, schedulingConstraints, setSearchProgress);
+
+      if (outcome.status === 'cancelled') {
+        toast.info('Schedule generation stopped.');
         return;
       }
 
-      if (scheduleSearchMode === 'partial') {
-        const bestPartial = generateBestPartialSchedule(filteredCourses, maxUnits, maxClassGapHours, preferredTimeOfDayOrder, minimizeDaysOnCampus);
-        if (bestPartial.length > 0) {
-          const uniqueCourseKey = (course) => `${course.id}-${course.subject}-${course.section}`;
-          const bestScheduleKeys = new Set(bestPartial.map(uniqueCourseKey));
-          setAllCourses(prev => prev.map(course => ({
-            ...course,
-            isLocked: bestScheduleKeys.has(uniqueCourseKey(course))
-          })));
-          setGeneratedScheduleCount(prev => prev + 1);
-          setGeneratedSchedules(prev => {
-            const newScheduleKeysArray = bestPartial.map(uniqueCourseKey);
-            const existingIdx = prev.findIndex(sched => sched.length === newScheduleKeysArray.length && sched.every((id, i) => id === newScheduleKeysArray[i]));
-
-            if (existingIdx === -1) {
-              setCurrentScheduleIndex(prev.length);
-              return [...prev, newScheduleKeysArray];
-            } else {
-              setCurrentScheduleIndex(existingIdx);
-              return prev;
-            }
-          });
-          toast.success(`Generated schedule #${generatedScheduleCount + 1} with ${bestPartial.length} courses (${bestPartial.reduce((sum, c) => sum + (parseFloat(c.creditedUnits || c.units) || 0), 0)} units, ${new Set(bestPartial.map(c => c.subject)).size} subjects)`);
-        } else {
-          toast.error("Couldn't generate a valid partial schedule with current filters");
-        }
+      const { schedules, diagnostics } = outcome.result;
+      if (diagnostics.lockConflicts.length > 0 || diagnostics.duplicateLockedSubjects.length > 0 || diagnostics.unpairedLockedSubjects.length > 0 || diagnostics.lockedBreakViolations.length > 0) {
+        const problems = [
+          ...diagnostics.lockConflicts.map(([a, b]) => `${formatSectionLabel(a)} overlaps ${formatSectionLabel(b)}`),
+          ...diagnostics.duplicateLockedSubjects.map(subject => `${subject} has more than one locked section`),
+          ...diagnostics.unpairedLockedSubjects.map(subject => `the locked lecture and lab of ${subject} are not a valid pair`),
+          ...diagnostics.lockedBreakViolations.map(violation => describeBreakViolation(violation, schedulingConstraints)),
+        ];
+        toast.error(`Your locked sections cannot be kept together: ${problems.join('; ')}. Unlock one of them or turn off "Keep my locked sections".`, { autoClose: false });
         return;
       }
+      diagnostics.newCombinationKeys.forEach(key => triedScheduleCombinations.add(key));
+
+      const conflictFreeSchedules = schedules.filter(schedule => isScheduleConflictFree(schedule.courses));
+      if (conflictFreeSchedules.length < schedules.length) {
+        console.error(
+          "[generateBestSchedule] CRITICAL SAFEGUARD: Conflicts found in generated schedules despite earlier checks. Dropping them.",
+          schedules.filter(schedule => !conflictFreeSchedules.includes(schedule))
+            .map(schedule => schedule.courses.map(c => ({ id: c.id, subject: c.subject, section: c.section, schedule: c.schedule })))
+        );
+      }
 
-
-      const generateCombinationKey = (courses) => {
-        return courses.map(c => c.id).sort().join(',');
-      };
-
-      let bestSchedule = [];
-      let bestScore = -1;
-      let bestTimePrefScore = Infinity;
-      let bestCampusDays = Infinity;
-      let maxAttempts = 1000;
-      let attempts = 0;
-
-      while (attempts < maxAttempts) {
-        attempts++;
-        let currentSchedule = [];
-        Object.values(coursesBySubject).forEach(subjectCourses => {
-          const shuffledCourses = [...subjectCourses].sort(() => Math.random() - 0.5);
-          for (const course of shuffledCourses) {
-            const courseScheduleResult = parseSchedule(course.schedule);
-            if (!courseScheduleResult || courseScheduleResult.isTBA || !courseScheduleResult.allTimeSlots || courseScheduleResult.allTimeSlots.length === 0) {
-              currentSchedule.push(course);
-              break;
-            }
-
-            let hasConflictWithCurrentSelection = false;
-            for (const existingCourse of currentSchedule) {
-              const existingScheduleResult = parseSchedule(existingCourse.schedule);
-              if (!existingScheduleResult || existingScheduleResult.isTBA || !existingScheduleResult.allTimeSlots || existingScheduleResult.allTimeSlots.length === 0) {
-                continue;
-              }
-              for (const newSlot of courseScheduleResult.allTimeSlots) {
-                for (const existingSlot of existingScheduleResult.allTimeSlots) {
-                  const commonDays = newSlot.days.filter(day => existingSlot.days.includes(day));
-                  if (commonDays.length > 0) {
-                    if (newSlot.startTime && newSlot.endTime && existingSlot.startTime && existingSlot.endTime) {
-                      if (checkTimeOverlap(newSlot.startTime, newSlot.endTime, existingSlot.startTime, existingSlot.endTime)) {
-                        hasConflictWithCurrentSelection = true;
-                        break;
-                      }
-                    }
-                  }
-                }
-                if (hasConflictWithCurrentSelection) break;
-              }
-              if (hasConflictWithCurrentSelection) break;
-            }
-            if (!hasConflictWithCurrentSelection) {
-              currentSchedule.push(course);
-              break;
-            }
-          }
-        });
-
-        if (!isScheduleConflictFree(currentSchedule, parseSchedule, checkTimeOverlap)) {
-          continue;
-        }
-        if (exceedsMaxUnits(currentSchedule, maxUnits)) {
-          continue;
-        }
-        if (exceedsMaxGap(currentSchedule, maxClassGapHours)) {
-          continue;
-        }
-
-        const scheduleKey = generateCombinationKey(currentSchedule);
-        if (triedScheduleCombinations.has(scheduleKey)) {
-          continue;
-        }
-        triedScheduleCombinations.add(scheduleKey);
-
-        const totalCourses = currentSchedule.length;
-        const totalUnits = currentSchedule.reduce((sum, course) => {
-          const units = parseFloat(course.creditedUnits || course.units);
-          return isNaN(units) ? sum : sum + units;
-        }, 0);
-        const score = totalCourses * 100 + totalUnits;
-        const timePrefScore = scoreScheduleByTimePreference(currentSchedule, preferredTimeOfDayOrder);
-        const campusDays = minimizeDaysOnCampus ? countCampusDays(currentSchedule) : 0;
-
-        if (minimizeDaysOnCampus) {
-          if (
-            campusDays < bestCampusDays ||
-            (campusDays === bestCampusDays && score > bestScore) ||
-            (campusDays === bestCampusDays && score === bestScore && timePrefScore < bestTimePrefScore)
-          ) {
-            bestCampusDays = campusDays;
-            bestScore = score;
-            bestTimePrefScore = timePrefScore;
-            bestSchedule = currentSchedule;
-          }
-        } else {
-          if (
-            score > bestScore ||
-            (score === bestScore && timePrefScore < bestTimePrefScore)
-          ) {
-            bestScore = score;
-            bestTimePrefScore = timePrefScore;
-            bestCampusDays = campusDays;
-            bestSchedule = currentSchedule;
-          }
-        }
-
-        if (bestSchedule.length === Object.keys(coursesBySubject).length) {
-          break;
-        }
+      if (schedules.length > 0 && conflictFreeSchedules.length === 0) {
+        toast.error("The schedules found still had conflicts. Please try again or adjust filters. No schedule applied.");
+        return;
       }
 
-      if (bestSchedule.length > 0) {
-        const isActuallyConflictFree = isScheduleConflictFree(bestSchedule, parseSchedule, checkTimeOverlap);
-        console.log(
-          '[generateBestSchedule] Final bestSchedule (length:', bestSchedule.length, ') before applying. Is conflict-free according to isScheduleConflictFree():', isActuallyConflictFree,
-          'Courses:', bestSchedule.map(c => ({ id: c.id, subject: c.subject, section: c.section, schedule: c.schedule }))
-        );
-        if (!isActuallyConflictFree) {
-          toast.error("The best schedule found still had conflicts. Please try again or adjust filters. No schedule applied.");
-          console.error(
-            "[generateBestSchedule] CRITICAL SAFEGUARD: Conflict found in final bestSchedule despite earlier checks. Aborting application.",
-            bestSchedule.map(c => ({ id: c.id, subject: c.subject, section: c.section, schedule: c.schedule }))
-          );
-          return;
-        }
+      setFailedRunOmissions(conflictFreeSchedules.length > 0 ? [] : diagnostics.omittedSubjects);
 
-        const uniqueCourseKey = (course) => `${course.id}-${course.subject}-${course.section}`;
-        const bestScheduleKeys = new Set(bestSchedule.map(uniqueCourseKey));
+      if (conflictFreeSchedules.length > 0) {
+        const { courses: bestSchedule, totalUnits: bestUnits, subjectCount, omittedSubjects } = conflictFreeSchedules[0];
+        const bestScheduleKeys = new Set(bestSchedule.map(getCourseKey));
         setAllCourses(prev => prev.map(course => ({
           ...course,
-          isLocked: bestScheduleKeys.has(uniqueCourseKey(course))
+          isLocked: bestScheduleKeys.has(getCourseKey(course))
         })));
         setGeneratedScheduleCount(prev => prev + 1);
-        setGeneratedSchedules(prev => {
-          const newScheduleKeysArray = bestSchedule.map(uniqueCourseKey);
-          const existingIdx = prev.findIndex(sched => sched.length === newScheduleKeysArray.length && sched.every((id, i) => id === newScheduleKeysArray[i]));
-
+        const nextSchedules = [...generatedSchedules];
+        let bestIdx = -1;
+        conflictFreeSchedules.forEach((schedule, rankIdx) => {
+          const { courses, omittedSubjects: scheduleOmissions, ...summary } = schedule;
+          const courseKeys = courses.map(getCourseKey).sort();
+          let existingIdx = nextSchedules.findIndex(entry => entry.courseKeys.length === courseKeys.length && entry.courseKeys.every((id, i) => id === courseKeys[i]));
           if (existingIdx === -1) {
-            setCurrentScheduleIndex(prev.length);
-            return [...prev, newScheduleKeysArray];
-          } else {
-            setCurrentScheduleIndex(existingIdx);
-            return prev;
+            nextSchedules.push({ courseKeys, summary: { ...summary, seed: diagnostics.seed }, omittedSubjects: scheduleOmissions });
+            existingIdx = nextSchedules.length - 1;
           }
+          if (rankIdx === 0) bestIdx = existingIdx;
         });
-        toast.success(`Generated schedule #${generatedScheduleCount + 1} with ${bestSchedule.length} courses (${bestScore - bestSchedule.length * 100} units)`);
+        setGeneratedSchedules(nextSchedules);
+        if (bestIdx !== -1) setCurrentScheduleIndex(bestIdx);
+        toast.success(`Generated ${conflictFreeSchedules.length} ranked schedule${conflictFreeSchedules.length === 1 ? '' : 's'} (run #${generatedScheduleCount + 1}). Best: ${bestSchedule.length} courses, ${bestUnits} units, ${subjectCount} subjects`);
+        if (diagnostics.optimality === 'proven') {
+          toast.info('Optimal search finished: no better schedule exists under your constraints.');
+        } else if (diagnostics.optimality === 'timeout') {
+          toast.warning(`Optimal search stopped after ${optimalTimeLimitSeconds} seconds. These are the best schedules found so far, but better ones may exist. Raise the time limit to keep searching.`);
+        }
+        if (omittedSubjects.length > 0) {
+          toast.info(`${omittedSubjects.length} subject${omittedSubjects.length === 1 ? ' was' : 's were'} left out. See "Why were some subjects left out?" for details.`);
+        }
+      } else if (diagnostics.unitShortfall !== null) {
+        toast.error(`No schedule reaches the ${minUnits}-unit minimum; the closest one is ${diagnostics.unitShortfall} unit${diagnostics.unitShortfall === 1 ? '' : 's'} short. Lower the minimum or relax other filters.`);
+      } else if (diagnostics.missingRequiredSubjects.length > 0) {
+        toast.error(`Required subject${diagnostics.missingRequiredSubjects.length === 1 ? '' : 's'} ${diagnostics.missingRequiredSubjects.join(', ')} could not be scheduled. See "Why no schedule could be generated" for details.`);
       } else {
-        toast.error("Couldn't generate a valid schedule with current filters");
+        toast.error(scheduleSearchMode === 'partial' || scheduleSearchMode === 'optimal'
+          ? "Couldn't generate a valid partial schedule with current filters"
+          : "Couldn't generate a valid schedule with current filters");
       }
+    } catch (error) {
+      console.error("Error generating schedule:", error);
+      toast.error(`Error generating schedule: ${error.message}`);
     } finally {
       setIsGenerating(false);
+      setSearchProgress(null);
     }
   };
 
+  const handleStopGenerating = () => {
+    scheduleWorkerClient.cancel();
+  };
+
+  useEffect(() => {
+    return () => scheduleWorkerClient.dispose();
+  }, [scheduleWorkerClient]);
+
   useEffect(() => {
     if (generatedSchedules.length === 0) {
       setCurrentScheduleIndex(0);
@@ -1298,13 +991,13 @@ function App() {
           </div>
           <div className="auto-schedule-controls">
             <button
-              className="generate-schedule-button"
-              onClick={generateBestSchedule}
-              disabled={allCourses.length === 0 || isGenerating}
+              className={`generate-schedule-button${isGenerating ? ' stop-generating' : ''}`}
+              onClick={isGenerating ? handleStopGenerating : generateBestSchedule}
+              disabled={allCourses.length === 0 && !isGenerating}
             >
               {isGenerating ? (
                 <>
-                  Generating...
+                  Stop
                   <span className="spinner" style={{ marginLeft: 8, display: 'inline-block', width: 16, height: 16, border: '2px solid rgba(255,255,255,0.3)', borderTop: '2px solid white', borderRadius: '50%', animation: 'spin 1s linear infinite' }} />
                 </>
               ) : (
@@ -1313,10 +1006,17 @@ function App() {
                     <path d="M12 22c5.523 0 10-4.477 10-10S17.523 2 12 2 2 6.477 2 12s4.477 10 10 10z"></path>
                     <path d="m9 12 2 2 4-4"></path>
                   </svg>
-                  {generatedSchedules.length > 0 ? 'Generate Next Schedule' : 'Generate Schedule'}
+                  {generatedSchedules.length > 0 ? 'Generate More Schedules' : 'Generate Schedules'}
                 </>
               )}
             </button>
+            {isGenerating && (
+              <span className="search-progress" aria-live="polite">
+                {searchProgress
+                  ? `Explored ${searchProgress.nodesExplored.toLocaleString()} nodes · best score ${searchProgress.bestScore !== null ? Math.round(searchProgress.bestScore * 10) / 10 : '—'}`
+                  : 'Searching...'}
+              </span>
+            )}
             {generatedSchedules.length > 1 && (
               <>
                 <button onClick={handlePrevSchedule} aria-label="Previous Schedule">
@@ -1328,16 +1028,25 @@ function App() {
                 <span style={{ margin: '0 8px', display: 'flex', alignItems: 'center', padding: '0 8px', background: 'var(--accent-light)', borderRadius: 'var(--border-radius-md)', color: 'var(--accent)', fontWeight: 'var(--font-weight-medium)' }}>
                   Schedule {currentScheduleIndex + 1} of {generatedSchedules.length}
                 </span>
+                {generatedSchedules[currentScheduleIndex]?.summary && (
+                  <span className="schedule-summary">
+                    {generatedSchedules[currentScheduleIndex].summary.subjectCount} subjects · {generatedSchedules[currentScheduleIndex].summary.totalUnits} units · {generatedSchedules[currentScheduleIndex].summary.campusDays} campus days · score {Math.round(generatedSchedules[currentScheduleIndex].summary.score * 10) / 10}
+                    {generatedSchedules[currentScheduleIndex].summary.seed != null && ` · seed ${generatedSchedules[currentScheduleIndex].summary.seed}`}
+                  </span>
+                )}
                 <button onClick={handleNextSchedule} aria-label="Next Schedule">
                   Next
                   <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
                     <path d="m9 18 6-6-6-6"></path>
                   </svg>
                 </button>
+                <button onClick={() => setShowScheduleComparison(prev => !prev)} aria-pressed={showScheduleComparison}>
+                  {showScheduleComparison ? 'Hide Comparison' : 'Compare Schedules'}
+                </button>
               </>
             )}
             {generatedSchedules.length > 0 && (
-              <button onClick={handleClearGeneratedSchedules} className="danger-button">
+              <button onClick={handleClearGeneratedSchedules} className="danger-button" disabled={isGenerating}>
                 <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
                   <path d="M3 6h18"></path>
                   <path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"></path>
@@ -1349,6 +1058,21 @@ function App() {
           </div>
         </div>
 
+        <UnscheduledSubjectsReport
+          omissions={generatedSchedules.length > 0 ? generatedSchedules[currentScheduleIndex]?.omittedSubjects : failedRunOmissions}
+          title={generatedSchedules.length > 0 ? 'Why were some subjects left out?' : 'Why no schedule could be generated'}
+        />
+
+        {showScheduleComparison && generatedSchedules.length > 1 && (
+          <ScheduleComparison
+            schedules={comparableSchedules}
+            initialSelection={[currentScheduleIndex, (currentScheduleIndex + 1) % generatedSchedules.length]}
+            preferredTimeOfDayOrder={preferredTimeOfDayOrder}
+            onApply={applyScheduleByIndex}
+            onClose={() => setShowScheduleComparison(false)}
+          />
+        )}
+
         {lockedCoursesCount > 0 && (
           <div className="timetable-section">
             <div className="section-container">
@@ -1380,7 +1104,12 @@ function App() {
                 </button>
               </div>
               {showTimetable && (
-                <TimetableView lockedCourses={lockedCourses} conflictingLockedCourseIds={conflictingLockedCourseIds} />
+                <TimetableView
+                  lockedCourses={lockedCourses}
+                  conflictingLockedCourseKeys={conflictingLockedCourseKeys}
+                  breakRules={{ lunchBreak, minTransitionMinutes }}
+                  buildingMap={buildingMap}
+                />
               )}
               {!showTimetable && lockedCoursesCount > 0 && (
                 <div className="timetable-summary">
@@ -1408,7 +1137,8 @@ function App() {
                         {'Schedule Search Modes:\n'}
                         {'- Recommended (Flexible, Best Fit): Maximizes the number of subjects and units in your schedule, even if not all subjects fit. Best for most users.\n'}
                         {'- Full Coverage (All Subjects, Strict): Only generates a schedule if all subjects can fit within your constraints. Use if you must take every subject.\n'}
-                        {'- Quick (Fast, May Miss Best): Finds a schedule quickly, but may not be the best possible combination.'}
+                        {'- Quick (Fast, May Miss Best): Finds a schedule quickly, but may not be the best possible combination.\n'}
+                        {'- Optimal (Exact, Proven Best): Ranks like Recommended but checks every possibility it cannot rule out, for any number of subjects. Reports whether the result is proven best or the time limit was reached.'}
                       </span>
                     }
                     arrow
@@ -1426,15 +1156,143 @@ function App() {
                   <option value="partial">Recommended (Flexible, Best Fit)</option>
                   <option value="exhaustive">Full Coverage (All Subjects, Strict)</option>
                   <option value="fast">Quick (Fast, May Miss Best)</option>
+                  <option value="optimal">Optimal (Exact, Proven Best)</option>
                 </select>
               </div>
+              {(scheduleSearchMode === 'fast' || scheduleSearchMode === 'partial') && (
+                <div className="preference-item">
+                  <label htmlFor="searchSeedInput" className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+                    Random Seed
+                    <Tooltip
+                      title={
+                        <span style={{ whiteSpace: 'pre-line' }}>
+                          {'Quick mode, and Recommended mode with many sections, try combinations in a random order.\n'}
+                          {'Each run shows the seed it used next to the schedule. Enter that seed here to get the same schedules again from the same data and settings.\n'}
+                          {`Leave blank for a new seed every run. Whole numbers from 0 to ${MAX_SEED}.`}
+                        </span>
+                      }
+                      arrow
+                      placement="right"
+                    >
+                      <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+                    </Tooltip>
+                  </label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    id="searchSeedInput"
+                    value={searchSeed}
+                    onChange={handleSearchSeedChange}
+                    placeholder="New seed each run"
+                    className="preference-input"
+                  />
+                </div>
+              )}
+              {scheduleSearchMode === 'optimal' && (
+                <div className="preference-item">
+                  <label htmlFor="optimalTimeLimitInput" className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+                    Optimal Search Time Limit (seconds)
+                    <Tooltip
+                      title={
+                        <span style={{ whiteSpace: 'pre-line' }}>
+                          {'The optimal search stops after this many seconds and keeps the best schedules found so far.\n'}
+                          {`You are told whether the result was proven best or the limit was reached. Between 1 and ${MAX_OPTIMAL_TIME_LIMIT_SECONDS}.`}
+                        </span>
+                      }
+                      arrow
+                      placement="right"
+                    >
+                      <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+                    </Tooltip>
+                  </label>
+                  <input
+                    type="number"
+                    id="optimalTimeLimitInput"
+                    value={optimalTimeLimitSeconds}
+                    onChange={handleOptimalTimeLimitChange}
+                    min="1"
+                    max={MAX_OPTIMAL_TIME_LIMIT_SECONDS}
+                    className="preference-input"
+                  />
+                </div>
+              )}
               <div className="preference-item">
-                <label htmlFor="maxUnitsInput" className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
-                  Maximum Units
+                <label htmlFor="resultLimitInput" className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+                  Number of Alternatives
                   <Tooltip
                     title={
                       <span style={{ whiteSpace: 'pre-line' }}>
-                        {'Set the maximum total number of units you want in your schedule.\n'}
+                        {'How many distinct schedules each generation returns, best first.\n'}
+                        {`Browse them with Previous/Next. Between 1 and ${MAX_RESULT_LIMIT}.`}
+                      </span>
+                    }
+                    arrow
+                    placement="right"
+                  >
+                    <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+                  </Tooltip>
+                </label>
+                <input
+                  type="number"
+                  id="resultLimitInput"
+                  value={resultLimit}
+                  onChange={handleResultLimitChange}
+                  min="1"
+                  max={MAX_RESULT_LIMIT}
+                  className="preference-input"
+                />
+              </div>
+              <div className="preference-item">
+                <label htmlFor="minUnitsInput" className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+                  Units
+                  <Tooltip
+                    title={
+                      <span style={{ whiteSpace: 'pre-line' }}>
+                        {'Set the minimum and maximum total number of units you want in your schedule.\n'}
+                        {'Schedules below the minimum are not generated; if none reach it, you are told how many units the closest one is short.\n'}
+                        {'Leave either blank for no limit.'}
+                      </span>
+                    }
+                    arrow
+                    placement="right"
+                  >
+                    <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+                  </Tooltip>
+                </label>
+                <div className="unit-range-inputs">
+                  <input
+                    type="number"
+                    id="minUnitsInput"
+                    aria-label="Minimum units"
+                    value={minUnits}
+                    onChange={handleUnitLimitChange(setMinUnits)}
+                    placeholder="Min, e.g., 15"
+                    min="0"
+                    className="preference-input"
+                  />
+                  <span>to</span>
+                  <input
+                    type="number"
+                    id="maxUnitsInput"
+                    aria-label="Maximum units"
+                    value={maxUnits}
+                    onChange={handleUnitLimitChange(setMaxUnits)}
+                    placeholder="Max, e.g., 18"
+                    min="0"
+                    className="preference-input"
+                  />
+                </div>
+                {minUnits !== '' && maxUnits !== '' && parseInt(minUnits, 10) > parseInt(maxUnits, 10) && (
+                  <p className="schedule-comparison-hint">The minimum is above the maximum, so no schedule can fit.</p>
+                )}
+              </div>
+              <div className="preference-item">
+                <label htmlFor="maxHoursPerDayInput" className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+                  Maximum Hours per Day
+                  <Tooltip
+                    title={
+                      <span style={{ whiteSpace: 'pre-line' }}>
+                        {'Set the most hours of class you want on any single day, counting only time in class.\n'}
                         {'Leave blank for no limit.'}
                       </span>
                     }
@@ -1446,11 +1304,39 @@ function App() {
                 </label>
                 <input
                   type="number"
-                  id="maxUnitsInput"
-                  value={maxUnits}
-                  onChange={handleMaxUnitsChange}
-                  placeholder="e.g., 18"
+                  id="maxHoursPerDayInput"
+                  value={maxHoursPerDay}
+                  onChange={handleHoursLimitChange(setMaxHoursPerDay)}
+                  placeholder="e.g., 6"
                   min="0"
+                  step="0.5"
+                  className="preference-input"
+                />
+              </div>
+              <div className="preference-item">
+                <label htmlFor="maxConsecutiveHoursInput" className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+                  Maximum Consecutive Hours
+                  <Tooltip
+                    title={
+                      <span style={{ whiteSpace: 'pre-line' }}>
+                        {'Set the most hours of back-to-back classes you want without any free time in between.\n'}
+                        {'Leave blank for no limit.'}
+                      </span>
+                    }
+                    arrow
+                    placement="right"
+                  >
+                    <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+                  </Tooltip>
+                </label>
+                <input
+                  type="number"
+                  id="maxConsecutiveHoursInput"
+                  value={maxConsecutiveHours}
+                  onChange={handleHoursLimitChange(setMaxConsecutiveHours)}
+                  placeholder="e.g., 3"
+                  min="0"
+                  step="0.5"
                   className="preference-input"
                 />
               </div>
@@ -1485,6 +1371,131 @@ function App() {
                   })}
                 </select>
               </div>
+              <div className="preference-item">
+                <label htmlFor="lunchBreakMinutes" className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+                  Lunch Break
+                  <Tooltip
+                    title={
+                      <span style={{ whiteSpace: 'pre-line' }}>
+                        {'Keeps a free stretch of at least this long inside the window on every day you have a face-to-face class.\n'}
+                        {'Locked sections that already break it are flagged in the Timetable View.'}
+                      </span>
+                    }
+                    arrow
+                    placement="right"
+                  >
+                    <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+                  </Tooltip>
+                </label>
+                <div className="lunch-break-inputs">
+                  <select
+                    id="lunchBreakMinutes"
+                    value={lunchBreak.minutes}
+                    onChange={e => setLunchBreak(prev => ({ ...prev, minutes: parseInt(e.target.value, 10) }))}
+                    className="preference-select"
+                  >
+                    <option value={0}>Off</option>
+                    {LUNCH_BREAK_MINUTES.map(minutes => <option key={minutes} value={minutes}>{minutes} minutes</option>)}
+                  </select>
+                  <span>between</span>
+                  <select
+                    aria-label="Lunch window start"
+                    value={lunchBreak.start}
+                    onChange={e => setLunchBreak(prev => ({ ...prev, start: e.target.value }))}
+                    className="preference-select"
+                    disabled={!lunchBreak.minutes}
+                  >
+                    {LUNCH_WINDOW_TIMES.filter(time => time < lunchBreak.end).map(time => <option key={time} value={time}>{time}</option>)}
+                  </select>
+                  <span>and</span>
+                  <select
+                    aria-label="Lunch window end"
+                    value={lunchBreak.end}
+                    onChange={e => setLunchBreak(prev => ({ ...prev, end: e.target.value }))}
+                    className="preference-select"
+                    disabled={!lunchBreak.minutes}
+                  >
+                    {LUNCH_WINDOW_TIMES.filter(time => time > lunchBreak.start).map(time => <option key={time} value={time}>{time}</option>)}
+                  </select>
+                </div>
+              </div>
+              <div className="preference-item">
+                <label htmlFor="minTransitionSelect" className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+                  Minimum Time Between Classes
+                  <Tooltip
+                    title={
+                      <span style={{ whiteSpace: 'pre-line' }}>
+                        {'Leaves at least this long between the end of one class and the start of the next on the same day, e.g. to walk between buildings.\n'}
+                        {'Locked sections that already break it are flagged in the Timetable View.'}
+                      </span>
+                    }
+                    arrow
+                    placement="right"
+                  >
+                    <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+                  </Tooltip>
+                </label>
+                <select
+                  id="minTransitionSelect"
+                  value={minTransitionMinutes}
+                  onChange={e => setMinTransitionMinutes(parseInt(e.target.value, 10))}
+                  className="preference-select"
+                >
+                  <option value={0}>None (back-to-back allowed)</option>
+                  {TRANSITION_MINUTES.map(minutes => <option key={minutes} value={minutes}>{minutes} minutes</option>)}
+                </select>
+              </div>
+              <div className="preference-item">
+                <label htmlFor="blockPreferenceSelect" className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+                  Section Block
+                  <Tooltip
+                    title={
+                      <span style={{ whiteSpace: 'pre-line' }}>
+                        {'A block is the section code without its type, e.g. G01-AP4 and G01L-AP4 are both block G01.\n'}
+                        {`- Prefer same block: every extra block costs at least ${PREFERRED_BLOCK_WEIGHT} points of score (see Block consistency in the Scoring Profile).\n`}
+                        {'- Require same block: only keep schedules where every section is from one block.'}
+                      </span>
+                    }
+                    arrow
+                    placement="right"
+                  >
+                    <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+                  </Tooltip>
+                </label>
+                <select
+                  id="blockPreferenceSelect"
+                  value={blockPreference}
+                  onChange={e => setBlockPreference(e.target.value)}
+                  className="preference-select"
+                >
+                  <option value="off">Any</option>
+                  <option value="prefer">Prefer same block</option>
+                  <option value="require">Require same block</option>
+                </select>
+              </div>
+              <div className="preference-item">
+                <label htmlFor="keepLockedCourses" className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+                  <input
+                    type="checkbox"
+                    id="keepLockedCourses"
+                    checked={keepLockedCourses}
+                    onChange={(e) => setKeepLockedCourses(e.target.checked)}
+                  />
+                  <span>Keep my locked sections</span>
+                  <Tooltip
+                    title={
+                      <span style={{ whiteSpace: 'pre-line' }}>
+                        {'When checked, sections you locked stay fixed and generation only fills the remaining subjects around them.\n'}
+                        {'Locked sections are kept even if the filters would hide them. Generation fails if two locked sections overlap.'}
+                      </span>
+                    }
+                    arrow
+                    placement="right"
+                  >
+                    <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+                  </Tooltip>
+                </label>
+              </div>
               <div className="preference-item">
                 <label htmlFor="minimizeDaysOnCampus" className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
                   <input
@@ -1508,6 +1519,40 @@ function App() {
                   </Tooltip>
                 </label>
               </div>
+              <div className="preference-item">
+                <label className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+                  Preferred Modality by Day
+                  <Tooltip
+                    title={
+                      <span style={{ whiteSpace: 'pre-line' }}>
+                        {'For example, set S to Online to prefer online classes on Saturdays.\n'}
+                        {'Every class meeting taught the other way on that day costs points (Day modality in the Scoring Profile). A class is online when its room mentions "online".'}
+                      </span>
+                    }
+                    arrow
+                    placement="right"
+                  >
+                    <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+                  </Tooltip>
+                </label>
+                <div className="modality-preference-inputs">
+                  {DAY_CODES.map(day => (
+                    <label key={day} className="modality-preference-day">
+                      <span>{day}</span>
+                      <select
+                        aria-label={`Preferred modality on ${day}`}
+                        value={modalityPreferences[day] || ''}
+                        onChange={e => handleModalityPreferenceChange(day, e.target.value)}
+                        className="preference-select"
+                      >
+                        <option value="">Either</option>
+                        <option value="online">Online</option>
+                        <option value="face-to-face">Face-to-Face</option>
+                      </select>
+                    </label>
+                  ))}
+                </div>
+              </div>
             </div>
             <div className="preference-item preferred-time-preference-item">
               <label className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
@@ -1573,8 +1618,28 @@ function App() {
               </div>
             </div>
           </div>
+          <ScoringProfile profile={scoringProfile} onProfileChange={setScoringProfile} />
         </div>
 
+        {subjectNames.length > 0 && (
+          <div className="section-container">
+            <SubjectPriorities
+              subjects={subjectNames}
+              priorities={subjectPriorities}
+              onPriorityChange={handleSubjectPriorityChange}
+              lockedSubjects={lockedSubjects}
+            />
+            <SectionLinks
+              courses={allCourses}
+              links={effectiveSubjectLinks}
+              isCustomized={subjectLinks !== null}
+              onLinksChange={setSubjectLinks}
+              onResetLinks={() => setSubjectLinks(null)}
+            />
+            <BuildingMap courses={allCourses} buildingMap={buildingMap} onBuildingMapChange={setBuildingMap} />
+          </div>
+        )}
+
         <div className="section-container">
           <h2>Course Filters</h2>
           <div className="preferences-filters-grid">
@@ -1585,6 +1650,8 @@ function App() {
               onTimeRangeChange={handleTimeRangeChange}
               onAddTimeRange={handleAddTimeRange}
               onRemoveTimeRange={handleRemoveTimeRange}
+              dayTimeBounds={dayTimeBounds}
+              onDayTimeBoundChange={handleDayTimeBoundChange}
             />
             <div className="filter-section">
               <label className="filter-label">Class Types:</label>
@@ -1607,9 +1674,42 @@ function App() {
                 })}
               </div>
             </div>
+            <div className="filter-section">
+              <label className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+                Modality:
+                <Tooltip
+                  title={
+                    <span style={{ whiteSpace: 'pre-line' }}>
+                      {'Judged from the rooms: a section is online when every room mentions "online", face-to-face when none does, and hybrid otherwise.\n'}
+                      {'Sections with a TBA schedule are always kept.'}
+                    </span>
+                  }
+                  arrow
+                  placement="right"
+                >
+                  <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+                </Tooltip>
+              </label>
+              <div className="section-type-filters">
+                {MODALITY_FILTERS.map(filter => (
+                  <label key={filter} className="section-type-checkbox">
+                    <input
+                      type="radio"
+                      name="modalityFilter"
+                      value={filter}
+                      checked={modalityFilter === filter}
+                      onChange={() => setModalityFilter(filter)}
+                    />
+                    <span>{MODALITY_FILTER_LABELS[filter]}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
           </div>
         </div>
 
+        <AvailabilityChanges changes={availabilityChanges} onDismiss={() => setAvailabilityChanges(null)} />
+
         <CourseTable
           courses={processedCourses}
           allCoursesCount={allCourses.length}
@@ -1619,7 +1719,7 @@ function App() {
           onStatusFilterChange={handleStatusFilterChange}
           onDeleteCourse={handleDeleteCourse}
           onToggleLockCourse={handleToggleLockCourse}
-          conflictingLockedCourseIds={conflictingLockedCourseIds}
+          conflictingLockedCourseKeys={conflictingLockedCourseKeys}
           onClearAllLocks={handleClearAllLocks}
           onDeleteAllCourses={handleDeleteAllCourses}
           totalUnitsDisplay={totalUnits}
@@ -1636,9 +1736,25 @@ function App() {
             value={rawData}
             onChange={(e) => setRawData(e.target.value)}
             onSubmit={handleLoadRawData}
+            formats={getImportAdapters().filter(adapter => !adapter.requiresMapping || columnMapping)}
+            format={effectiveImportFormat}
+            onFormatChange={setImportFormat}
+            columnMapping={columnMapping}
+            onColumnMappingChange={handleColumnMappingChange}
+            mappingDraft={columnMappingDraft}
+            onMappingDraftChange={setColumnMappingDraft}
           />
         </div>
       </div>
+      {importReview && (
+        <ImportReviewDialog
+          courses={importReview.courses}
+          issues={importReview.issues}
+          onConfirm={handleConfirmImport}
+          onCancel={() => setImportReview(null)}
+          onMapColumns={handleMapColumnsFromReview}
+        />
+      )}
       <ConfirmDialog
         open={confirmDialog.open}
         title={confirmDialog.title}
@@ -0,0 +1,62 @@
+import { formatSectionLabel } from '../scheduler';
+import { getFillRate } from '../utils/mergeImportedCourses';
+
+const formatSeats = (course) => `${course.enrolled}/${course.totalSlots} (${Math.round(getFillRate(course) * 100)}%)`;
+
+/**
+ * Shows which sections closed, reopened or filled up since the previous import of the same table.
+ *
+ * @param {object} props
+ * @param {import('../utils/mergeImportedCourses').AvailabilityChanges|null} props.changes
+ * @param {function} props.onDismiss
+ */
+function AvailabilityChanges({ changes, onDismiss }) {
+  if (!changes) return null;
+  const { closed, reopened, fillChanges, lockedClosed } = changes;
+
+  return (
+    <div className="section-container availability-changes">
+      <div className="availability-changes-header">
+        <h2>Changes Since Last Import</h2>
+        <button type="button" onClick={onDismiss}>Dismiss</button>
+      </div>
+      {lockedClosed.length > 0 && (
+        <div className="availability-locked-warning" role="alert">
+          <strong>⚠️ Locked section{lockedClosed.length === 1 ? ' has' : 's have'} closed:</strong>{' '}
+          {lockedClosed.map(({ after }) => formatSectionLabel(after)).join(', ')}. Pick another section before you enlist.
+        </div>
+      )}
+      {closed.length > 0 && (
+        <p>
+          <strong>Just closed ({closed.length}):</strong>{' '}
+          {closed.map(({ after }) => formatSectionLabel(after)).join(', ')}
+        </p>
+      )}
+      {reopened.length > 0 && (
+        <p>
+          <strong>Reopened ({reopened.length}):</strong>{' '}
+          {reopened.map(({ after }) => formatSectionLabel(after)).join(', ')}
+        </p>
+      )}
+      {fillChanges.length > 0 && (
+        <details>
+          <summary>Fill rates moved for {fillChanges.length} section{fillChanges.length === 1 ? '' : 's'}</summary>
+          <ul className="availability-fill-list">
+            {fillChanges.map(({ before, after }) => {
+              const delta = after.enrolled - before.enrolled;
+              return (
+                <li key={`${after.id}-${after.subject}-${after.section}`}>
+                  <span className="unscheduled-report-section">{formatSectionLabel(after)}</span>
+                  {`: ${formatSeats(before)} → ${formatSeats(after)}`}
+                  {delta !== 0 && <span className={delta > 0 ? 'availability-delta-up' : 'availability-delta-down'}> {delta > 0 ? `+${delta}` : delta}</span>}
+                </li>
+              );
+            })}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
+
+export default AvailabilityChanges;
@@ -0,0 +1,168 @@
+import InfoOutlinedIcon from '@mui/icons-material/InfoOutlined';
+import Tooltip from '@mui/material/Tooltip';
+import { useMemo, useState } from 'react';
+import { collectBuildings, normalizeBuildingMap } from '../scheduler';
+
+/**
+ * Edits which building each room is in and the walking time between buildings.
+ *
+ * @param {object} props
+ * @param {import('../utils/parseRawData').Course[]} props.courses - All imported courses, to list their buildings.
+ * @param {import('../scheduler/buildings').BuildingMap} props.buildingMap - Normalized.
+ * @param {function(import('../scheduler/buildings').BuildingMap): void} props.onBuildingMapChange - Receives a normalized map.
+ */
+function BuildingMap({ courses, buildingMap, onBuildingMapChange }) {
+  const [newPrefix, setNewPrefix] = useState('');
+  const [newBuilding, setNewBuilding] = useState('');
+  const [travelFrom, setTravelFrom] = useState('');
+  const [travelTo, setTravelTo] = useState('');
+  const [travelMinutes, setTravelMinutes] = useState('');
+  // What the user is typing in the default-walk field, or null to show the saved value.
+  const [defaultMinutesDraft, setDefaultMinutesDraft] = useState(null);
+
+  const buildings = useMemo(() => collectBuildings(courses, buildingMap), [courses, buildingMap]);
+  const update = (changes) => onBuildingMapChange(normalizeBuildingMap({ ...buildingMap, ...changes }));
+
+  const handleAddRoom = () => {
+    if (!newPrefix.trim() || !newBuilding.trim()) return;
+    const prefix = newPrefix.trim().toUpperCase();
+    update({ rooms: [...buildingMap.rooms.filter(entry => entry.prefix !== prefix), { prefix, building: newBuilding }] });
+    setNewPrefix('');
+    setNewBuilding('');
+  };
+
+  const handleAddTravel = () => {
+    const minutes = parseFloat(travelMinutes);
+    if (!travelFrom || !travelTo || travelFrom === travelTo || isNaN(minutes)) return;
+    const others = buildingMap.travelMinutes.filter(entry =>
+      !((entry.from === travelFrom && entry.to === travelTo) || (entry.from === travelTo && entry.to === travelFrom))
+    );
+    update({ travelMinutes: [...others, { from: travelFrom, to: travelTo, minutes }] });
+    setTravelFrom('');
+    setTravelTo('');
+    setTravelMinutes('');
+  };
+
+  const handleDefaultMinutesChange = (value) => {
+    setDefaultMinutesDraft(value);
+    const minutes = parseFloat(value);
+    if (!isNaN(minutes) && minutes >= 0) update({ defaultMinutes: minutes });
+  };
+
+  const handleDefaultMinutesBlur = () => {
+    if (defaultMinutesDraft === null) return;
+    update({ defaultMinutes: defaultMinutesDraft });
+    setDefaultMinutesDraft(null);
+  };
+
+  if (buildings.length === 0) return null;
+
+  return (
+    <div className="building-map">
+      <div className="subject-priorities-header">
+        <span className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+          Buildings &amp; Walking Times
+          <Tooltip
+            title={
+              <span style={{ whiteSpace: 'pre-line' }}>
+                {'A room belongs to the building named by its leading letters (ACAD309 is in ACAD) unless a room prefix below says otherwise.\n'}
+                {'When two classes in a row leave less time than the walk between their buildings, the schedule loses points (see Tight walks in the Scoring Profile) and the Timetable View flags them.'}
+              </span>
+            }
+            arrow
+            placement="right"
+          >
+            <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+          </Tooltip>
+        </span>
+      </div>
+      <p className="schedule-comparison-hint">Buildings in your courses: {buildings.join(', ')}</p>
+
+      <ul className="subject-priorities-list">
+        {buildingMap.rooms.map(entry => (
+          <li key={entry.prefix} className="section-link-row">
+            <span className="subject-priority-name">Rooms starting with {entry.prefix} are in {entry.building}</span>
+            <button
+              type="button"
+              aria-label={`Remove room prefix ${entry.prefix}`}
+              onClick={() => update({ rooms: buildingMap.rooms.filter(other => other !== entry) })}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="section-link-add">
+        <input
+          type="text"
+          aria-label="Room prefix"
+          className="preference-input"
+          placeholder="Room prefix, e.g. RTL"
+          value={newPrefix}
+          onChange={e => setNewPrefix(e.target.value)}
+        />
+        <input
+          type="text"
+          aria-label="Building code"
+          className="preference-input"
+          placeholder="Building, e.g. GLE"
+          value={newBuilding}
+          onChange={e => setNewBuilding(e.target.value)}
+        />
+        <button type="button" onClick={handleAddRoom} disabled={!newPrefix.trim() || !newBuilding.trim()}>Add Room Prefix</button>
+      </div>
+
+      <ul className="subject-priorities-list building-travel-list">
+        {buildingMap.travelMinutes.map(entry => (
+          <li key={`${entry.from}-${entry.to}`} className="section-link-row">
+            <span className="subject-priority-name">{entry.from} ↔ {entry.to}</span>
+            <span className="section-link-pairs">{entry.minutes} min walk</span>
+            <button
+              type="button"
+              aria-label={`Remove walking time between ${entry.from} and ${entry.to}`}
+              onClick={() => update({ travelMinutes: buildingMap.travelMinutes.filter(other => other !== entry) })}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+      {buildings.length >= 2 && (
+        <div className="section-link-add">
+          <select aria-label="From building" className="preference-select" value={travelFrom} onChange={e => setTravelFrom(e.target.value)}>
+            <option value="">From building</option>
+            {buildings.map(building => <option key={building} value={building}>{building}</option>)}
+          </select>
+          <select aria-label="To building" className="preference-select" value={travelTo} onChange={e => setTravelTo(e.target.value)}>
+            <option value="">To building</option>
+            {buildings.filter(building => building !== travelFrom).map(building => <option key={building} value={building}>{building}</option>)}
+          </select>
+          <input
+            type="number"
+            aria-label="Walking minutes"
+            className="preference-input"
+            placeholder="Minutes"
+            min="0"
+            value={travelMinutes}
+            onChange={e => setTravelMinutes(e.target.value)}
+          />
+          <button type="button" onClick={handleAddTravel} disabled={!travelFrom || !travelTo || travelMinutes === ''}>Add Walking Time</button>
+        </div>
+      )}
+      <div className="section-link-add">
+        <label htmlFor="defaultWalkingMinutes" className="subject-priority-name">Walk between other buildings (minutes)</label>
+        <input
+          type="number"
+          id="defaultWalkingMinutes"
+          className="preference-input"
+          min="0"
+          value={defaultMinutesDraft ?? buildingMap.defaultMinutes}
+          onChange={e => handleDefaultMinutesChange(e.target.value)}
+          onBlur={handleDefaultMinutesBlur}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default BuildingMap;
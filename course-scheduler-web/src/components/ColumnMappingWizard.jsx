@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import {
+  COURSE_FIELD_LABELS,
+  getHeaderSignature,
+  normalizeColumnMapping,
+  splitDelimitedRows,
+} from '../utils/importAdapters';
+import { COURSE_FIELDS } from '../utils/parseRawData';
+
+const PREVIEW_ROWS = 6;
+const DELIMITER_LABELS = { '\t': 'Tab', ',': 'Comma', ';': 'Semicolon', '|': 'Pipe' };
+
+/**
+ * Previews the first rows of a paste as a grid and lets the user say which column holds which course field.
+ *
+ * @param {object} props
+ * @param {string} props.text - The pasted data.
+ * @param {import('../utils/importAdapters').ColumnMapping} props.initialMapping - Where the grid starts, e.g. the
+ *   saved mapping or a suggestion from the text.
+ * @param {import('../utils/importAdapters').ColumnMapping|null} props.mapping - The saved mapping.
+ * @param {function(import('../utils/importAdapters').ColumnMapping|null): void} props.onSave - `null` forgets
+ *   the saved mapping.
+ * @param {function} props.onCancel
+ */
+function ColumnMappingWizard({ text, initialMapping, mapping, onSave, onCancel }) {
+  const [draft, setDraft] = useState(initialMapping);
+
+  const rows = splitDelimitedRows(text, draft.delimiter).slice(0, PREVIEW_ROWS);
+  const columnCount = Math.max(0, ...rows.map(row => row.cells.length));
+  const fieldAt = (index) => COURSE_FIELDS.find(field => draft.columns[field] === index) || '';
+  const validMapping = normalizeColumnMapping(draft);
+
+  const handleSave = () => {
+    const headerSignature = draft.hasHeader && rows.length > 0 ? getHeaderSignature(rows[0].cells) : undefined;
+    onSave(normalizeColumnMapping({ ...validMapping, columnCount, headerSignature }));
+  };
+
+  const handleFieldChange = (index, field) => {
+    setDraft(prev => {
+      const columns = Object.fromEntries(Object.entries(prev.columns).filter(([key, column]) => column !== index && key !== field));
+      if (field) columns[field] = index;
+      return { ...prev, columns };
+    });
+  };
+
+  return (
+    <div className="column-mapping-wizard">
+      <p className="schedule-comparison-hint">
+        Choose which course field each column holds. Subject and Schedule are required; columns left on Ignore are not imported.
+      </p>
+      <div className="column-mapping-options">
+        <label htmlFor="mappingDelimiter">Columns separated by</label>
+        <select
+          id="mappingDelimiter"
+          className="preference-select"
+          value={draft.delimiter}
+          onChange={e => setDraft(prev => ({ ...prev, delimiter: e.target.value }))}
+        >
+          {Object.entries(DELIMITER_LABELS).map(([delimiter, label]) => <option key={label} value={delimiter}>{label}</option>)}
+        </select>
+        <label className="column-mapping-header-toggle">
+          <input
+            type="checkbox"
+            checked={draft.hasHeader}
+            onChange={e => setDraft(prev => ({ ...prev, hasHeader: e.target.checked }))}
+          />
+          First row is a header
+        </label>
+      </div>
+      <div className="course-table-scroll-wrapper">
+        <table className="course-table column-mapping-grid">
+          <thead>
+            <tr>
+              {[...Array(columnCount).keys()].map(index => (
+                <th key={index} className="header-cell">
+                  <select
+                    aria-label={`Field for column ${index + 1}`}
+                    className="preference-select"
+                    value={fieldAt(index)}
+                    onChange={e => handleFieldChange(index, e.target.value)}
+                  >
+                    <option value="">Ignore</option>
+                    {COURSE_FIELDS.map(field => <option key={field} value={field}>{COURSE_FIELD_LABELS[field]}</option>)}
+                  </select>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, rowIndex) => (
+              <tr key={row.line} className={rowIndex === 0 && draft.hasHeader ? 'column-mapping-header-row' : ''}>
+                {[...Array(columnCount).keys()].map(index => (
+                  <td key={index} className="data-cell">{row.cells[index] ?? ''}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="section-link-add">
+        <button type="button" onClick={handleSave} disabled={!validMapping}>Save Mapping</button>
+        <button type="button" onClick={onCancel}>Cancel</button>
+        {mapping && <button type="button" onClick={() => onSave(null)}>Forget Saved Mapping</button>}
+        {!validMapping && <span className="schedule-comparison-hint">Assign the Subject and Schedule columns to save.</span>}
+      </div>
+    </div>
+  );
+}
+
+export default ColumnMappingWizard;
@@ -7,8 +7,11 @@ import Tooltip from '@mui/material/Tooltip';
 import { Fragment, useMemo, useState } from 'react';
 import { toast } from 'react-toastify';
 import '../App.css';
+import { getCourseKey, getCourseModality } from '../scheduler';
 import { convertCoursesToRawData } from '../utils/convertToRawData';
 
+const MODALITY_LABELS = { 'face-to-face': 'Face-to-Face', online: 'Online', hybrid: 'Hybrid' };
+
 function CourseTable({
   courses,
   allCoursesCount,
@@ -18,7 +21,7 @@ function CourseTable({
   onStatusFilterChange,
   onDeleteCourse,
   onToggleLockCourse,
-  conflictingLockedCourseIds,
+  conflictingLockedCourseKeys,
   onClearAllLocks,
   onDeleteAllCourses,
   totalUnitsDisplay,
@@ -48,7 +51,7 @@ function CourseTable({
     }
     if (course.isLocked) {
       baseClasses.push('locked-row');
-      if (conflictingLockedCourseIds && conflictingLockedCourseIds.has(course.id)) {
+      if (conflictingLockedCourseKeys && conflictingLockedCourseKeys.has(getCourseKey(course))) {
         baseClasses.push('conflict-highlight');
       }
     }
@@ -189,7 +192,7 @@ function CourseTable({
         </div>
       </div>
 
-      {conflictingLockedCourseIds && conflictingLockedCourseIds.size > 0 && (
+      {conflictingLockedCourseKeys && conflictingLockedCourseKeys.size > 0 && (
         <div className="conflict-helper-text">
           Note: Courses highlighted with a red border have schedule conflicts with other locked courses.
         </div>
@@ -205,6 +208,7 @@ function CourseTable({
               <th className="header-cell">Section</th>
               <th className="header-cell">Schedule</th>
               <th className="header-cell">Room</th>
+              <th className="header-cell">Modality</th>
               <th className="header-cell">Status</th>
               <th className="header-cell actions-header">Actions</th>
             </tr>
@@ -212,13 +216,13 @@ function CourseTable({
           <tbody className="course-table-body">
             {(!courses || (Array.isArray(courses) && courses.length === 0)) && (
               <tr key="no-data" className="no-data-row">
-                <td className="data-cell" colSpan={8}>No courses to display.</td>
+                <td className="data-cell" colSpan={9}>No courses to display.</td>
               </tr>
             )}
             {isGrouped && courses.map((group, groupIndex) => (
               <Fragment key={`group-${group.groupValue}-${groupIndex}`}>
                 <tr key={`header-${group.groupValue}-${groupIndex}`} className="group-header-row">
-                  <td className="group-header-cell" colSpan={8}>
+                  <td className="group-header-cell" colSpan={9}>
                     {group.groupValue} ({group.courses?.length || 0} {(!group.courses || group.courses.length === 1) ? 'course' : 'courses'})
                   </td>
                 </tr>
@@ -230,6 +234,7 @@ function CourseTable({
                     <td className="data-cell">{course.section}</td>
                     <td className="data-cell">{course.schedule}</td>
                     <td className="data-cell">{course.room}</td>
+                    <td className="data-cell">{MODALITY_LABELS[getCourseModality(course)] || 'TBA'}</td>
                     <td className="data-cell">
                       {course.isClosed ?
                         <span className="status-badge closed">Closed</span> :
@@ -241,7 +246,7 @@ function CourseTable({
                         className={`lock-button ${course.isLocked ? 'locked' : 'unlocked'}`}
                         title={course.isLocked ? 'Unlock Course' : 'Lock Course'}
                       >
-                        {course.isLocked && conflictingLockedCourseIds && conflictingLockedCourseIds.has(course.id) && (
+                        {course.isLocked && conflictingLockedCourseKeys && conflictingLockedCourseKeys.has(getCourseKey(course)) && (
                           <span className="conflict-icon" title="Schedule conflict with another locked course" aria-label="Schedule conflict">⚠️</span>
                         )}
                         {course.isLocked ? 'Unlock' : 'Lock'}
@@ -266,6 +271,7 @@ function CourseTable({
                 <td className="data-cell">{course.section}</td>
                 <td className="data-cell">{course.schedule}</td>
                 <td className="data-cell">{course.room}</td>
+                <td className="data-cell">{MODALITY_LABELS[getCourseModality(course)] || 'TBA'}</td>
                 <td className="data-cell">
                   {course.isClosed ?
                     <span className="status-badge closed">Closed</span> :
@@ -277,7 +283,7 @@ function CourseTable({
                     className={`lock-button ${course.isLocked ? 'locked' : 'unlocked'}`}
                     title={course.isLocked ? 'Unlock Course' : 'Lock Course'}
                   >
-                    {course.isLocked && conflictingLockedCourseIds && conflictingLockedCourseIds.has(course.id) && (
+                    {course.isLocked && conflictingLockedCourseKeys && conflictingLockedCourseKeys.has(getCourseKey(course)) && (
                       <span className="conflict-icon" title="Schedule conflict with another locked course" aria-label="Schedule conflict">⚠️</span>
                     )}
                     {course.isLocked ? 'Unlock' : 'Lock'}
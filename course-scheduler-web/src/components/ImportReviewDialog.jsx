@@ -0,0 +1,119 @@
+import WarningAmberIcon from '@mui/icons-material/WarningAmber';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import { useState } from 'react';
+
+const pluralize = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * Shows the lines an import skipped and the courses that look wrong, before anything is added.
+ * Suspicious courses are imported unless unchecked.
+ *
+ * @param {object} props
+ * @param {import('../utils/parseRawData').Course[]} props.courses - Everything the parser produced.
+ * @param {import('../utils/parseRawData').ImportIssue[]} props.issues
+ * @param {function(import('../utils/parseRawData').Course[]): void} props.onConfirm - Receives the courses to add.
+ * @param {function} props.onCancel - Nothing is imported.
+ * @param {function} props.onMapColumns - Offered when nothing could be read; nothing is imported.
+ */
+function ImportReviewDialog({ courses, issues, onConfirm, onCancel, onMapColumns }) {
+    const [excludedIndexes, setExcludedIndexes] = useState(() => new Set());
+
+    const skipped = issues.filter(issue => issue.kind === 'skipped');
+    const suspicious = issues.filter(issue => issue.kind === 'suspicious');
+    const selectedCourses = courses.filter((_, index) => !excludedIndexes.has(index));
+
+    const toggleCourse = (index, isIncluded) => {
+        setExcludedIndexes(prev => {
+            const next = new Set(prev);
+            if (isIncluded) next.delete(index); else next.add(index);
+            return next;
+        });
+    };
+
+    return (
+        <Dialog
+            open
+            onClose={onCancel}
+            aria-labelledby="import-review-title"
+            PaperProps={{
+                style: {
+                    background: 'var(--section-bg)',
+                    color: 'var(--text-color)',
+                    borderRadius: 12,
+                    minWidth: 340,
+                },
+            }}
+        >
+            <DialogTitle id="import-review-title" style={{ color: 'var(--text-color)', display: 'flex', alignItems: 'center', gap: 12 }}>
+                <WarningAmberIcon style={{ fontSize: 36, color: 'var(--warning)', flexShrink: 0 }} />
+                <span>Review Import</span>
+            </DialogTitle>
+            <DialogContent>
+                <p>
+                    {pluralize(courses.length, 'course')} read
+                    {skipped.length > 0 && `, ${pluralize(skipped.length, 'line')} skipped`}
+                    {suspicious.length > 0 && `, ${suspicious.length} ${suspicious.length === 1 ? 'looks' : 'look'} suspicious`}.
+                </p>
+                {courses.length === 0 && (
+                    <p>Nothing could be read. If your table has a different layout, click <strong>Map Columns</strong> to say which column is which.</p>
+                )}
+                {skipped.length > 0 && (
+                    <>
+                        <h3 className="import-review-heading">Skipped</h3>
+                        <ul className="import-review-list">
+                            {skipped.map(issue => (
+                                <li key={`skipped-${issue.line}`}>
+                                    <strong>Line {issue.line}:</strong> {issue.reason}
+                                    <pre className="import-review-raw">{issue.raw}</pre>
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+                {suspicious.length > 0 && (
+                    <>
+                        <h3 className="import-review-heading">Suspicious (uncheck to leave out)</h3>
+                        <ul className="import-review-list">
+                            {suspicious.map(issue => {
+                                const course = courses[issue.courseIndex];
+                                return (
+                                    <li key={`suspicious-${issue.line}`}>
+                                        <label>
+                                            <input
+                                                type="checkbox"
+                                                checked={!excludedIndexes.has(issue.courseIndex)}
+                                                onChange={e => toggleCourse(issue.courseIndex, e.target.checked)}
+                                            />
+                                            <strong>Line {issue.line}, {course.subject} {course.section}:</strong> {issue.reason}
+                                        </label>
+                                        <pre className="import-review-raw">{issue.raw}</pre>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    </>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onCancel} style={{ color: 'var(--danger-button-bg)' }}>Cancel</Button>
+                {courses.length === 0 && (
+                    <Button onClick={onMapColumns} style={{ color: 'var(--accent)' }} autoFocus>Map Columns</Button>
+                )}
+                <Button
+                    onClick={() => onConfirm(selectedCourses)}
+                    style={{ color: 'var(--accent)' }}
+                    disabled={selectedCourses.length === 0}
+                    autoFocus={courses.length > 0}
+                >
+                    Import {pluralize(selectedCourses.length, 'Course')}
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+export default ImportReviewDialog;
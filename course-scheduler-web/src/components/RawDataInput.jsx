@@ -1,12 +1,55 @@
 import PropTypes from 'prop-types';
 import React from 'react';
+import { suggestColumnMapping } from '../utils/importAdapters';
+import ColumnMappingWizard from './ColumnMappingWizard';
+
+function RawDataInput({
+  value,
+  onChange,
+  onSubmit,
+  formats,
+  format,
+  onFormatChange,
+  columnMapping,
+  onColumnMappingChange,
+  mappingDraft,
+  onMappingDraftChange,
+}) {
+  const isMapping = mappingDraft !== null;
 
-function RawDataInput({ value, onChange, onSubmit }) {
   return (
     <div className="raw-data-input">
       <p className="input-description">
-        Paste tab-separated schedule data from AIMS into the field below to import courses.
+        Paste tab-separated schedule data from AIMS, a CSV export or a JSON course list into the field below to import courses.
       </p>
+      <div className="raw-data-format">
+        <label htmlFor="importFormat">Format:</label>
+        <select id="importFormat" className="preference-select" value={format} onChange={e => onFormatChange(e.target.value)}>
+          <option value="auto">Auto-detect</option>
+          {formats.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <button
+          type="button"
+          onClick={() => onMappingDraftChange(isMapping ? null : columnMapping || suggestColumnMapping(value))}
+          disabled={!value.trim() && !isMapping}
+        >
+          {isMapping ? 'Close Column Mapping' : 'Map Columns'}
+        </button>
+      </div>
+      {isMapping && value.trim() && (
+        <ColumnMappingWizard
+          // Starts over when the draft is replaced, e.g. by a suggestion after a failed import.
+          key={JSON.stringify(mappingDraft)}
+          text={value}
+          initialMapping={mappingDraft}
+          mapping={columnMapping}
+          onSave={(mapping) => {
+            onColumnMappingChange(mapping);
+            onMappingDraftChange(null);
+          }}
+          onCancel={() => onMappingDraftChange(null)}
+        />
+      )}
       <textarea
         value={value}
         onChange={onChange}
@@ -28,6 +71,13 @@ RawDataInput.propTypes = {
   value: PropTypes.string.isRequired,
   onChange: PropTypes.func.isRequired,
   onSubmit: PropTypes.func.isRequired,
+  formats: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string, label: PropTypes.string })).isRequired,
+  format: PropTypes.string.isRequired,
+  onFormatChange: PropTypes.func.isRequired,
+  columnMapping: PropTypes.object,
+  onColumnMappingChange: PropTypes.func.isRequired,
+  mappingDraft: PropTypes.object,
+  onMappingDraftChange: PropTypes.func.isRequired,
 };
 
 export default RawDataInput;
\ No newline at end of file
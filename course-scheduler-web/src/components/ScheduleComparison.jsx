@@ -0,0 +1,107 @@
+import { useMemo, useState } from 'react';
+import {
+  countCampusDays,
+  getCourseKey,
+  scoreScheduleByTimePreference,
+  sumUnits,
+  totalGapMinutes,
+} from '../scheduler';
+import TimetableView from './TimetableView';
+
+const MIN_COMPARED = 2;
+const MAX_COMPARED = 4;
+
+/**
+ * Side-by-side comparison of generated schedules. Purely presentational: it never
+ * touches locks; `onApply` is only called when the user picks a schedule explicitly.
+ *
+ * @param {object} props
+ * @param {Array<{label: string, courses: Array}>} props.schedules All generated schedules, in navigator order
+ * @param {number[]} [props.initialSelection] Indices compared when the panel opens
+ * @param {string[]} props.preferredTimeOfDayOrder Used for the time-preference score
+ * @param {function(number): void} props.onApply Locks the schedule at the given index
+ * @param {function} props.onClose
+ */
+function ScheduleComparison({ schedules, initialSelection = [0, 1], preferredTimeOfDayOrder, onApply, onClose }) {
+  const [selectedIndices, setSelectedIndices] = useState(() =>
+    initialSelection.filter(index => index < schedules.length).slice(0, MAX_COMPARED)
+  );
+
+  const handleToggle = (index, isChecked) => {
+    setSelectedIndices(prev => {
+      if (!isChecked) return prev.filter(i => i !== index);
+      if (prev.includes(index) || prev.length >= MAX_COMPARED) return prev;
+      return [...prev, index].sort((a, b) => a - b);
+    });
+  };
+
+  const compared = useMemo(() => {
+    const validIndices = selectedIndices.filter(index => schedules[index]);
+    // Sections present in every compared schedule; everything else is a difference.
+    const sharedKeys = validIndices.length > 0
+      ? validIndices
+        .map(index => new Set(schedules[index].courses.map(getCourseKey)))
+        .reduce((shared, keys) => new Set([...shared].filter(key => keys.has(key))))
+      : new Set();
+
+    return validIndices.map(index => {
+      const { label, courses } = schedules[index];
+      return {
+        index,
+        label,
+        courses,
+        differingCourseKeys: new Set(courses.map(getCourseKey).filter(key => !sharedKeys.has(key))),
+        summaryItems: [
+          { label: 'Units', value: sumUnits(courses) },
+          { label: 'Campus Days', value: countCampusDays(courses) },
+          { label: 'Gap Hours', value: Math.round(totalGapMinutes(courses) / 6) / 10 },
+          { label: 'Time Pref.', value: scoreScheduleByTimePreference(courses, preferredTimeOfDayOrder) },
+        ],
+      };
+    });
+  }, [schedules, selectedIndices, preferredTimeOfDayOrder]);
+
+  return (
+    <div className="section-container schedule-comparison">
+      <div className="table-header-controls">
+        <h2>Compare Schedules</h2>
+        <button onClick={onClose}>Close</button>
+      </div>
+      <div className="schedule-comparison-picker" role="group" aria-label="Schedules to compare">
+        {schedules.map((schedule, index) => (
+          <label key={schedule.label} className="preference-checkbox-label">
+            <input
+              type="checkbox"
+              checked={selectedIndices.includes(index)}
+              disabled={!selectedIndices.includes(index) && selectedIndices.length >= MAX_COMPARED}
+              onChange={e => handleToggle(index, e.target.checked)}
+            />
+            {schedule.label}
+          </label>
+        ))}
+      </div>
+      {compared.length < MIN_COMPARED ? (
+        <p className="schedule-comparison-hint">
+          Select {MIN_COMPARED} to {MAX_COMPARED} schedules to compare. Sections that differ between them are highlighted.
+        </p>
+      ) : (
+        <div className="schedule-comparison-grid">
+          {compared.map(entry => (
+            <div key={entry.index} className="schedule-comparison-item">
+              <TimetableView
+                compact
+                title={entry.label}
+                lockedCourses={entry.courses}
+                highlightedCourseKeys={entry.differingCourseKeys}
+                summaryItems={entry.summaryItems}
+              />
+              <button onClick={() => onApply(entry.index)}>Use This Schedule</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScheduleComparison;
@@ -0,0 +1,79 @@
+import InfoOutlinedIcon from '@mui/icons-material/InfoOutlined';
+import Tooltip from '@mui/material/Tooltip';
+import { DEFAULT_SCORING_PROFILE, MAX_SCORING_WEIGHT } from '../scheduler';
+
+const FACTORS = [
+  { key: 'subjects', label: 'Subjects covered', hint: 'points per subject, times its weight' },
+  { key: 'units', label: 'Units', hint: 'points per unit' },
+  { key: 'campusDays', label: 'Campus days', hint: 'points off per face-to-face day' },
+  { key: 'gapHours', label: 'Gap hours', hint: 'points off per idle hour between classes' },
+  { key: 'earliestStart', label: 'Later start', hint: 'points per hour your day starts after midnight, on average' },
+  { key: 'latestEnd', label: 'Earlier end', hint: 'points off per hour your day ends after midnight, on average' },
+  { key: 'timeOfDay', label: 'Time of day', hint: 'points off per step from your preferred time of day' },
+  { key: 'blockConsistency', label: 'Block consistency', hint: 'points off per extra section block' },
+  { key: 'walkingConflicts', label: 'Tight walks', hint: 'points off per class too far from the previous one to walk in time' },
+  { key: 'modalityMismatches', label: 'Day modality', hint: 'points off per class not online or face-to-face as you prefer for its day' },
+];
+
+/**
+ * Edits the weights used to rank generated schedules.
+ *
+ * @param {object} props
+ * @param {import('../scheduler/ranking').ScoringProfile} props.profile
+ * @param {function(import('../scheduler/ranking').ScoringProfile): void} props.onProfileChange
+ */
+function ScoringProfile({ profile, onProfileChange }) {
+  const isDefault = FACTORS.every(({ key }) => profile[key] === DEFAULT_SCORING_PROFILE[key]);
+
+  const handleWeightChange = (key, value) => {
+    const weight = parseFloat(value);
+    if (isNaN(weight)) return;
+    onProfileChange({ ...profile, [key]: Math.min(MAX_SCORING_WEIGHT, Math.max(0, weight)) });
+  };
+
+  return (
+    <div className="scoring-profile">
+      <div className="subject-priorities-header">
+        <span className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+          Scoring Profile
+          <Tooltip
+            title={
+              <span style={{ whiteSpace: 'pre-line' }}>
+                {'Every schedule gets a score from these weights and the highest score ranks first, in every search mode.\n'}
+                {'The default (100 per subject, 1 per unit) fits as many subjects as possible, then as many units. Tight walks only count once Buildings & Walking Times has walking times, and day modality once a day has a preferred modality.\n'}
+                {`Set a weight to 0 to ignore that factor. Between 0 and ${MAX_SCORING_WEIGHT}.`}
+              </span>
+            }
+            arrow
+            placement="right"
+          >
+            <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+          </Tooltip>
+        </span>
+        {!isDefault && (
+          <button type="button" onClick={() => onProfileChange({ ...DEFAULT_SCORING_PROFILE })}>Reset to Default</button>
+        )}
+      </div>
+      <ul className="scoring-profile-list">
+        {FACTORS.map(({ key, label, hint }) => (
+          <li key={key} className="scoring-profile-row">
+            <label htmlFor={`scoringWeight-${key}`} className="subject-priority-name">{label}</label>
+            <input
+              type="number"
+              id={`scoringWeight-${key}`}
+              className="preference-input"
+              min="0"
+              max={MAX_SCORING_WEIGHT}
+              step="any"
+              value={profile[key]}
+              onChange={e => handleWeightChange(key, e.target.value)}
+            />
+            <span className="scoring-profile-hint">{hint}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ScoringProfile;
@@ -0,0 +1,96 @@
+import InfoOutlinedIcon from '@mui/icons-material/InfoOutlined';
+import Tooltip from '@mui/material/Tooltip';
+import { useMemo, useState } from 'react';
+import { getLinkedPairs } from '../scheduler';
+
+/**
+ * Shows the lecture/lab subject links used by the generator and lets the user add or remove them.
+ *
+ * @param {object} props
+ * @param {import('../utils/parseRawData').Course[]} props.courses - All imported courses.
+ * @param {import('../scheduler/linkage').SubjectLink[]} props.links - Links in effect.
+ * @param {boolean} props.isCustomized - Whether `links` were edited by hand rather than detected.
+ * @param {function(import('../scheduler/linkage').SubjectLink[]): void} props.onLinksChange
+ * @param {function} props.onResetLinks - Go back to the links detected from section naming.
+ */
+function SectionLinks({ courses, links, isCustomized, onLinksChange, onResetLinks }) {
+  const [newLecture, setNewLecture] = useState('');
+  const [newLab, setNewLab] = useState('');
+
+  const subjects = useMemo(() => [...new Set(courses.map(c => c.subject))].sort(), [courses]);
+  const linkedSubjects = new Set(links.flatMap(link => [link.lectureSubject, link.labSubject]));
+  const availableSubjects = subjects.filter(subject => !linkedSubjects.has(subject));
+
+  const handleAddLink = () => {
+    if (!newLecture || !newLab || newLecture === newLab) return;
+    onLinksChange([...links, { lectureSubject: newLecture, labSubject: newLab }]);
+    setNewLecture('');
+    setNewLab('');
+  };
+
+  if (subjects.length < 2) return null;
+
+  return (
+    <div className="section-links">
+      <div className="subject-priorities-header">
+        <span className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+          Lecture/Lab Links {isCustomized ? '(edited)' : '(detected)'}
+          <Tooltip
+            title={
+              <span style={{ whiteSpace: 'pre-line' }}>
+                {'Linked subjects are scheduled together: a lecture section is only picked with a lab section from the same block (e.g. G01 with G01).\n'}
+                {'Links are detected from subject codes such as "IT 311" and "IT 311L". Add or remove links if the detection is wrong.'}
+              </span>
+            }
+            arrow
+            placement="right"
+          >
+            <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+          </Tooltip>
+        </span>
+        {isCustomized && (
+          <button type="button" onClick={onResetLinks}>Reset to Detected</button>
+        )}
+      </div>
+      {links.length === 0 ? (
+        <p className="schedule-comparison-hint">No linked subjects. Every section is scheduled on its own.</p>
+      ) : (
+        <ul className="subject-priorities-list">
+          {links.map(link => {
+            const pairCount = getLinkedPairs(link, courses).length;
+            return (
+              <li key={`${link.lectureSubject}-${link.labSubject}`} className="section-link-row">
+                <span className="subject-priority-name">{link.lectureSubject} + {link.labSubject}</span>
+                <span className={`section-link-pairs${pairCount === 0 ? ' no-pairs' : ''}`}>
+                  {pairCount} valid pair{pairCount === 1 ? '' : 's'}
+                </span>
+                <button
+                  type="button"
+                  aria-label={`Remove link between ${link.lectureSubject} and ${link.labSubject}`}
+                  onClick={() => onLinksChange(links.filter(other => other !== link))}
+                >
+                  ✕
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {availableSubjects.length >= 2 && (
+        <div className="section-link-add">
+          <select aria-label="Lecture subject" className="preference-select" value={newLecture} onChange={e => setNewLecture(e.target.value)}>
+            <option value="">Lecture subject</option>
+            {availableSubjects.map(subject => <option key={subject} value={subject}>{subject}</option>)}
+          </select>
+          <select aria-label="Lab subject" className="preference-select" value={newLab} onChange={e => setNewLab(e.target.value)}>
+            <option value="">Lab subject</option>
+            {availableSubjects.filter(subject => subject !== newLecture).map(subject => <option key={subject} value={subject}>{subject}</option>)}
+          </select>
+          <button type="button" onClick={handleAddLink} disabled={!newLecture || !newLab}>Add Link</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SectionLinks;
@@ -0,0 +1,89 @@
+import InfoOutlinedIcon from '@mui/icons-material/InfoOutlined';
+import Tooltip from '@mui/material/Tooltip';
+import { DEFAULT_SUBJECT_WEIGHT, MAX_SUBJECT_WEIGHT } from '../scheduler';
+
+/**
+ * @typedef {object} SubjectPriority
+ * @property {boolean} [required]
+ * @property {number} [weight]
+ */
+
+/**
+ * Lets the user mark each subject as required or give it an optional priority weight.
+ *
+ * @param {object} props
+ * @param {string[]} props.subjects - Subjects present in the imported data.
+ * @param {Object<string, SubjectPriority>} props.priorities
+ * @param {function(string, SubjectPriority): void} props.onPriorityChange
+ * @param {Set<string>} [props.lockedSubjects] - Subjects with a locked section, offered as a shortcut.
+ */
+function SubjectPriorities({ subjects, priorities, onPriorityChange, lockedSubjects = new Set() }) {
+  if (subjects.length === 0) return null;
+
+  const handleRequireLocked = () => {
+    lockedSubjects.forEach(subject => {
+      onPriorityChange(subject, { ...priorities[subject], required: true });
+    });
+  };
+
+  return (
+    <div className="subject-priorities">
+      <div className="subject-priorities-header">
+        <span className="filter-label" style={{ display: 'flex', alignItems: 'center', gap: '0.5em' }}>
+          Subject Priorities
+          <Tooltip
+            title={
+              <span style={{ whiteSpace: 'pre-line' }}>
+                {'Required subjects must appear in every generated schedule; generation fails with an explanation if they cannot fit.\n'}
+                {`Optional subjects are kept by weight (1 to ${MAX_SUBJECT_WEIGHT}) when not everything fits. Higher weight wins.`}
+              </span>
+            }
+            arrow
+            placement="right"
+          >
+            <InfoOutlinedIcon style={{ color: '#1976d2', cursor: 'pointer', fontSize: 20 }} />
+          </Tooltip>
+        </span>
+        {lockedSubjects.size > 0 && (
+          <button type="button" onClick={handleRequireLocked}>Require Subjects With Locked Sections</button>
+        )}
+      </div>
+      <ul className="subject-priorities-list">
+        {subjects.map(subject => {
+          const priority = priorities[subject] || {};
+          const isRequired = Boolean(priority.required);
+          return (
+            <li key={subject} className="subject-priority-row">
+              <span className="subject-priority-name">{subject}</span>
+              <select
+                aria-label={`${subject} priority`}
+                className="preference-select"
+                value={isRequired ? 'required' : 'optional'}
+                onChange={e => onPriorityChange(subject, { ...priority, required: e.target.value === 'required' })}
+              >
+                <option value="optional">Optional</option>
+                <option value="required">Required</option>
+              </select>
+              <input
+                type="number"
+                aria-label={`${subject} weight`}
+                className="preference-input"
+                min="1"
+                max={MAX_SUBJECT_WEIGHT}
+                value={priority.weight ?? DEFAULT_SUBJECT_WEIGHT}
+                disabled={isRequired}
+                onChange={e => {
+                  const weight = parseInt(e.target.value, 10);
+                  if (isNaN(weight)) return;
+                  onPriorityChange(subject, { ...priority, weight: Math.min(MAX_SUBJECT_WEIGHT, Math.max(1, weight)) });
+                }}
+              />
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default SubjectPriorities;
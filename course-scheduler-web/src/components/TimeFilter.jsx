@@ -18,6 +18,7 @@ const availableDays = [
  * @property {number|string} id - Unique identifier for the range.
  * @property {string} start - Start time in HH:mm format (internal state).
  * @property {string} end - End time in HH:mm format (internal state).
+ * @property {string[]} days - Day codes the range applies to.
  */
 
 
@@ -57,6 +58,7 @@ const maxSelectableTime = createTimeDate(22, 0);
 
 /**
  * Component for selecting day and time filters.
+ * `dayTimeBounds` maps a day code to its earliest start and latest end (HH:mm, either may be empty).
  */
 function TimeFilter({
   excludedDays,
@@ -65,6 +67,8 @@ function TimeFilter({
   onTimeRangeChange,
   onAddTimeRange,
   onRemoveTimeRange,
+  dayTimeBounds = {},
+  onDayTimeBoundChange,
 }) {
   const ranges = Array.isArray(excludedTimeRanges) ? excludedTimeRanges : [];
 
@@ -73,6 +77,15 @@ function TimeFilter({
     onTimeRangeChange(id, field, timeString);
   };
 
+  const handleRangeDayToggle = (range, dayCode, isChecked) => {
+    const days = range.days || availableDays.map(day => day.code);
+    onTimeRangeChange(range.id, 'days', isChecked ? [...days, dayCode] : days.filter(code => code !== dayCode));
+  };
+
+  const handleDayBoundChange = (dayCode, field, date) => {
+    onDayTimeBoundChange(dayCode, field, dateToTimeString(date));
+  };
+
   return (
     <div className="time-filter">
       <div className="filter-section">
@@ -137,6 +150,19 @@ function TimeFilter({
                     />
                   </label>
                 </div>
+                <div className="range-day-toggles" role="group" aria-label={`Days for time range ${index + 1}`}>
+                  {availableDays.map((day) => (
+                    <label key={day.code} className="range-day-toggle" title={day.name}>
+                      <input
+                        type="checkbox"
+                        checked={!range.days || range.days.includes(day.code)}
+                        onChange={(e) => handleRangeDayToggle(range, day.code, e.target.checked)}
+                        aria-label={`Apply time range ${index + 1} on ${day.name}`}
+                      />
+                      <span>{day.code}</span>
+                    </label>
+                  ))}
+                </div>
                 {ranges.length > 1 && (
                   <button
                     type="button"
@@ -155,6 +181,56 @@ function TimeFilter({
           + Add Time Range
         </button>
       </div>
+
+      <div className="filter-section">
+        <label className="filter-label">Class Hours by Day:</label>
+        <div className="day-bounds-container">
+          {availableDays.filter(day => !excludedDays.includes(day.code)).map((day) => {
+            const bounds = dayTimeBounds[day.code] || {};
+            return (
+              <div key={day.code} className="day-bounds-row">
+                <span className="day-bounds-name">{day.name}</span>
+                <label className="time-input-label">
+                  <span>Not before:</span>
+                  <DatePicker
+                    selected={timeStringToDate(bounds.earliestStart)}
+                    onChange={(date) => handleDayBoundChange(day.code, 'earliestStart', date)}
+                    showTimeSelect
+                    showTimeSelectOnly
+                    timeIntervals={30}
+                    minTime={minSelectableTime}
+                    maxTime={maxSelectableTime}
+                    timeCaption="Time"
+                    dateFormat="h:mm aa"
+                    className="time-input react-datepicker-input"
+                    placeholderText="Any time"
+                    autoComplete="off"
+                    isClearable
+                  />
+                </label>
+                <label className="time-input-label">
+                  <span>Done by:</span>
+                  <DatePicker
+                    selected={timeStringToDate(bounds.latestEnd)}
+                    onChange={(date) => handleDayBoundChange(day.code, 'latestEnd', date)}
+                    showTimeSelect
+                    showTimeSelectOnly
+                    timeIntervals={30}
+                    minTime={minSelectableTime}
+                    maxTime={maxSelectableTime}
+                    timeCaption="Time"
+                    dateFormat="h:mm aa"
+                    className="time-input react-datepicker-input"
+                    placeholderText="Any time"
+                    autoComplete="off"
+                    isClearable
+                  />
+                </label>
+              </div>
+            );
+          })}
+        </div>
+      </div>
     </div>
   );
 }
@@ -7,6 +7,7 @@ import { toPng } from 'html-to-image';
 import jsPDF from 'jspdf';
 import { useRef, useState } from 'react';
 import { toast } from 'react-toastify';
+import { describeBreakViolation, findWalkingConflicts, formatSectionLabel, getBreakViolations, getCourseKey } from '../scheduler';
 import { generateIcsContent } from '../utils/generateIcs';
 import { parseSchedule } from '../utils/parseSchedule';
 const TIME_SLOTS = [
@@ -36,9 +37,24 @@ const formatTo12Hour = (timeStr) => {
  * 
  * @param {Object} props Component props
  * @param {Array} props.lockedCourses Array of locked course objects
- * @param {Set} props.conflictingLockedCourseIds Set of conflicting locked course IDs
+ * @param {Set<string>} props.conflictingLockedCourseKeys Keys (see `getCourseKey`) of locked courses that overlap another locked course
+ * @param {boolean} [props.compact] Render a small read-only grid without the export menu
+ * @param {string} [props.title] Heading shown above the grid
+ * @param {Set<string>} [props.highlightedCourseKeys] Keys (see `getCourseKey`) of courses to mark as differing from a comparison
+ * @param {Array<{label: string, value: (string|number)}>} [props.summaryItems] Replaces the default totals
+ * @param {{lunchBreak: Object, minTransitionMinutes: number}} [props.breakRules] Lunch break and transition time to check the courses against
+ * @param {Object} [props.buildingMap] Normalized building map; consecutive classes too far apart to walk are flagged
  */
-function TimetableView({ lockedCourses, conflictingLockedCourseIds = new Set() }) {
+function TimetableView({
+    lockedCourses,
+    conflictingLockedCourseKeys = new Set(),
+    compact = false,
+    title = 'Weekly Timetable',
+    highlightedCourseKeys = new Set(),
+    summaryItems,
+    breakRules,
+    buildingMap,
+}) {
     const [anchorEl, setAnchorEl] = useState(null);
     const timetableRef = useRef(null);
     const handleMenuOpen = (event) => {
@@ -147,6 +163,12 @@ function TimetableView({ lockedCourses, conflictingLockedCourseIds = new Set() }
         return isNaN(units) ? sum : sum + units;
     }, 0);
     const uniqueSubjects = new Set(lockedCourses.map(course => course.subject)).size;
+    const breakViolations = breakRules ? getBreakViolations(lockedCourses, breakRules) : [];
+    const breakViolationCourseKeys = new Set(breakViolations.flatMap(violation => violation.courses.map(getCourseKey)));
+    const walkingConflicts = buildingMap ? findWalkingConflicts(lockedCourses, buildingMap) : [];
+    // Both ends of a tight walk are marked: the class to leave early and the class to arrive late to.
+    const walkFromCourseKeys = new Set(walkingConflicts.map(conflict => getCourseKey(conflict.courses[0])));
+    const walkToCourseKeys = new Set(walkingConflicts.map(conflict => getCourseKey(conflict.courses[1])));
     const coursesByTimeAndDay = {};
     lockedCourses.forEach(course => {
         const scheduleResult = parseSchedule(course.schedule);
@@ -191,11 +213,15 @@ function TimetableView({ lockedCourses, conflictingLockedCourseIds = new Set() }
             return <div className="timetable-course-continuation"></div>;
         }
         return startCourses.map((course, index) => {
-            const isConflicting = conflictingLockedCourseIds.has(course.id);
+            const isConflicting = conflictingLockedCourseKeys.has(getCourseKey(course));
+            const isHighlighted = highlightedCourseKeys.has(getCourseKey(course));
+            const breaksRule = breakViolationCourseKeys.has(getCourseKey(course));
+            const isTightWalkFrom = walkFromCourseKeys.has(getCourseKey(course));
+            const isTightWalkTo = walkToCourseKeys.has(getCourseKey(course));
             return (
                 <div
                     key={`${course.id}-${course.slotStartTime}-${index}`}
-                    className={`timetable-course${isConflicting ? ' conflict-highlight' : ''}`}
+                    className={`timetable-course${isConflicting ? ' conflict-highlight' : ''}${isHighlighted ? ' diff-highlight' : ''}${breaksRule ? ' break-highlight' : ''}${isTightWalkFrom || isTightWalkTo ? ' walk-highlight' : ''}`}
                     tabIndex={0}
                     aria-label={`Locked course: ${course.subject} section ${course.section} in room ${course.slotRoom}, from ${course.slotStartTime} to ${course.slotEndTime}${isConflicting ? ' (conflict)' : ''}`}
                     style={isConflicting ? { borderLeft: '4px solid #a5283a', background: '#a5283a22' } : {}}
@@ -206,75 +232,111 @@ function TimetableView({ lockedCourses, conflictingLockedCourseIds = new Set() }
                     {isConflicting && (
                         <span title="Schedule conflict with another locked course" aria-label="Schedule conflict" style={{ color: '#a5283a', marginLeft: 4, fontSize: 16, verticalAlign: 'middle' }}>⚠️</span>
                     )}
+                    {breaksRule && (
+                        <span title="Takes your lunch break or leaves too little time between classes" aria-label="Break rule not met" style={{ marginLeft: 4, fontSize: 16, verticalAlign: 'middle' }}>⏱️</span>
+                    )}
+                    {(isTightWalkFrom || isTightWalkTo) && (
+                        <span
+                            title={[isTightWalkTo && 'Too little time to walk here from the previous class', isTightWalkFrom && 'Too little time to walk to the next class'].filter(Boolean).join('; ')}
+                            aria-label={[isTightWalkTo && 'Tight walk from the previous class', isTightWalkFrom && 'Tight walk to the next class'].filter(Boolean).join('; ')}
+                            style={{ marginLeft: 4, fontSize: 16, verticalAlign: 'middle' }}
+                        >🚶</span>
+                    )}
                 </div>
             );
         });
     };
     return (
-        <div className="timetable-container">
+        <div className={`timetable-container${compact ? ' compact' : ''}`}>
             <div className="timetable-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
-                <h3 className="timetable-title">Weekly Timetable</h3>
-                <Tooltip title="Export Timetable">
-                    <IconButton
-                        aria-label="Export timetable options"
-                        onClick={handleMenuOpen}
-                        size="small"
-                        sx={{
-                            color: 'var(--text-color)',
-                            '&:hover': {
-                                backgroundColor: 'var(--hover-color)'
-                            }
-                        }}
-                    >
-                        <MenuIcon sx={{ color: 'var(--text-color)' }} />
-                    </IconButton>
-                </Tooltip>
-                <Menu
-                    anchorEl={anchorEl}
-                    open={Boolean(anchorEl)}
-                    onClose={handleMenuClose}
-                    PaperProps={{
-                        sx: {
-                            backgroundColor: 'var(--bg-color)',
-                            color: 'var(--text-color)'
-                        }
-                    }}
-                >
-                    <MenuItem
-                        onClick={handleExportAsPng}
-                        sx={{
-                            color: 'var(--text-color)',
-                            '&:hover': {
-                                backgroundColor: 'var(--hover-color)'
-                            }
-                        }}
-                    >
-                        Export Timetable as PNG
-                    </MenuItem>
-                    <MenuItem
-                        onClick={handleExportAsPdf}
-                        sx={{
-                            color: 'var(--text-color)',
-                            '&:hover': {
-                                backgroundColor: 'var(--hover-color)'
-                            }
-                        }}
-                    >
-                        Export Timetable as PDF
-                    </MenuItem>
-                    <MenuItem
-                        onClick={handleExportAsIcs}
-                        sx={{
-                            color: 'var(--text-color)',
-                            '&:hover': {
-                                backgroundColor: 'var(--hover-color)'
-                            }
-                        }}
-                    >
-                        Export Timetable as .ics
-                    </MenuItem>
-                </Menu>
+                <h3 className="timetable-title">{title}</h3>
+                {!compact && (
+                    <>
+                        <Tooltip title="Export Timetable">
+                            <IconButton
+                                aria-label="Export timetable options"
+                                onClick={handleMenuOpen}
+                                size="small"
+                                sx={{
+                                    color: 'var(--text-color)',
+                                    '&:hover': {
+                                        backgroundColor: 'var(--hover-color)'
+                                    }
+                                }}
+                            >
+                                <MenuIcon sx={{ color: 'var(--text-color)' }} />
+                            </IconButton>
+                        </Tooltip>
+                        <Menu
+                            anchorEl={anchorEl}
+                            open={Boolean(anchorEl)}
+                            onClose={handleMenuClose}
+                            PaperProps={{
+                                sx: {
+                                    backgroundColor: 'var(--bg-color)',
+                                    color: 'var(--text-color)'
+                                }
+                            }}
+                        >
+                            <MenuItem
+                                onClick={handleExportAsPng}
+                                sx={{
+                                    color: 'var(--text-color)',
+                                    '&:hover': {
+                                        backgroundColor: 'var(--hover-color)'
+                                    }
+                                }}
+                            >
+                                Export Timetable as PNG
+                            </MenuItem>
+                            <MenuItem
+                                onClick={handleExportAsPdf}
+                                sx={{
+                                    color: 'var(--text-color)',
+                                    '&:hover': {
+                                        backgroundColor: 'var(--hover-color)'
+                                    }
+                                }}
+                            >
+                                Export Timetable as PDF
+                            </MenuItem>
+                            <MenuItem
+                                onClick={handleExportAsIcs}
+                                sx={{
+                                    color: 'var(--text-color)',
+                                    '&:hover': {
+                                        backgroundColor: 'var(--hover-color)'
+                                    }
+                                }}
+                            >
+                                Export Timetable as .ics
+                            </MenuItem>
+                        </Menu>
+                    </>
+                )}
             </div>
+            {breakViolations.length > 0 && (
+                <div className="timetable-break-warnings" role="status">
+                    <strong>Break rules not met:</strong>
+                    <ul>
+                        {breakViolations.map((violation, index) => (
+                            <li key={`${violation.rule}-${violation.day}-${index}`}>{describeBreakViolation(violation, breakRules)}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+            {walkingConflicts.length > 0 && (
+                <div className="timetable-break-warnings" role="status">
+                    <strong>Tight walks between buildings:</strong>
+                    <ul>
+                        {walkingConflicts.map((conflict, index) => (
+                            <li key={`${conflict.day}-${index}`}>
+                                {`${formatSectionLabel(conflict.courses[0])} (${conflict.buildings[0]}) to ${formatSectionLabel(conflict.courses[1])} (${conflict.buildings[1]}) on ${conflict.day}: ${conflict.gapMinutes} min between classes, ${conflict.travelMinutes} min walk`}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
             <table
                 className="timetable"
                 role="table"
@@ -338,9 +400,15 @@ function TimetableView({ lockedCourses, conflictingLockedCourseIds = new Set() }
             </table>
             <div className="timetable-summary">
                 <div className="timetable-totals">
-                    <span><strong>Total Units:</strong> {totalUnits}</span>
-                    <span><strong>Subjects:</strong> {uniqueSubjects}</span>
-                    <span><strong>Courses:</strong> {lockedCourses.length}</span>
+                    {summaryItems ? summaryItems.map(item => (
+                        <span key={item.label}><strong>{item.label}:</strong> {item.value}</span>
+                    )) : (
+                        <>
+                            <span><strong>Total Units:</strong> {totalUnits}</span>
+                            <span><strong>Subjects:</strong> {uniqueSubjects}</span>
+                            <span><strong>Courses:</strong> {lockedCourses.length}</span>
+                        </>
+                    )}
                 </div>
             </div>
         </div>
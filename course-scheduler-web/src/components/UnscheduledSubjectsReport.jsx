@@ -0,0 +1,39 @@
+import { formatSectionLabel } from '../scheduler';
+
+/**
+ * Lists the subjects missing from a schedule with the reason for each section.
+ *
+ * @param {object} props
+ * @param {import('../scheduler/diagnostics').SubjectOmission[]} props.omissions
+ * @param {string} [props.title]
+ */
+function UnscheduledSubjectsReport({ omissions, title = 'Why were some subjects left out?' }) {
+  if (!omissions || omissions.length === 0) return null;
+
+  return (
+    <div className="section-container unscheduled-report">
+      <h2>{title}</h2>
+      <ul className="unscheduled-report-list">
+        {omissions.map(omission => (
+          <li key={omission.subject}>
+            <details>
+              <summary>
+                <strong>{omission.subject}</strong> — {omission.summary}
+              </summary>
+              <ul className="unscheduled-report-sections">
+                {omission.sections.map(({ course, reasons }) => (
+                  <li key={`${course.id}-${course.section}`}>
+                    <span className="unscheduled-report-section">{formatSectionLabel(course)}</span>
+                    {course.schedule ? ` (${course.schedule})` : ''}: {reasons.map(reason => reason.message).join('; ')}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default UnscheduledSubjectsReport;
@@ -0,0 +1,126 @@
+import { normalizeCourse } from './courseModel';
+
+/**
+ * Which building each room is in and how long it takes to walk between buildings.
+ * @typedef {object} BuildingMap
+ * @property {{prefix: string, building: string}[]} rooms - Building of every room starting with `prefix`; the longest
+ *   matching prefix wins. Rooms without a match use their leading letters, so "ACAD309" is in "ACAD".
+ * @property {{from: string, to: string, minutes: number}[]} travelMinutes - Walking time between two buildings,
+ *   in either direction.
+ * @property {number} defaultMinutes - Walking time between two different buildings without a `travelMinutes` entry.
+ */
+
+/**
+ * Two consecutive classes in different buildings with less time between them than the walk takes.
+ * @typedef {object} WalkingConflict
+ * @property {string} day - Day code.
+ * @property {import('../utils/parseRawData').Course[]} courses - The two classes, earlier first.
+ * @property {string[]} buildings - Their buildings, in the same order.
+ * @property {number} gapMinutes - Time between the two classes.
+ * @property {number} travelMinutes - Time the walk takes.
+ */
+
+/** No travel times: every room still gets a building, but no walk is ever too long. @type {BuildingMap} */
+export const DEFAULT_BUILDING_MAP = Object.freeze({ rooms: [], travelMinutes: [], defaultMinutes: 0 });
+
+const toCode = (value) => String(value ?? '').trim().toUpperCase();
+
+/**
+ * Drops incomplete entries and upper-cases prefixes and building codes.
+ * @param {Partial<BuildingMap>} [buildingMap]
+ * @returns {BuildingMap}
+ */
+export function normalizeBuildingMap(buildingMap) {
+  const rooms = (Array.isArray(buildingMap?.rooms) ? buildingMap.rooms : [])
+    .map(entry => ({ prefix: toCode(entry?.prefix), building: toCode(entry?.building) }))
+    .filter(entry => entry.prefix && entry.building);
+  const travelMinutes = (Array.isArray(buildingMap?.travelMinutes) ? buildingMap.travelMinutes : [])
+    .map(entry => ({ from: toCode(entry?.from), to: toCode(entry?.to), minutes: parseFloat(entry?.minutes) }))
+    .filter(entry => entry.from && entry.to && entry.from !== entry.to && entry.minutes >= 0);
+  const defaultMinutes = parseFloat(buildingMap?.defaultMinutes);
+  return { rooms, travelMinutes, defaultMinutes: defaultMinutes > 0 ? defaultMinutes : 0 };
+}
+
+/**
+ * @param {string} room - As parsed by `parseSchedule`, e.g. "ACAD309" or "FIELD".
+ * @param {BuildingMap} buildingMap
+ * @returns {string|null} The building code; `null` for online or missing rooms.
+ */
+export function getRoomBuilding(room, buildingMap) {
+  const code = toCode(room);
+  if (!code || code.includes('ONLINE')) return null;
+  let match = null;
+  for (const entry of buildingMap.rooms) {
+    if (code.startsWith(entry.prefix) && (!match || entry.prefix.length > match.prefix.length)) match = entry;
+  }
+  if (match) return match.building;
+  return code.match(/^[A-Z]+/)?.[0] ?? code;
+}
+
+/**
+ * @param {string|null} from - Building code.
+ * @param {string|null} to - Building code.
+ * @param {BuildingMap} buildingMap
+ * @returns {number} Walking minutes; 0 within a building or when either class is online.
+ */
+export function getTravelMinutes(from, to, buildingMap) {
+  if (!from || !to || from === to) return 0;
+  const entry = buildingMap.travelMinutes.find(travel =>
+    (travel.from === from && travel.to === to) || (travel.from === to && travel.to === from)
+  );
+  return entry ? entry.minutes : buildingMap.defaultMinutes;
+}
+
+/**
+ * Lists the buildings of every room in `courses`, as codes sorted alphabetically.
+ * @param {import('../utils/parseRawData').Course[]} courses
+ * @param {BuildingMap} buildingMap
+ * @returns {string[]}
+ */
+export function collectBuildings(courses, buildingMap) {
+  const buildings = new Set();
+  for (const course of courses) {
+    for (const slot of normalizeCourse(course).slots) {
+      const building = getRoomBuilding(slot.room, buildingMap);
+      if (building) buildings.add(building);
+    }
+  }
+  return [...buildings].sort();
+}
+
+/**
+ * Finds consecutive classes on the same day that leave less time than the walk between their buildings.
+ * These are soft conflicts: ranking penalizes them (see the `walkingConflicts` scoring weight) but never rejects them.
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @param {BuildingMap} buildingMap - Normalized, see {@link normalizeBuildingMap}.
+ * @returns {WalkingConflict[]} In time order.
+ */
+export function findWalkingConflicts(schedule, buildingMap) {
+  if (buildingMap.defaultMinutes <= 0 && !buildingMap.travelMinutes.some(travel => travel.minutes > 0)) return [];
+
+  const meetings = schedule
+    .flatMap(entry => {
+      const normalized = normalizeCourse(entry);
+      return normalized.slots.map(slot => ({ slot, course: normalized.course, building: getRoomBuilding(slot.room, buildingMap) }));
+    })
+    .sort((a, b) => a.slot.start - b.slot.start);
+
+  const conflicts = [];
+  for (let i = 1; i < meetings.length; i++) {
+    const previous = meetings[i - 1];
+    const current = meetings[i];
+    if (previous.slot.day !== current.slot.day) continue;
+    const gapMinutes = current.slot.start - previous.slot.end;
+    const travelMinutes = getTravelMinutes(previous.building, current.building, buildingMap);
+    if (gapMinutes >= 0 && gapMinutes < travelMinutes) {
+      conflicts.push({
+        day: current.slot.day,
+        courses: [previous.course, current.course],
+        buildings: [previous.building, current.building],
+        gapMinutes,
+        travelMinutes,
+      });
+    }
+  }
+  return conflicts;
+}
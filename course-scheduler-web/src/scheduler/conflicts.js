@@ -0,0 +1,67 @@
+import { normalizeCourse, slotsOverlap } from './courseModel';
+
+/**
+ * Checks whether two HH:mm time ranges overlap. Touching ranges (10:30-12:00 and 12:00-13:00) do not.
+ * Returns false when any of the times is not in HH:mm format.
+ * @param {string} start1
+ * @param {string} end1
+ * @param {string} start2
+ * @param {string} end2
+ * @returns {boolean}
+ */
+export function checkTimeOverlap(start1, end1, start2, end2) {
+  const timeRegex = /^\d{2}:\d{2}$/;
+  if (!timeRegex.test(start1) || !timeRegex.test(end1) || !timeRegex.test(start2) || !timeRegex.test(end2)) {
+    return false;
+  }
+  return start1 < end2 && end1 > start2;
+}
+
+/**
+ * Checks that no two courses in a schedule have overlapping time slots on a common day.
+ * Courses with TBA or unparseable schedules never conflict. Schedules are parsed once per course
+ * (see {@link normalizeCourse}), so checking many schedules of the same courses stays cheap.
+ * @param {import('../utils/parseRawData').Course[]} scheduleToTest
+ * @returns {boolean}
+ */
+export function isScheduleConflictFree(scheduleToTest) {
+  if (!scheduleToTest || scheduleToTest.length <= 1) {
+    return true;
+  }
+  const normalized = scheduleToTest.map(normalizeCourse);
+  for (let i = 0; i < normalized.length; i++) {
+    for (let j = i + 1; j < normalized.length; j++) {
+      if (slotsOverlap(normalized[i], normalized[j])) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Lists every pair of courses that overlap in time, e.g. hand-locked sections that cannot coexist.
+ * @param {import('../utils/parseRawData').Course[]} courses
+ * @returns {Array<[import('../utils/parseRawData').Course, import('../utils/parseRawData').Course]>}
+ */
+export function findConflictingPairs(courses) {
+  const pairs = [];
+  const normalized = courses.map(normalizeCourse);
+  for (let i = 0; i < normalized.length; i++) {
+    for (let j = i + 1; j < normalized.length; j++) {
+      if (slotsOverlap(normalized[i], normalized[j])) pairs.push([courses[i], courses[j]]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Checks whether a course overlaps any course already in a schedule.
+ * Courses without parseable time slots (TBA) never conflict.
+ * @param {import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse} course
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @returns {boolean}
+ */
+export function conflictsWithSchedule(course, schedule) {
+  const normalized = normalizeCourse(course);
+  if (normalized.slots.length === 0) return false;
+  return schedule.some(existing => slotsOverlap(normalized, normalizeCourse(existing)));
+}
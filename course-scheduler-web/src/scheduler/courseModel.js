@@ -0,0 +1,188 @@
+import { parseSchedule } from '../utils/parseSchedule';
+
+export const DAY_CODES = ['M', 'T', 'W', 'TH', 'F', 'S', 'SU'];
+export const MINUTES_PER_DAY = 24 * 60;
+export const MODALITIES = ['face-to-face', 'online', 'hybrid'];
+
+/**
+ * A single meeting of a course on one day, as minute-of-week offsets (Monday 00:00 is 0).
+ * @typedef {object} NormalizedSlot
+ * @property {string} day - Day code (M, T, W, TH, F, S, SU).
+ * @property {number} start - Minute of week the class starts.
+ * @property {number} end - Minute of week the class ends.
+ * @property {string} startTime - HH:mm, as produced by parseSchedule.
+ * @property {string} endTime - HH:mm, as produced by parseSchedule.
+ * @property {string} room
+ * @property {boolean} isOnline - Whether the room mentions "online".
+ */
+
+/**
+ * A course with its schedule parsed once, ready for the generators.
+ * @typedef {object} NormalizedCourse
+ * @property {number} index - Position in the owning {@link CourseModel}, -1 when standalone.
+ * @property {import('../utils/parseRawData').Course} course - The original course object.
+ * @property {string} subject
+ * @property {number} units - Credited units, 0 when not numeric.
+ * @property {NormalizedSlot[]} slots - Sorted by start; empty for TBA or unparseable schedules.
+ */
+
+/**
+ * All courses of a search plus a pairwise conflict matrix stored as bitsets.
+ * @typedef {object} CourseModel
+ * @property {NormalizedCourse[]} courses
+ * @property {Object<string, number[]>} bySubject - Course indices per subject, in input order.
+ * @property {function(number, number): boolean} conflicts - Whether courses i and j overlap.
+ */
+
+const normalizedCache = new WeakMap();
+
+/**
+ * @param {string} time - HH:mm.
+ * @returns {number} Minutes after midnight.
+ */
+export const timeToMinutes = (time) => {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+};
+
+function parseSlots(scheduleString) {
+  const parsed = parseSchedule(scheduleString);
+  if (!parsed || parsed.isTBA || !parsed.allTimeSlots) return [];
+
+  const slots = [];
+  for (const slot of parsed.allTimeSlots) {
+    if (!slot.startTime || !slot.endTime) continue;
+    const startOfDay = timeToMinutes(slot.startTime);
+    const endOfDay = timeToMinutes(slot.endTime);
+    for (const day of slot.days) {
+      const dayIndex = DAY_CODES.indexOf(day);
+      if (dayIndex === -1) continue;
+      slots.push({
+        day,
+        start: dayIndex * MINUTES_PER_DAY + startOfDay,
+        end: dayIndex * MINUTES_PER_DAY + endOfDay,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        room: slot.room || '',
+        isOnline: Boolean(slot.room && slot.room.toLowerCase().includes('online')),
+      });
+    }
+  }
+  return slots.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Identifies a section across pastes. `id` alone is not unique: the same number can appear in two imports,
+ * and generated ids only differ by line.
+ * @param {import('../utils/parseRawData').Course} course
+ * @returns {string}
+ */
+export const getCourseKey = (course) => `${course.id}-${course.subject}-${course.section}`;
+
+/**
+ * Parses a course's schedule into minute-of-week slots. Results are cached per course object.
+ * Already normalized courses are returned unchanged.
+ * @param {import('../utils/parseRawData').Course|NormalizedCourse} course
+ * @returns {NormalizedCourse}
+ */
+export function normalizeCourse(course) {
+  if (course && Array.isArray(course.slots) && course.course) return course;
+  const cached = normalizedCache.get(course);
+  if (cached) return cached;
+
+  const units = parseFloat(course.creditedUnits || course.units);
+  const normalized = {
+    index: -1,
+    course,
+    subject: course.subject,
+    units: isNaN(units) ? 0 : units,
+    slots: parseSlots(course.schedule),
+  };
+  normalizedCache.set(course, normalized);
+  return normalized;
+}
+
+/**
+ * Tells how a course is taught from the rooms of its slots: online when every room mentions "online",
+ * face-to-face when none does, hybrid otherwise.
+ * @param {import('../utils/parseRawData').Course|NormalizedCourse} course
+ * @returns {'face-to-face'|'online'|'hybrid'|null} `null` for TBA or unparseable schedules.
+ */
+export function getCourseModality(course) {
+  const { slots } = normalizeCourse(course);
+  if (slots.length === 0) return null;
+  const onlineCount = slots.filter(slot => slot.isOnline).length;
+  if (onlineCount === 0) return 'face-to-face';
+  return onlineCount === slots.length ? 'online' : 'hybrid';
+}
+
+/**
+ * Checks whether two normalized courses share any minute of the week.
+ * @param {NormalizedCourse} a
+ * @param {NormalizedCourse} b
+ * @returns {boolean}
+ */
+export function slotsOverlap(a, b) {
+  let i = 0;
+  let j = 0;
+  while (i < a.slots.length && j < b.slots.length) {
+    const slotA = a.slots[i];
+    const slotB = b.slots[j];
+    if (slotA.start < slotB.end && slotA.end > slotB.start) return true;
+    if (slotA.end <= slotB.end) i++;
+    else j++;
+  }
+  return false;
+}
+
+/**
+ * Normalizes every course once and precomputes which pairs conflict.
+ * @param {import('../utils/parseRawData').Course[]} courses
+ * @returns {CourseModel}
+ */
+export function buildCourseModel(courses) {
+  const normalizedCourses = courses.map((course, index) => ({ ...normalizeCourse(course), index }));
+  const n = normalizedCourses.length;
+  const words = Math.ceil(n / 32);
+  const matrix = new Uint32Array(n * words);
+
+  for (let i = 0; i < n; i++) {
+    if (normalizedCourses[i].slots.length === 0) continue;
+    for (let j = i + 1; j < n; j++) {
+      if (normalizedCourses[j].slots.length === 0) continue;
+      if (slotsOverlap(normalizedCourses[i], normalizedCourses[j])) {
+        matrix[i * words + (j >>> 5)] |= 1 << (j & 31);
+        matrix[j * words + (i >>> 5)] |= 1 << (i & 31);
+      }
+    }
+  }
+
+  const bySubject = {};
+  normalizedCourses.forEach(nc => {
+    if (!bySubject[nc.subject]) bySubject[nc.subject] = [];
+    bySubject[nc.subject].push(nc.index);
+  });
+
+  return {
+    courses: normalizedCourses,
+    bySubject,
+    conflicts: (i, j) => (matrix[i * words + (j >>> 5)] & (1 << (j & 31))) !== 0,
+  };
+}
+
+/**
+ * A view of a model limited to some of its courses. Courses keep their original `index`, so the
+ * conflict matrix and any result keys stay comparable with the full model.
+ * @param {CourseModel} model
+ * @param {function(NormalizedCourse): boolean} predicate
+ * @returns {CourseModel}
+ */
+export function restrictCourseModel(model, predicate) {
+  const courses = model.courses.filter(predicate);
+  const bySubject = {};
+  courses.forEach((nc, position) => {
+    if (!bySubject[nc.subject]) bySubject[nc.subject] = [];
+    bySubject[nc.subject].push(position);
+  });
+  return { courses, bySubject, conflicts: model.conflicts };
+}
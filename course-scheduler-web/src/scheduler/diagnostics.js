@@ -0,0 +1,245 @@
+import { parseSchedule } from '../utils/parseSchedule';
+import { conflictsWithSchedule } from './conflicts';
+import { getCourseModality, normalizeCourse, slotsOverlap } from './courseModel';
+import { getCourseFilterReasons, getDayBoundViolations, groupCoursesBySubject } from './filters';
+import { expandLinkedSections, getCourseBlock } from './linkage';
+import {
+  exceedsMaxConsecutiveHours,
+  exceedsMaxGap,
+  exceedsMaxHoursPerDay,
+  exceedsMaxUnits,
+  getBreakViolations,
+  normalizeLunchBreak,
+} from './scoring';
+
+/**
+ * @typedef {'status'|'section-type'|'modality'|'excluded-day'|'excluded-time'|'day-hours'|'max-units'|'max-gap'|'max-day-hours'|'max-consecutive-hours'|'lunch-break'|'min-transition'|'conflict'|'not-selected'|'no-schedule'|'unpaired'|'other-block'} OmissionCode
+ */
+
+/**
+ * One reason a section could not be added to a schedule.
+ * @typedef {object} OmissionReason
+ * @property {OmissionCode} code
+ * @property {string} message - Human readable, e.g. "conflicts with CS 102 G2".
+ * @property {import('../utils/parseRawData').Course[]} [conflictsWith] - Only for `conflict`.
+ */
+
+/**
+ * Why a subject is missing from a schedule, section by section.
+ * @typedef {object} SubjectOmission
+ * @property {string} subject
+ * @property {boolean} allFiltered - Every section was removed by the filters before the search ran.
+ * @property {string} summary - One sentence for the UI.
+ * @property {{course: import('../utils/parseRawData').Course, reasons: OmissionReason[]}[]} sections
+ */
+
+export const formatSectionLabel = (course) => `${course.subject} ${course.section}`;
+
+const describeFilterReason = (code, course, constraints) => {
+  switch (code) {
+    case 'status':
+      return course.isClosed ? 'section is closed' : 'section is open but only closed sections are shown';
+    case 'section-type':
+      return `section type is not one of ${(constraints.sectionTypes || []).join(', ')}`;
+    case 'modality':
+      return `section is ${getCourseModality(course)} but only ${constraints.modality} sections are allowed`;
+    case 'excluded-day':
+      return 'meets on an excluded day';
+    case 'excluded-time':
+      return 'overlaps an excluded time range';
+    case 'day-hours': {
+      const violations = getDayBoundViolations(parseSchedule(course.schedule)?.allTimeSlots || [], constraints.dayTimeBounds);
+      return violations
+        .map(({ day, bound, limit }) => `${bound === 'earliestStart' ? 'starts before' : 'ends after'} ${limit} on ${day}`)
+        .filter((message, i, messages) => messages.indexOf(message) === i)
+        .join(', ');
+    }
+    default:
+      return code;
+  }
+};
+
+const pluralize = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * Describes a break violation for the UI, e.g. "no 45-minute break between 11:00 and 14:00 on M".
+ * @param {import('./scoring').BreakViolation} violation
+ * @param {{lunchBreak?: Partial<import('./scoring').LunchBreak>|null}} rules - The rules that were checked.
+ * @returns {string}
+ */
+export function describeBreakViolation(violation, rules) {
+  if (violation.rule === 'lunch-break') {
+    const lunch = normalizeLunchBreak(rules.lunchBreak);
+    return `no ${lunch.minutes}-minute break between ${lunch.start} and ${lunch.end} on ${violation.day}`;
+  }
+  const [earlier, later] = violation.courses.map(formatSectionLabel);
+  return violation.minutes === 0
+    ? `${earlier} and ${later} are back to back on ${violation.day}`
+    : `only ${pluralize(violation.minutes, 'minute')} between ${earlier} and ${later} on ${violation.day}`;
+}
+
+/**
+ * Explains, for one eligible section, what stops it from joining `schedule`.
+ * @param {import('../utils/parseRawData').Course} course
+ * @param {import('../utils/parseRawData').Course[]} schedule
+ * @param {import('./index').ScheduleConstraints} constraints
+ * @returns {OmissionReason[]}
+ */
+function explainEligibleSection(course, schedule, constraints) {
+  const reasons = [];
+  const normalized = normalizeCourse(course);
+
+  if (conflictsWithSchedule(normalized, schedule)) {
+    const conflictsWith = schedule.filter(existing => slotsOverlap(normalized, normalizeCourse(existing)));
+    reasons.push({
+      code: 'conflict',
+      message: `conflicts with ${conflictsWith.map(formatSectionLabel).join(', ')}`,
+      conflictsWith,
+    });
+  }
+
+  if (constraints.blockPreference === 'require' && schedule.length > 0 && getCourseBlock(course) !== getCourseBlock(schedule[0])) {
+    reasons.push({ code: 'other-block', message: `is not in block ${getCourseBlock(schedule[0])}` });
+  }
+
+  const withCourse = [...schedule, course];
+  if (exceedsMaxUnits(withCourse, constraints.maxUnits)) {
+    reasons.push({ code: 'max-units', message: `would exceed the ${constraints.maxUnits}-unit limit` });
+  }
+  if (exceedsMaxGap(withCourse, constraints.maxClassGapHours) && !exceedsMaxGap(schedule, constraints.maxClassGapHours)) {
+    reasons.push({ code: 'max-gap', message: `would leave a break longer than ${constraints.maxClassGapHours} hours` });
+  }
+  if (exceedsMaxHoursPerDay(withCourse, constraints.maxHoursPerDay)) {
+    reasons.push({ code: 'max-day-hours', message: `would put more than ${constraints.maxHoursPerDay} hours of class in a day` });
+  }
+  if (exceedsMaxConsecutiveHours(withCourse, constraints.maxConsecutiveHours)) {
+    reasons.push({ code: 'max-consecutive-hours', message: `would make more than ${constraints.maxConsecutiveHours} hours of class in a row` });
+  }
+  const brokenRules = new Set(getBreakViolations(schedule, constraints).map(violation => violation.rule));
+  for (const violation of getBreakViolations(withCourse, constraints)) {
+    if (brokenRules.has(violation.rule)) continue;
+    brokenRules.add(violation.rule);
+    if (violation.rule === 'lunch-break') {
+      reasons.push({ code: 'lunch-break', message: `would leave ${describeBreakViolation(violation, constraints)}` });
+    } else {
+      reasons.push({ code: 'min-transition', message: `would leave less than ${constraints.minTransitionMinutes} minutes between classes on ${violation.day}` });
+    }
+  }
+
+  if (reasons.length === 0 && schedule.length === 0) {
+    reasons.push({ code: 'no-schedule', message: 'no schedule satisfying every constraint was found' });
+  } else if (reasons.length === 0) {
+    reasons.push({ code: 'not-selected', message: 'fits, but the search did not pick it; try another search mode' });
+  }
+  return reasons;
+}
+
+/**
+ * Explains a lecture or lab row through the linked units it belongs to: the partner's filters,
+ * then the unit as a whole against `schedule`. Duplicate messages are dropped.
+ * @param {import('../utils/parseRawData').Course} course
+ * @param {import('./linkage').LinkedSection[]} linkedUnits
+ * @param {import('../utils/parseRawData').Course[]} schedule
+ * @param {import('./index').ScheduleConstraints} constraints
+ * @returns {OmissionReason[]}
+ */
+function explainLinkedSection(course, linkedUnits, schedule, constraints) {
+  const reasons = [];
+  for (const unit of linkedUnits) {
+    const partner = unit.linkedCourses.find(row => row !== course);
+    const partnerFilters = getCourseFilterReasons(partner, constraints);
+    const unitReasons = partnerFilters.length > 0
+      ? partnerFilters.map(code => ({ code, message: `linked ${formatSectionLabel(partner)} ${describeFilterReason(code, partner, constraints)}` }))
+      : explainEligibleSection(unit, schedule, constraints).map(reason => ({ ...reason, message: `with ${formatSectionLabel(partner)}: ${reason.message}` }));
+    reasons.push(...unitReasons);
+  }
+  return reasons.filter((reason, i) => reasons.findIndex(other => other.message === reason.message) === i);
+}
+
+/**
+ * Builds the one-line summary from per-section reasons.
+ * @param {SubjectOmission['sections']} sections
+ * @param {boolean} allFiltered
+ * @returns {string}
+ */
+function summarize(sections, allFiltered) {
+  const counts = new Map();
+  const conflictLabels = new Set();
+  for (const { reasons } of sections) {
+    for (const reason of reasons) {
+      counts.set(reason.code, (counts.get(reason.code) || 0) + 1);
+      (reason.conflictsWith || []).forEach(c => conflictLabels.add(formatSectionLabel(c)));
+    }
+  }
+
+  const parts = [];
+  if (counts.has('status')) parts.push(`${counts.get('status')} closed or hidden by status`);
+  if (counts.has('section-type')) parts.push(`${counts.get('section-type')} of an unselected section type`);
+  if (counts.has('modality')) parts.push(`${counts.get('modality')} not taught the way your modality filter allows`);
+  if (counts.has('excluded-day')) parts.push(`${counts.get('excluded-day')} on an excluded day`);
+  if (counts.has('excluded-time')) parts.push(`${counts.get('excluded-time')} in an excluded time range`);
+  if (counts.has('day-hours')) parts.push(`${counts.get('day-hours')} outside your class hours for the day`);
+  if (counts.has('conflict')) parts.push(`${counts.get('conflict')} conflict with ${[...conflictLabels].join(', ')}`);
+  if (counts.has('max-units')) parts.push(`${counts.get('max-units')} would exceed the unit limit`);
+  if (counts.has('max-gap')) parts.push(`${counts.get('max-gap')} would break the maximum gap`);
+  if (counts.has('max-day-hours')) parts.push(`${counts.get('max-day-hours')} would exceed the hours per day`);
+  if (counts.has('max-consecutive-hours')) parts.push(`${counts.get('max-consecutive-hours')} would exceed the hours in a row`);
+  if (counts.has('lunch-break')) parts.push(`${counts.get('lunch-break')} would take your lunch break`);
+  if (counts.has('min-transition')) parts.push(`${counts.get('min-transition')} too close to another class`);
+  if (counts.has('not-selected')) parts.push(`${counts.get('not-selected')} fit but were not picked`);
+  if (counts.has('other-block')) parts.push(`${counts.get('other-block')} in another section block`);
+  if (counts.has('unpaired')) parts.push(`${counts.get('unpaired')} without a linked lecture/lab section`);
+  if (counts.has('no-schedule')) parts.push(`${counts.get('no-schedule')} could not be placed because no schedule was found`);
+
+  let prefix = `${pluralize(sections.length, 'section')} considered`;
+  if (allFiltered) {
+    prefix = sections.length === 1 ? 'The only section is filtered out' : `All ${sections.length} sections filtered out`;
+  }
+  return `${prefix}: ${parts.join('; ')}.`;
+}
+
+/**
+ * Explains why each subject in `courses` is missing from `schedule`. Sections removed by the
+ * filters report which filters; the remaining sections are checked against the chosen sections
+ * for time conflicts, `maxUnits`, `maxClassGapHours`, the daily hour limits and the break rules.
+ * @param {import('../utils/parseRawData').Course[]} courses - Every section passed to the search, before filtering.
+ * @param {import('./index').ScheduleConstraints} constraints
+ * @param {import('../utils/parseRawData').Course[]} schedule - The chosen sections.
+ * @param {object} [context] - Lecture/lab linkage of the search, see `combineLinkedSections`.
+ * @param {Set<import('../utils/parseRawData').Course>} [context.unpaired] - Linked rows without a valid partner.
+ * @param {Array<import('../utils/parseRawData').Course|import('./linkage').LinkedSection>} [context.units]
+ * @returns {SubjectOmission[]} One entry per missing subject, in input order.
+ */
+export function explainUnscheduledSubjects(courses, constraints, schedule, context = {}) {
+  const { unpaired = new Set(), units = [] } = context;
+  const linkedUnits = units.filter(unit => unit.linkedCourses);
+  const scheduledSubjects = new Set(schedule.map(c => c.subject));
+  const bySubject = groupCoursesBySubject(courses || []);
+
+  return Object.keys(bySubject)
+    .filter(subject => !scheduledSubjects.has(subject))
+    .map(subject => {
+      const sections = bySubject[subject].map(course => {
+        const filterReasons = getCourseFilterReasons(course, constraints);
+        const unitsWithCourse = linkedUnits.filter(unit => expandLinkedSections([unit]).includes(course));
+        let reasons;
+        if (filterReasons.length > 0) {
+          reasons = filterReasons.map(code => ({ code, message: describeFilterReason(code, course, constraints) }));
+        } else if (unpaired.has(course)) {
+          reasons = [{ code: 'unpaired', message: 'has no linked lecture/lab section in the same block' }];
+        } else if (unitsWithCourse.length > 0) {
+          reasons = explainLinkedSection(course, unitsWithCourse, schedule, constraints);
+        } else {
+          reasons = explainEligibleSection(course, schedule, constraints);
+        }
+        return { course, reasons, isFiltered: filterReasons.length > 0 };
+      });
+      const allFiltered = sections.every(section => section.isFiltered);
+      return {
+        subject,
+        allFiltered,
+        summary: summarize(sections, allFiltered),
+        sections: sections.map(({ course, reasons }) => ({ course, reasons })),
+      };
+    });
+}
@@ -0,0 +1,146 @@
+import { parseSchedule } from '../utils/parseSchedule';
+import { checkTimeOverlap } from './conflicts';
+import { getCourseModality } from './courseModel';
+
+export const SECTION_TYPE_SUFFIXES = ['AP3', 'AP4', 'AP5'];
+// `any` lets hybrid sections through; the other two keep only sections taught entirely that way.
+export const MODALITY_FILTERS = ['any', 'face-to-face', 'online'];
+
+/**
+ * Returns the section type suffix (AP3, AP4, AP5) of a section code such as "G01-AP4", or null.
+ * @param {string} sectionString
+ * @returns {string|null}
+ */
+export const getSectionTypeSuffix = (sectionString) => {
+  if (typeof sectionString !== 'string') return null;
+  const parts = sectionString.split('-');
+  const lastPart = parts[parts.length - 1];
+  return SECTION_TYPE_SUFFIXES.includes(lastPart) ? lastPart : null;
+};
+
+/**
+ * Why a course fails {@link passesCourseFilters}.
+ * @typedef {'status'|'section-type'|'modality'|'excluded-day'|'excluded-time'|'day-hours'} FilterReason
+ */
+
+/**
+ * A time range no class may overlap.
+ * @typedef {object} ExcludedTimeRange
+ * @property {string} start - HH:mm.
+ * @property {string} end - HH:mm.
+ * @property {string[]} [days] - Day codes the range applies to; every day when missing.
+ */
+
+/**
+ * Allowed class hours on one day, as HH:mm. Either bound may be empty.
+ * @typedef {object} DayTimeBounds
+ * @property {string} [earliestStart] - No class may start before this time.
+ * @property {string} [latestEnd] - Every class must end by this time.
+ */
+
+/**
+ * One meeting that breaks the {@link DayTimeBounds} of its day.
+ * @typedef {object} DayBoundViolation
+ * @property {string} day - Day code.
+ * @property {'earliestStart'|'latestEnd'} bound
+ * @property {string} limit - The bound that was broken, HH:mm.
+ */
+
+/**
+ * Lists the meetings of parsed time slots that fall outside the allowed hours of their day.
+ * @param {{days: string[], startTime: string, endTime: string}[]} slots - `allTimeSlots` from parseSchedule.
+ * @param {Object<string, DayTimeBounds>} dayTimeBounds - Keyed by day code.
+ * @returns {DayBoundViolation[]}
+ */
+export function getDayBoundViolations(slots, dayTimeBounds) {
+  const violations = [];
+  for (const slot of slots) {
+    if (!slot.startTime || !slot.endTime) continue;
+    for (const day of slot.days) {
+      const { earliestStart, latestEnd } = dayTimeBounds?.[day] || {};
+      // Times are zero-padded HH:mm, so string order is time order.
+      if (earliestStart && slot.startTime < earliestStart) violations.push({ day, bound: 'earliestStart', limit: earliestStart });
+      if (latestEnd && slot.endTime > latestEnd) violations.push({ day, bound: 'latestEnd', limit: latestEnd });
+    }
+  }
+  return violations;
+}
+
+/**
+ * Lists every filter a course fails: status, section type, modality, excluded day, excluded time range and
+ * per-day class hours.
+ * Courses with TBA or unparseable schedules pass the modality, day and time filters.
+ * @param {import('../utils/parseRawData').Course} course
+ * @param {import('./index').ScheduleConstraints} constraints
+ * @returns {FilterReason[]} Empty when the course passes.
+ */
+export function getCourseFilterReasons(course, constraints) {
+  const {
+    statusFilter = 'all',
+    sectionTypes = [],
+    modality = 'any',
+    excludedDays = [],
+    excludedTimeRanges = [],
+    dayTimeBounds = {},
+  } = constraints;
+  const reasons = [];
+
+  if (statusFilter === 'open' && course.isClosed === true) reasons.push('status');
+  if (statusFilter === 'closed' && course.isClosed === false) reasons.push('status');
+
+  if (sectionTypes.length > 0) {
+    const courseSectionType = getSectionTypeSuffix(course.section);
+    if (!courseSectionType || !sectionTypes.includes(courseSectionType)) reasons.push('section-type');
+  }
+
+  if (modality !== 'any') {
+    const courseModality = getCourseModality(course);
+    if (courseModality && courseModality !== modality) reasons.push('modality');
+  }
+
+  const parsedScheduleResult = parseSchedule(course.schedule);
+  if (!parsedScheduleResult || parsedScheduleResult.isTBA || !parsedScheduleResult.allTimeSlots || parsedScheduleResult.allTimeSlots.length === 0) {
+    return reasons;
+  }
+
+  const slots = parsedScheduleResult.allTimeSlots;
+  if (slots.some(slot => slot.days.some(day => excludedDays.includes(day)))) {
+    reasons.push('excluded-day');
+  }
+  const overlapsExcludedRange = slots.some(slot => excludedTimeRanges.some(excludedRange => {
+    if (Array.isArray(excludedRange.days) && !slot.days.some(day => excludedRange.days.includes(day))) return false;
+    if (excludedRange.start && excludedRange.end && slot.startTime && slot.endTime) {
+      return checkTimeOverlap(slot.startTime, slot.endTime, excludedRange.start, excludedRange.end);
+    }
+    return false;
+  }));
+  if (overlapsExcludedRange) reasons.push('excluded-time');
+  if (getDayBoundViolations(slots, dayTimeBounds).length > 0) reasons.push('day-hours');
+  return reasons;
+}
+
+/**
+ * Checks a course against the status, section type, modality, excluded day, excluded time range and
+ * per-day class hours filters.
+ * @param {import('../utils/parseRawData').Course} course
+ * @param {import('./index').ScheduleConstraints} constraints
+ * @returns {boolean}
+ */
+export function passesCourseFilters(course, constraints) {
+  return getCourseFilterReasons(course, constraints).length === 0;
+}
+
+/**
+ * Groups courses into `{ [subject]: Course[] }`, preserving input order within each subject.
+ * @param {import('../utils/parseRawData').Course[]} courses
+ * @returns {Object<string, import('../utils/parseRawData').Course[]>}
+ */
+export function groupCoursesBySubject(courses) {
+  return courses.reduce((acc, course) => {
+    if (!acc[course.subject]) {
+      acc[course.subject] = [];
+    }
+    acc[course.subject].push(course);
+    return acc;
+  }, {});
+}
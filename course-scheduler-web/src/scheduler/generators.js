@@ -0,0 +1,596 @@
+import { DAY_CODES, getCourseKey, MINUTES_PER_DAY, restrictCourseModel } from './courseModel';
+import { getCourseBlock } from './linkage';
+import { shuffle } from './random';
+import { compareCandidates, createTopScheduleList, getSubjectWeight, scoreWithProfile } from './ranking';
+import {
+  exceedsMaxConsecutiveHours,
+  exceedsMaxGap,
+  exceedsMaxHoursPerDay,
+  exceedsMaxUnits,
+  scoreScheduleByTimePreference,
+  violatesBreakRules,
+} from './scoring';
+
+const SMALL_N_THRESHOLD_PARTIAL = 12;
+const FAST_MODE_MAX_ATTEMPTS = 1000;
+const DEFAULT_OPTIMAL_TIME_LIMIT_SECONDS = 20;
+// Number of search nodes between two progress reports. The search generators
+// yield at this interval so the worker can report progress and honour cancel.
+const PROGRESS_INTERVAL = 250;
+
+/**
+ * @typedef {object} SearchProgress
+ * @property {number} nodesExplored - Number of partial/complete schedules visited so far.
+ * @property {number|null} bestScore - Best profile score found so far, null if none yet.
+ */
+
+/**
+ * Options shared by every generator, already normalized by `createScheduleSearch`.
+ * @typedef {object} GeneratorOptions
+ * @property {number|string} maxUnits
+ * @property {number} minUnits - Schedules with fewer units are rejected; 0 means no minimum.
+ * @property {number|string} maxClassGapHours
+ * @property {import('./scoring').LunchBreak|null} lunchBreak - Normalized, see `normalizeLunchBreak`.
+ * @property {number} minTransitionMinutes - 0 means no minimum.
+ * @property {number|string} maxHoursPerDay - Contact hours allowed on one day; empty means no limit.
+ * @property {number|string} maxConsecutiveHours - Hours of back-to-back classes allowed; empty means no limit.
+ * @property {string[]} preferredTimeOfDayOrder
+ * @property {boolean} minimizeDaysOnCampus
+ * @property {number} resultLimit - How many distinct schedules to return.
+ * @property {Object<string, import('./ranking').SubjectPriority>} subjectPriorities
+ * @property {string[]} requiredSubjects - Subjects every returned schedule must contain.
+ * @property {'off'|'prefer'|'require'} blockPreference - Favour sections from one block; see `createTopScheduleList`.
+ * @property {import('./ranking').ScoringProfile} scoringProfile - Normalized, see `normalizeScoringProfile`.
+ * @property {import('./buildings').BuildingMap} buildingMap - Normalized, see `normalizeBuildingMap`.
+ * @property {import('./scoring').ModalityPreferences} modalityPreferences - Normalized, see
+ *   `normalizeModalityPreferences`.
+ * @property {function(): number} random - Seeded source of randomness for the heuristic and fast modes,
+ *   see `createSeededRandom`. Never `Math.random`, so a seed reproduces a run.
+ * @property {string[]} [triedCombinationKeys] - Fast mode only.
+ * @property {number} [deadline] - Optimal mode only: `Date.now()` value after which the search stops.
+ */
+
+/**
+ * @typedef {object} GeneratorResult
+ * @property {import('./ranking').ScheduleCandidate[]} schedules - Best first, at most `resultLimit`.
+ * @property {import('./ranking').ScheduleCandidate|null} closestMiss - Best schedule rejected for missing a required
+ *   subject or falling below `minUnits`.
+ * @property {string[]} [newCombinationKeys] - Fast mode only.
+ * @property {'proven'|'timeout'} [optimality] - Optimal mode only: whether the search finished or hit the deadline.
+ */
+
+/**
+ * Checks a candidate against already chosen courses using the model's precomputed conflict matrix.
+ * @param {import('./courseModel').CourseModel} model
+ * @param {import('./courseModel').NormalizedCourse} candidate
+ * @param {import('./courseModel').NormalizedCourse[]} chosen
+ * @returns {boolean}
+ */
+function conflictsWithChosen(model, candidate, chosen) {
+  for (const existing of chosen) {
+    if (model.conflicts(existing.index, candidate.index)) return true;
+  }
+  return false;
+}
+
+/**
+ * Checks the per-day rules: break rules and the daily and consecutive hour limits. Adding a section
+ * can only make them worse, so a partial schedule that breaks one can be dropped.
+ * @param {import('./courseModel').NormalizedCourse[]} schedule
+ * @param {GeneratorOptions} options
+ * @returns {boolean}
+ */
+function breaksDailyRules(schedule, options) {
+  return exceedsMaxHoursPerDay(schedule, options.maxHoursPerDay) ||
+    exceedsMaxConsecutiveHours(schedule, options.maxConsecutiveHours) ||
+    violatesBreakRules(schedule, options);
+}
+
+const createResultList = (options) => createTopScheduleList({
+  limit: options.resultLimit,
+  minimizeDaysOnCampus: options.minimizeDaysOnCampus,
+  preferredTimeOfDayOrder: options.preferredTimeOfDayOrder,
+  subjectPriorities: options.subjectPriorities,
+  requiredSubjects: options.requiredSubjects,
+  minUnits: options.minUnits,
+  blockPreference: options.blockPreference,
+  scoringProfile: options.scoringProfile,
+  buildingMap: options.buildingMap,
+  modalityPreferences: options.modalityPreferences,
+});
+
+const toGeneratorResult = (results, extra = {}) => ({
+  schedules: results.entries(),
+  closestMiss: results.closestMiss(),
+  ...extra,
+});
+
+/**
+ * Exhaustive backtracking over one section per subject. Only full-coverage schedules are considered.
+ * Yields {@link SearchProgress} periodically.
+ * @param {import('./courseModel').CourseModel} model
+ * @param {GeneratorOptions} options
+ * @returns {Generator<SearchProgress, GeneratorResult>}
+ */
+function* generateExhaustiveBestSchedule(model, options) {
+  const { maxUnits, maxClassGapHours } = options;
+  const subjects = Object.keys(model.bySubject);
+  const results = createResultList(options);
+  // Units only grow along a branch, so the unit cap can prune early instead of at the leaves.
+  const maxUnitsValue = maxUnits ? parseFloat(maxUnits) : Infinity;
+  let nodesExplored = 0;
+
+  function* backtrack(idx, currentSchedule, unitsSoFar) {
+    nodesExplored++;
+    if (nodesExplored % PROGRESS_INTERVAL === 0) {
+      yield { nodesExplored, bestScore: results.bestScore() };
+    }
+
+    if (idx === subjects.length) {
+      if (exceedsMaxGap(currentSchedule, maxClassGapHours)) return;
+      results.offer(currentSchedule);
+      return;
+    }
+
+    const subject = subjects[idx];
+    for (const courseIndex of model.bySubject[subject]) {
+      const course = model.courses[courseIndex];
+      if (unitsSoFar + course.units > maxUnitsValue) continue;
+      if (!conflictsWithChosen(model, course, currentSchedule)) {
+        currentSchedule.push(course);
+        // Daily rules, like units, can only get worse further down the branch.
+        if (!breaksDailyRules(currentSchedule, options)) {
+          yield* backtrack(idx + 1, currentSchedule, unitsSoFar + course.units);
+        }
+        currentSchedule.pop();
+      }
+    }
+  }
+  yield* backtrack(0, [], 0);
+  yield { nodesExplored, bestScore: results.bestScore() };
+  return toGeneratorResult(results);
+}
+
+function* generateBestPartialSchedule_Heuristic(model, options) {
+  const { maxUnits, maxClassGapHours } = options;
+  const results = createResultList(options);
+  let nodesExplored = 0;
+
+  const courses = model.courses;
+  const numCourses = courses.length;
+  const NUM_ATTEMPTS = Math.min(500, Math.max(50, numCourses * 2));
+  const requiredSubjects = new Set(options.requiredSubjects);
+  const preferSameBlock = options.blockPreference === 'prefer';
+  const { scoringProfile } = options;
+
+  for (let attempt = 0; attempt < NUM_ATTEMPTS; attempt++) {
+    let currentSchedule = [];
+    let currentSubjectsSet = new Set();
+    let poolOfCandidatesForAttempt = shuffle([...courses], options.random);
+
+    while (true) {
+      let bestCandidateToAddThisPass = null;
+      let bestPriorityForThisPass = -1;
+      let indexOfBestCandidateInPool = -1;
+
+      for (let i = 0; i < poolOfCandidatesForAttempt.length; i++) {
+        nodesExplored++;
+        if (nodesExplored % PROGRESS_INTERVAL === 0) {
+          yield { nodesExplored, bestScore: results.bestScore() };
+        }
+
+        const candidate = poolOfCandidatesForAttempt[i];
+        if (currentSubjectsSet.has(candidate.subject)) continue;
+
+        const tempScheduleWithCandidateForConstraints = [...currentSchedule, candidate];
+        if (exceedsMaxUnits(tempScheduleWithCandidateForConstraints, maxUnits)) continue;
+        if (exceedsMaxGap(tempScheduleWithCandidateForConstraints, maxClassGapHours)) continue;
+        if (breaksDailyRules(tempScheduleWithCandidateForConstraints, options)) continue;
+        if (conflictsWithChosen(model, candidate, currentSchedule)) continue;
+
+        let priority = (requiredSubjects.has(candidate.subject) ? 30000 : 20000) +
+          getSubjectWeight(options.subjectPriorities, candidate.subject) * scoringProfile.subjects + candidate.units * scoringProfile.units;
+        // Staying in the first chosen section's block outweighs units but never a subject.
+        if (preferSameBlock && currentSchedule.length > 0 &&
+          getCourseBlock(candidate.course) === getCourseBlock(currentSchedule[0].course)) {
+          priority += 50;
+        }
+        priority += options.random() * 0.1;
+
+        if (priority > bestPriorityForThisPass) {
+          bestCandidateToAddThisPass = candidate;
+          bestPriorityForThisPass = priority;
+          indexOfBestCandidateInPool = i;
+        }
+      }
+
+      if (bestCandidateToAddThisPass) {
+        currentSchedule.push(bestCandidateToAddThisPass);
+        currentSubjectsSet.add(bestCandidateToAddThisPass.subject);
+        poolOfCandidatesForAttempt.splice(indexOfBestCandidateInPool, 1);
+      } else {
+        break;
+      }
+    }
+
+    results.offer(currentSchedule);
+  }
+  yield { nodesExplored, bestScore: results.bestScore() };
+  return toGeneratorResult(results);
+}
+
+/**
+ * Maximizes subjects, then units, over all subsets of the given sections. Falls back to a
+ * randomized greedy heuristic, driven by `options.random`, above {@link SMALL_N_THRESHOLD_PARTIAL} sections.
+ * Yields {@link SearchProgress} periodically.
+ * @param {import('./courseModel').CourseModel} model
+ * @param {GeneratorOptions} options
+ * @returns {Generator<SearchProgress, GeneratorResult>}
+ */
+function* generateBestPartialSchedule(model, options) {
+  const { maxUnits, maxClassGapHours } = options;
+  const courses = model.courses;
+  if (courses.length === 0) return { schedules: [], closestMiss: null };
+
+  if (courses.length <= SMALL_N_THRESHOLD_PARTIAL) {
+    const results = createResultList(options);
+    let nodesExplored = 0;
+
+    // Each bit of `mask` selects one course, which enumerates subsets in the same order as
+    // building them incrementally ([], [a], [b], [a, b], [c], ...).
+    const subsetCount = 1 << courses.length;
+    for (let mask = 0; mask < subsetCount; mask++) {
+      nodesExplored++;
+      if (nodesExplored % PROGRESS_INTERVAL === 0) {
+        yield { nodesExplored, bestScore: results.bestScore() };
+      }
+
+      if (mask === 0) continue;
+
+      const subset = [];
+      const subjects = new Set();
+      let isValidSubset = true;
+      for (let i = 0; i < courses.length && isValidSubset; i++) {
+        if ((mask & (1 << i)) === 0) continue;
+        const course = courses[i];
+        if (subjects.has(course.subject) || conflictsWithChosen(model, course, subset)) {
+          isValidSubset = false;
+        } else {
+          subjects.add(course.subject);
+          subset.push(course);
+        }
+      }
+      if (!isValidSubset) continue;
+
+      if (exceedsMaxUnits(subset, maxUnits)) continue;
+      if (exceedsMaxGap(subset, maxClassGapHours)) continue;
+      if (breaksDailyRules(subset, options)) continue;
+
+      results.offer(subset);
+    }
+    yield { nodesExplored, bestScore: results.bestScore() };
+    return toGeneratorResult(results);
+  } else {
+    return yield* generateBestPartialSchedule_Heuristic(model, options);
+  }
+}
+
+/**
+ * Randomized sampling, driven by `options.random`: picks a shuffled section per subject that neither conflicts
+ * nor breaks the daily rules, up to {@link FAST_MODE_MAX_ATTEMPTS} times, and keeps the best combinations not tried before.
+ * Yields {@link SearchProgress} periodically.
+ * @param {import('./courseModel').CourseModel} model
+ * @param {GeneratorOptions} options
+ * @returns {Generator<SearchProgress, GeneratorResult>}
+ */
+function* generateFastSchedule(model, options) {
+  const { maxUnits, maxClassGapHours, triedCombinationKeys = [] } = options;
+  const generateCombinationKey = (courses) => {
+    return courses.map(c => getCourseKey(c.course)).sort().join(',');
+  };
+  const triedCombinations = new Set(triedCombinationKeys);
+  const newCombinationKeys = [];
+  const results = createResultList(options);
+  const subjectCount = Object.keys(model.bySubject).length;
+  // Required subjects pick their section first so optional ones cannot crowd them out.
+  const required = new Set(options.requiredSubjects);
+  const subjectOrder = Object.keys(model.bySubject).sort((a, b) => Number(required.has(b)) - Number(required.has(a)));
+  const preferSameBlock = options.blockPreference === 'prefer';
+  let attempts = 0;
+
+  while (attempts < FAST_MODE_MAX_ATTEMPTS) {
+    attempts++;
+    if (attempts % PROGRESS_INTERVAL === 0) {
+      yield { nodesExplored: attempts, bestScore: results.bestScore() };
+    }
+
+    let currentSchedule = [];
+    subjectOrder.forEach(subject => {
+      const shuffledCourses = shuffle(model.bySubject[subject].map(i => model.courses[i]), options.random);
+      if (preferSameBlock && currentSchedule.length > 0) {
+        const block = getCourseBlock(currentSchedule[0].course);
+        shuffledCourses.sort((a, b) => Number(getCourseBlock(b.course) === block) - Number(getCourseBlock(a.course) === block));
+      }
+      for (const course of shuffledCourses) {
+        if (!conflictsWithChosen(model, course, currentSchedule) && !breaksDailyRules([...currentSchedule, course], options)) {
+          currentSchedule.push(course);
+          break;
+        }
+      }
+    });
+
+    if (exceedsMaxUnits(currentSchedule, maxUnits)) {
+      continue;
+    }
+    if (exceedsMaxGap(currentSchedule, maxClassGapHours)) {
+      continue;
+    }
+
+    const scheduleKey = generateCombinationKey(currentSchedule);
+    if (triedCombinations.has(scheduleKey)) {
+      continue;
+    }
+    triedCombinations.add(scheduleKey);
+    newCombinationKeys.push(scheduleKey);
+
+    results.offer(currentSchedule);
+
+    if (results.isFull() && results.worst().subjectCount === subjectCount) {
+      break;
+    }
+  }
+  yield { nodesExplored: attempts, bestScore: results.bestScore() };
+  return toGeneratorResult(results, { newCombinationKeys });
+}
+
+/**
+ * Branch and bound over one section (or none) per subject, ranked exactly like the other modes.
+ * Every node is bounded by an optimistic candidate: current campus days and blocks, plus the weight,
+ * most units and best time-of-day score of each remaining subject that still has a fitting section,
+ * with weight and subject count further capped by what fits under `maxUnits`. Its profile score assumes
+ * no gaps or walking conflicts and the latest start and earliest end of any section.
+ * A branch is cut when that bound cannot beat the worst kept schedule, so a finished search proves
+ * the returned schedules are the best `resultLimit` ones. Required subjects are never skipped and
+ * branches that cannot reach `minUnits` are cut; when nothing fits, further passes without those
+ * constraints find the closest miss.
+ * Yields {@link SearchProgress} periodically.
+ * @param {import('./courseModel').CourseModel} model
+ * @param {GeneratorOptions} options
+ * @returns {Generator<SearchProgress, GeneratorResult>}
+ */
+function* generateOptimalSchedule(model, options) {
+  const { maxClassGapHours, minimizeDaysOnCampus, preferredTimeOfDayOrder, subjectPriorities, scoringProfile, deadline = Infinity } = options;
+  const maxUnitsValue = options.maxUnits ? parseFloat(options.maxUnits) : Infinity;
+  const preferSameBlock = options.blockPreference === 'prefer' || options.blockPreference === 'require';
+  const results = createResultList(options);
+  let nodesExplored = 0;
+  let timedOut = false;
+
+  const timeScores = model.courses.map(nc => scoreScheduleByTimePreference([nc], preferredTimeOfDayOrder));
+  const blocks = model.courses.map(nc => getCourseBlock(nc.course));
+  const dayMasks = model.courses.map(nc => nc.slots.reduce((mask, slot) => (slot.isOnline ? mask : mask | (1 << DAY_CODES.indexOf(slot.day))), 0));
+  const slotHours = (slot) => (slot.start - DAY_CODES.indexOf(slot.day) * MINUTES_PER_DAY) / 60;
+  const allSlots = model.courses.flatMap(nc => nc.slots);
+  const latestStartHour = Math.max(0, ...allSlots.map(slotHours));
+  const earliestEndHour = Math.min(Infinity, ...allSlots.map(slot => slotHours(slot) + (slot.end - slot.start) / 60));
+  const countBits = (mask) => {
+    let count = 0;
+    for (let rest = mask; rest; rest &= rest - 1) count++;
+    return count;
+  };
+
+  function* branchAndBound(list, requiredSubjects, minUnits) {
+    // Required and heavy subjects first so a strong schedule is found early; within a subject,
+    // sections with more units and a better time of day first.
+    const subjects = Object.keys(model.bySubject).sort((a, b) =>
+      Number(requiredSubjects.has(b)) - Number(requiredSubjects.has(a)) ||
+      getSubjectWeight(subjectPriorities, b) - getSubjectWeight(subjectPriorities, a) ||
+      model.bySubject[a].length - model.bySubject[b].length
+    );
+    const sectionsBySubject = subjects.map(subject => [...model.bySubject[subject]].sort((i, j) =>
+      model.courses[j].units - model.courses[i].units || timeScores[i] - timeScores[j]
+    ));
+    const chosen = [];
+    // How many chosen sections each section overlaps, kept up to date so `fits` needs no scan.
+    const overlapCounts = new Array(model.courses.length).fill(0);
+    const blockCounts = new Map();
+    let units = 0;
+    let priority = 0;
+    let timeScore = 0;
+    let dayMask = 0;
+
+    const fits = (index) => units + model.courses[index].units <= maxUnitsValue && overlapCounts[index] === 0;
+    const updateOverlaps = (index, delta) => {
+      for (let other = 0; other < model.courses.length; other++) {
+        if (other !== index && model.conflicts(model.courses[index].index, model.courses[other].index)) {
+          overlapCounts[other] += delta;
+        }
+      }
+    };
+
+    // Fractional knapsack over the unit cap: an upper bound on the total value that still fits.
+    const boundWithinUnits = (items) => {
+      let capacity = maxUnitsValue - units;
+      let total = 0;
+      for (const { value, cost } of [...items].sort((a, b) => b.value * a.cost - a.value * b.cost)) {
+        if (cost <= capacity) {
+          total += value;
+          capacity -= cost;
+        } else {
+          total += value * capacity / cost;
+          break;
+        }
+      }
+      return Math.floor(total + 1e-9);
+    };
+
+    const canBeatWorst = (idx) => {
+      const remaining = [];
+      let weightSum = 0;
+      let bestUnitsSum = 0;
+      for (let r = idx; r < subjects.length; r++) {
+        let bestUnits = -1;
+        let fewestUnits = Infinity;
+        for (const index of sectionsBySubject[r]) {
+          if (!fits(index)) continue;
+          bestUnits = Math.max(bestUnits, model.courses[index].units);
+          fewestUnits = Math.min(fewestUnits, model.courses[index].units);
+        }
+        if (bestUnits < 0) {
+          if (requiredSubjects.has(subjects[r])) return false;
+          continue;
+        }
+        const weight = getSubjectWeight(subjectPriorities, subjects[r]);
+        remaining.push({ weight, cost: fewestUnits });
+        weightSum += weight;
+        bestUnitsSum += bestUnits;
+      }
+      if (units + bestUnitsSum < minUnits) return false;
+      if (!list.isFull()) return true;
+
+      let boundWeight = weightSum;
+      let boundCount = remaining.length;
+      if (maxUnitsValue !== Infinity) {
+        boundWeight = Math.min(weightSum, boundWithinUnits(remaining.map(item => ({ value: item.weight, cost: item.cost }))));
+        boundCount = Math.min(remaining.length, boundWithinUnits(remaining.map(item => ({ value: 1, cost: item.cost }))));
+      }
+      const bound = {
+        campusDays: countBits(dayMask),
+        priority: priority + boundWeight,
+        subjectCount: chosen.length + boundCount,
+        blockCount: Math.max(1, blockCounts.size),
+        totalUnits: Math.min(units + bestUnitsSum, maxUnitsValue),
+        // Time-of-day penalties only grow, and a completion may skip every remaining subject.
+        timePreferenceScore: timeScore,
+      };
+      const worst = list.worst();
+      bound.score = scoreWithProfile({
+        ...bound,
+        gapHours: 0,
+        walkingConflicts: 0,
+        modalityMismatches: 0,
+        averageStartHour: latestStartHour,
+        averageEndHour: chosen.some(nc => nc.slots.length > 0) ? earliestEndHour : 0,
+      }, scoringProfile);
+      // Treat a rounding-level difference as a tie so the remaining criteria decide.
+      if (Math.abs(bound.score - worst.score) < 1e-6) bound.score = worst.score;
+      return compareCandidates(bound, worst, minimizeDaysOnCampus, preferSameBlock) < 0;
+    };
+
+    function* visit(idx) {
+      if (timedOut) return;
+      nodesExplored++;
+      if (nodesExplored % PROGRESS_INTERVAL === 0) {
+        if (Date.now() > deadline) {
+          timedOut = true;
+          return;
+        }
+        yield { nodesExplored, bestScore: results.bestScore() };
+      }
+
+      if (idx === subjects.length) {
+        if (chosen.length > 0 && !exceedsMaxGap(chosen, maxClassGapHours)) list.offer(chosen);
+        return;
+      }
+      if (!canBeatWorst(idx)) return;
+
+      for (const index of sectionsBySubject[idx]) {
+        if (!fits(index)) continue;
+        const course = model.courses[index];
+        // The bound ignores the daily rules, which keeps it optimistic; they are enforced here instead.
+        if (breaksDailyRules([...chosen, course], options)) continue;
+        const previousDayMask = dayMask;
+        chosen.push(course);
+        units += course.units;
+        priority += getSubjectWeight(subjectPriorities, course.subject);
+        timeScore += timeScores[index];
+        dayMask |= dayMasks[index];
+        blockCounts.set(blocks[index], (blockCounts.get(blocks[index]) || 0) + 1);
+        updateOverlaps(index, 1);
+
+        yield* visit(idx + 1);
+
+        chosen.pop();
+        units -= course.units;
+        priority -= getSubjectWeight(subjectPriorities, course.subject);
+        timeScore -= timeScores[index];
+        dayMask = previousDayMask;
+        updateOverlaps(index, -1);
+        if (blockCounts.get(blocks[index]) === 1) blockCounts.delete(blocks[index]);
+        else blockCounts.set(blocks[index], blockCounts.get(blocks[index]) - 1);
+      }
+      if (!requiredSubjects.has(subjects[idx])) {
+        yield* visit(idx + 1);
+      }
+    }
+
+    yield* visit(0);
+  }
+
+  yield* branchAndBound(results, new Set(options.requiredSubjects), options.minUnits);
+  // Pruned branches never reach the list, so find the closest miss by dropping the unit minimum,
+  // then the required subjects, until something fits.
+  const relaxations = [];
+  if (options.minUnits > 0) relaxations.push({ requiredSubjects: options.requiredSubjects });
+  if (options.requiredSubjects.length > 0) relaxations.push({ requiredSubjects: [] });
+  for (const relaxation of relaxations) {
+    if (results.entries().length > 0 || timedOut) break;
+    const relaxed = createTopScheduleList({ ...options, ...relaxation, minUnits: 0, limit: 1 });
+    yield* branchAndBound(relaxed, new Set(relaxation.requiredSubjects), 0);
+    if (relaxed.best()) {
+      results.offer(relaxed.best().courses);
+      break;
+    }
+  }
+  yield { nodesExplored, bestScore: results.bestScore() };
+  return toGeneratorResult(results, { optimality: timedOut ? 'timeout' : 'proven' });
+}
+
+/**
+ * Runs `generator` once per section block and merges the results, so every schedule stays within
+ * a single block. Exhaustive search skips blocks that do not offer every subject.
+ * Yields {@link SearchProgress} periodically, with nodes counted across blocks.
+ * @param {import('./courseModel').CourseModel} model
+ * @param {GeneratorOptions} options
+ * @param {function(import('./courseModel').CourseModel, GeneratorOptions): Generator<SearchProgress, GeneratorResult>} generator
+ * @returns {Generator<SearchProgress, GeneratorResult>}
+ */
+function* generateWithinBlocks(model, options, generator) {
+  const results = createResultList(options);
+  const subjectCount = Object.keys(model.bySubject).length;
+  const blocks = [...new Set(model.courses.map(nc => getCourseBlock(nc.course)))];
+  const newCombinationKeys = [];
+  let nodesExplored = 0;
+  let optimality;
+
+  for (const block of blocks) {
+    const blockModel = restrictCourseModel(model, nc => getCourseBlock(nc.course) === block);
+    if (generator === generateExhaustiveBestSchedule && Object.keys(blockModel.bySubject).length < subjectCount) continue;
+
+    const nodesBefore = nodesExplored;
+    const search = generator(blockModel, options);
+    let step = search.next();
+    while (!step.done) {
+      nodesExplored = nodesBefore + step.value.nodesExplored;
+      const bestScores = [results.bestScore(), step.value.bestScore].filter(score => score !== null);
+      yield { nodesExplored, bestScore: bestScores.length > 0 ? Math.max(...bestScores) : null };
+      step = search.next();
+    }
+    step.value.schedules.forEach(candidate => results.offer(candidate.courses));
+    if (step.value.closestMiss) results.offer(step.value.closestMiss.courses);
+    newCombinationKeys.push(...(step.value.newCombinationKeys ?? []));
+    if (step.value.optimality && optimality !== 'timeout') optimality = step.value.optimality;
+  }
+  return toGeneratorResult(results, { newCombinationKeys, optimality });
+}
+
+export {
+  DEFAULT_OPTIMAL_TIME_LIMIT_SECONDS,
+  FAST_MODE_MAX_ATTEMPTS,
+  generateBestPartialSchedule,
+  generateExhaustiveBestSchedule,
+  generateFastSchedule,
+  generateOptimalSchedule,
+  generateWithinBlocks,
+  SMALL_N_THRESHOLD_PARTIAL
+};
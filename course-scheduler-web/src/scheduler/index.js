@@ -0,0 +1,511 @@
+/**
+ * Scheduling engine for CIT-U Course Builder.
+ *
+ * Everything exported here is pure: it takes plain course objects (as produced by
+ * `parseRawCourseData`) plus a constraints object, and never touches React state,
+ * notifications or storage. It can be used from the UI, the search worker, or scripts.
+ *
+ * @example
+ * import { generateSchedules } from './scheduler';
+ * const { schedules, diagnostics } = generateSchedules(courses, { searchMode: 'partial', maxUnits: 21 });
+ */
+import {
+  collectBuildings,
+  DEFAULT_BUILDING_MAP,
+  findWalkingConflicts,
+  getRoomBuilding,
+  getTravelMinutes,
+  normalizeBuildingMap,
+} from './buildings';
+import { checkTimeOverlap, conflictsWithSchedule, findConflictingPairs, isScheduleConflictFree } from './conflicts';
+import {
+  buildCourseModel,
+  DAY_CODES,
+  getCourseKey,
+  getCourseModality,
+  MODALITIES,
+  normalizeCourse,
+  restrictCourseModel,
+  slotsOverlap,
+} from './courseModel';
+import { describeBreakViolation, explainUnscheduledSubjects, formatSectionLabel } from './diagnostics';
+import {
+  getCourseFilterReasons,
+  getDayBoundViolations,
+  getSectionTypeSuffix,
+  groupCoursesBySubject,
+  MODALITY_FILTERS,
+  passesCourseFilters,
+  SECTION_TYPE_SUFFIXES,
+} from './filters';
+import {
+  combineLinkedSections,
+  expandLinkedSections,
+  getCourseBlock,
+  getLinkedPairs,
+  getSectionBlock,
+  inferSubjectLinks,
+  normalizeSubjectLinks,
+} from './linkage';
+import {
+  DEFAULT_OPTIMAL_TIME_LIMIT_SECONDS,
+  generateBestPartialSchedule,
+  generateExhaustiveBestSchedule,
+  generateFastSchedule,
+  generateOptimalSchedule,
+  generateWithinBlocks,
+  SMALL_N_THRESHOLD_PARTIAL,
+} from './generators';
+import { createSeed, createSeededRandom, MAX_SEED, normalizeSeed, shuffle } from './random';
+import {
+  BLOCK_PREFERENCES,
+  compareCandidates,
+  DEFAULT_RESULT_LIMIT,
+  DEFAULT_SCORING_PROFILE,
+  DEFAULT_SUBJECT_WEIGHT,
+  getRequiredSubjects,
+  getSubjectWeight,
+  MAX_RESULT_LIMIT,
+  MAX_SCORING_WEIGHT,
+  MAX_SUBJECT_WEIGHT,
+  measureSchedule,
+  normalizeResultLimit,
+  normalizeScoringProfile,
+  PREFERRED_BLOCK_WEIGHT,
+  scoreWithProfile,
+} from './ranking';
+import {
+  averageDayBounds,
+  countCampusDays,
+  countModalityMismatches,
+  exceedsMaxConsecutiveHours,
+  exceedsMaxGap,
+  exceedsMaxHoursPerDay,
+  exceedsMaxUnits,
+  getBreakViolations,
+  getTimeOfDayBucket,
+  measureDailyHours,
+  normalizeLunchBreak,
+  normalizeModalityPreferences,
+  scoreScheduleByTimePreference,
+  sumUnits,
+  totalGapMinutes,
+  violatesBreakRules,
+} from './scoring';
+
+export const SEARCH_MODES = ['fast', 'exhaustive', 'partial', 'optimal'];
+
+/**
+ * @typedef {object} ScheduleConstraints
+ * @property {'fast'|'exhaustive'|'partial'|'optimal'} [searchMode='partial'] - Search strategy. `optimal` ranks like
+ *   `partial` but searches exactly with branch and bound, for any number of subjects.
+ * @property {'all'|'open'|'closed'} [statusFilter='all'] - Which sections are eligible by status.
+ * @property {string[]} [sectionTypes=[]] - Allowed section type suffixes (AP3, AP4, AP5); empty allows all.
+ * @property {'any'|'face-to-face'|'online'} [modality='any'] - Keep only sections taught entirely face-to-face or
+ *   entirely online, judged from the rooms (see `getCourseModality`); `any` also allows hybrid sections.
+ * @property {string[]} [excludedDays=[]] - Day codes (M, T, W, TH, F, S, SU) no class may fall on.
+ * @property {import('./filters').ExcludedTimeRange[]} [excludedTimeRanges=[]] - HH:mm ranges no class may overlap,
+ *   on the listed days or on every day.
+ * @property {Object<string, import('./filters').DayTimeBounds>} [dayTimeBounds={}] - Per day code, the earliest start
+ *   and latest end allowed for classes on that day.
+ * @property {number|string} [maxUnits] - Upper bound on total units; empty means no limit.
+ * @property {number|string} [minUnits] - Lower bound on total units; schedules with fewer are not returned.
+ *   Empty means no minimum.
+ * @property {number|string} [maxHoursPerDay] - Most contact hours on any one day; empty means no limit.
+ * @property {number|string} [maxConsecutiveHours] - Most hours of classes with no free time between them;
+ *   empty means no limit.
+ * @property {number|string} [maxClassGapHours] - Longest allowed break between classes on a day.
+ * @property {Partial<import('./scoring').LunchBreak>|null} [lunchBreak] - Free time every campus day must keep inside
+ *   a window, e.g. `{ start: '11:00', end: '14:00', minutes: 45 }`; off when `minutes` is 0 or missing.
+ * @property {number|string} [minTransitionMinutes] - Shortest allowed time between consecutive classes on a day;
+ *   empty or 0 means none.
+ * @property {string[]} [preferredTimeOfDayOrder=[]] - Time-of-day buckets, most preferred first.
+ * @property {boolean} [minimizeDaysOnCampus=false] - Rank fewer face-to-face days first.
+ * @property {import('./scoring').ModalityPreferences} [modalityPreferences={}] - Preferred modality per day, e.g.
+ *   `{ S: 'online' }`. Every class meeting taught the other way loses `scoringProfile.modalityMismatches` points.
+ * @property {number} [resultLimit=5] - How many distinct schedules to return (1 to 20).
+ * @property {Object<string, import('./ranking').SubjectPriority>} [subjectPriorities={}] - Required flag and weight per subject.
+ * @property {import('./linkage').SubjectLink[]} [subjectLinks=[]] - Lecture/lab subjects that must be taken as
+ *   a pair from the same block; each pair is scheduled as one unit under the lecture subject.
+ * @property {'off'|'prefer'|'require'} [blockPreference='off'] - Favour (`prefer`) or demand (`require`) that every
+ *   section comes from the same block, e.g. all G01. See `getSectionBlock`. `prefer` costs every extra block at
+ *   least `PREFERRED_BLOCK_WEIGHT` points.
+ * @property {Partial<import('./ranking').ScoringProfile>} [scoringProfile] - Weights used to rank schedules in every
+ *   mode; missing weights come from `DEFAULT_SCORING_PROFILE`.
+ * @property {Partial<import('./buildings').BuildingMap>} [buildingMap] - Buildings and walking times. Consecutive
+ *   classes with less time between them than the walk lose `scoringProfile.walkingConflicts` points each.
+ * @property {boolean} [keepLockedCourses=false] - Keep courses with `isLocked` as fixed anchors (they bypass the
+ *   filters) and only search the remaining subjects around them.
+ * @property {string[]} [triedCombinationKeys=[]] - Fast mode only: combinations to skip (from earlier runs).
+ * @property {number|string} [seed] - Seed for the randomized modes (fast, and partial above 12 sections), 0 to
+ *   4294967295. The same seed, courses and constraints always give the same schedules. Empty picks a new seed.
+ * @property {number} [optimalTimeLimitSeconds=20] - Optimal mode only: stop and return the best schedules found
+ *   so far after this many seconds.
+ */
+
+/**
+ * @typedef {object} RankedSchedule
+ * @property {number} rank - 1 for the best schedule.
+ * @property {import('../utils/parseRawData').Course[]} courses - The chosen sections.
+ * @property {number} score - Scoring profile score, higher is better; see `scoreWithProfile`.
+ * @property {number} totalUnits
+ * @property {number} subjectCount
+ * @property {number} timePreferenceScore - Lower is better, see {@link scoreScheduleByTimePreference}.
+ * @property {number} campusDays - Distinct face-to-face days.
+ * @property {import('./diagnostics').SubjectOmission[]} omittedSubjects - Why each missing subject was left out.
+ */
+
+/**
+ * @typedef {object} ScheduleDiagnostics
+ * @property {string} searchMode - The mode that actually ran.
+ * @property {number} totalCourses - Sections passed in.
+ * @property {number} eligibleCourses - Sections left after the status, type, day, time and day-hours filters.
+ * @property {number} subjectCount - Distinct subjects among eligible sections.
+ * @property {string[]} unscheduledSubjects - Eligible subjects missing from the best schedule.
+ * @property {import('./diagnostics').SubjectOmission[]} omittedSubjects - Every subject missing from the best
+ *   schedule (filtered out or not) with the reason; explained against no schedule when nothing was found.
+ * @property {number} nodesExplored - Search effort, in nodes/attempts of the chosen strategy.
+ * @property {string[]} newCombinationKeys - Fast mode only: combinations tried during this run.
+ * @property {number|null} seed - The seed this run used; pass it back as `constraints.seed` to reproduce the run.
+ * @property {'proven'|'timeout'|null} optimality - Optimal mode only: `proven` when the search finished, so no
+ *   better schedules exist; `timeout` when it stopped at the time limit. `null` for the other modes.
+ * @property {string[]} missingRequiredSubjects - Required subjects no schedule could include; non-empty only
+ *   when `schedules` is empty because of them.
+ * @property {number|null} unitShortfall - With `minUnits`, how many units the closest schedule was missing when no
+ *   schedule reached the minimum; `null` otherwise.
+ * @property {Array<[import('../utils/parseRawData').Course, import('../utils/parseRawData').Course]>} lockConflicts -
+ *   With `keepLockedCourses`, locked sections that overlap each other. The search does not run when non-empty.
+ * @property {string[]} duplicateLockedSubjects - With `keepLockedCourses`, subjects with more than one locked
+ *   section. The search does not run when non-empty.
+ * @property {string[]} unpairedLockedSubjects - With `keepLockedCourses`, lecture subjects whose locked lecture and
+ *   lab sections do not form a valid pair. The search does not run when non-empty.
+ * @property {import('./scoring').BreakViolation[]} lockedBreakViolations - With `keepLockedCourses`, where the locked
+ *   sections already break `lunchBreak` or `minTransitionMinutes`. The search does not run when non-empty.
+ */
+
+/**
+ * @typedef {object} ScheduleResult
+ * @property {RankedSchedule[]} schedules - Best first, at most `resultLimit`; empty when nothing fits the constraints.
+ * @property {ScheduleDiagnostics} diagnostics
+ */
+
+/**
+ * The profile a search ranks with: the user's weights, with `prefer` block preference applied.
+ * @param {ScheduleConstraints} constraints
+ * @returns {import('./ranking').ScoringProfile}
+ */
+function resolveScoringProfile(constraints) {
+  const profile = normalizeScoringProfile(constraints.scoringProfile);
+  if (constraints.blockPreference === 'prefer') {
+    profile.blockConsistency = Math.max(profile.blockConsistency, PREFERRED_BLOCK_WEIGHT);
+  }
+  return profile;
+}
+
+/**
+ * Computes the summary figures of a schedule.
+ * @param {import('../utils/parseRawData').Course[]} courses
+ * @param {ScheduleConstraints} [constraints]
+ * @param {number} [rank=1]
+ * @returns {RankedSchedule}
+ */
+export function buildRankedSchedule(courses, constraints = {}, rank = 1) {
+  const measures = measureSchedule(courses.map(normalizeCourse), {
+    subjectPriorities: constraints.subjectPriorities,
+    preferredTimeOfDayOrder: constraints.preferredTimeOfDayOrder,
+    scoringProfile: resolveScoringProfile(constraints),
+    buildingMap: normalizeBuildingMap(constraints.buildingMap),
+    modalityPreferences: normalizeModalityPreferences(constraints.modalityPreferences),
+  });
+  return {
+    rank,
+    courses,
+    score: measures.score,
+    totalUnits: measures.totalUnits,
+    subjectCount: measures.subjectCount,
+    timePreferenceScore: measures.timePreferenceScore,
+    campusDays: measures.campusDays,
+    omittedSubjects: [],
+  };
+}
+
+/**
+ * Filters courses and runs the selected search strategy step by step.
+ * Yields `{ nodesExplored, bestScore }` progress objects periodically and returns a
+ * {@link ScheduleResult}. Stop iterating at any time to cancel the search.
+ * @param {import('../utils/parseRawData').Course[]} courses
+ * @param {ScheduleConstraints} [constraints]
+ * @returns {Generator<{nodesExplored: number, bestScore: number|null}, ScheduleResult>}
+ */
+export function* createScheduleSearch(courses, constraints = {}) {
+  const searchMode = SEARCH_MODES.includes(constraints.searchMode) ? constraints.searchMode : 'partial';
+  const {
+    maxUnits = '',
+    maxClassGapHours = '',
+    maxHoursPerDay = '',
+    maxConsecutiveHours = '',
+    preferredTimeOfDayOrder = [],
+    minimizeDaysOnCampus = false,
+    triedCombinationKeys = [],
+    subjectPriorities = {},
+    keepLockedCourses = false,
+  } = constraints;
+  const seed = normalizeSeed(constraints.seed) ?? createSeed();
+  const blockPreference = BLOCK_PREFERENCES.includes(constraints.blockPreference) ? constraints.blockPreference : 'off';
+  const subjectLinks = normalizeSubjectLinks(constraints.subjectLinks, courses);
+  const lectureSubjectOf = (subject) => subjectLinks.find(link => link.labSubject === subject)?.lectureSubject ?? subject;
+  const { units, unpaired } = combineLinkedSections(courses || [], subjectLinks);
+
+  const lockedRows = keepLockedCourses ? (courses || []).filter(course => course.isLocked) : [];
+  const lockedRowSubjects = new Set(lockedRows.map(course => course.subject));
+  const lockConflicts = findConflictingPairs(lockedRows);
+  const duplicateLockedSubjects = [...lockedRowSubjects].filter(subject => lockedRows.filter(c => c.subject === subject).length > 1);
+  const lockedBreakViolations = getBreakViolations(lockedRows, constraints);
+
+  // A locked lecture may still leave a choice of labs: the subject is then restricted to the units
+  // holding every locked row, and only becomes a fixed anchor when exactly one such unit exists.
+  const anchors = [];
+  const restrictedUnits = new Set();
+  const unpairedLockedSubjects = [];
+  for (const subject of new Set([...lockedRowSubjects].map(lectureSubjectOf))) {
+    const rows = lockedRows.filter(course => lectureSubjectOf(course.subject) === subject);
+    if (rows.some(row => duplicateLockedSubjects.includes(row.subject))) continue;
+    const candidates = units.filter(unit => unit.subject === subject && rows.every(row => expandLinkedSections([unit]).includes(row)));
+    if (candidates.length === 0) unpairedLockedSubjects.push(subject);
+    else if (candidates.length === 1) anchors.push(candidates[0]);
+    else candidates.forEach(unit => restrictedUnits.add(unit));
+  }
+
+  if (lockConflicts.length > 0 || duplicateLockedSubjects.length > 0 || unpairedLockedSubjects.length > 0 || lockedBreakViolations.length > 0) {
+    return {
+      schedules: [],
+      diagnostics: {
+        searchMode,
+        totalCourses: (courses || []).length,
+        eligibleCourses: 0,
+        subjectCount: 0,
+        unscheduledSubjects: [],
+        omittedSubjects: [],
+        nodesExplored: 0,
+        newCombinationKeys: [],
+        seed: null,
+        optimality: null,
+        missingRequiredSubjects: [],
+        unitShortfall: null,
+        lockConflicts,
+        duplicateLockedSubjects,
+        unpairedLockedSubjects,
+        lockedBreakViolations,
+      },
+    };
+  }
+
+  const anchorSet = new Set(anchors);
+  const anchorSubjects = new Set(anchors.map(unit => unit.subject));
+  const restrictedSubjects = new Set([...restrictedUnits].map(unit => unit.subject));
+  // Locked rows bypass the filters; the free half of a linked unit still has to pass them.
+  const passesUnitFilters = (unit) => expandLinkedSections([unit])
+    .every(row => (keepLockedCourses && row.isLocked) || passesCourseFilters(row, constraints));
+
+  // Anchored subjects are settled by their locked section, and other sections that overlap an anchor can never fit.
+  const eligibleCourses = units.filter(unit => {
+    if (anchorSet.has(unit)) return true;
+    if (anchorSubjects.has(unit.subject)) return false;
+    if (restrictedSubjects.has(unit.subject) && !restrictedUnits.has(unit)) return false;
+    return passesUnitFilters(unit) && !conflictsWithSchedule(unit, anchors);
+  });
+  const coursesBySubject = groupCoursesBySubject(eligibleCourses);
+  const allSubjects = Object.keys(groupCoursesBySubject(courses || []));
+  const requiredSubjects = [...new Set([
+    ...getRequiredSubjects(subjectPriorities, allSubjects).map(lectureSubjectOf),
+    ...anchorSubjects,
+    ...restrictedSubjects,
+  ])];
+  const options = {
+    maxUnits,
+    minUnits: parseFloat(constraints.minUnits) || 0,
+    maxClassGapHours,
+    maxHoursPerDay,
+    maxConsecutiveHours,
+    lunchBreak: normalizeLunchBreak(constraints.lunchBreak),
+    minTransitionMinutes: parseFloat(constraints.minTransitionMinutes) || 0,
+    preferredTimeOfDayOrder,
+    minimizeDaysOnCampus,
+    resultLimit: normalizeResultLimit(constraints.resultLimit ?? DEFAULT_RESULT_LIMIT),
+    triedCombinationKeys,
+    subjectPriorities,
+    requiredSubjects,
+    blockPreference,
+    scoringProfile: resolveScoringProfile({ ...constraints, blockPreference }),
+    buildingMap: normalizeBuildingMap(constraints.buildingMap),
+    modalityPreferences: normalizeModalityPreferences(constraints.modalityPreferences),
+    random: createSeededRandom(seed),
+    deadline: Date.now() + (parseFloat(constraints.optimalTimeLimitSeconds) || DEFAULT_OPTIMAL_TIME_LIMIT_SECONDS) * 1000,
+  };
+  const explainContext = { unpaired: new Set(unpaired), units };
+
+  const model = buildCourseModel(eligibleCourses);
+
+  let generator;
+  if (searchMode === 'exhaustive') {
+    generator = generateExhaustiveBestSchedule;
+  } else if (searchMode === 'partial') {
+    generator = generateBestPartialSchedule;
+  } else if (searchMode === 'optimal') {
+    generator = generateOptimalSchedule;
+  } else {
+    generator = generateFastSchedule;
+  }
+  const search = blockPreference === 'require'
+    ? generateWithinBlocks(model, options, generator)
+    : generator(model, options);
+
+  let nodesExplored = 0;
+  let step = search.next();
+  while (!step.done) {
+    nodesExplored = step.value.nodesExplored;
+    yield step.value;
+    step = search.next();
+  }
+
+  const schedules = step.value.schedules.map((candidate, index) => {
+    const scheduleCourses = expandLinkedSections(candidate.courses.map(nc => nc.course));
+    return {
+      rank: index + 1,
+      courses: scheduleCourses,
+      score: candidate.score,
+      totalUnits: candidate.totalUnits,
+      subjectCount: candidate.subjectCount,
+      timePreferenceScore: candidate.timePreferenceScore,
+      campusDays: candidate.campusDays,
+      omittedSubjects: explainUnscheduledSubjects(courses, constraints, scheduleCourses, explainContext),
+    };
+  });
+  const scheduledSubjects = new Set(schedules[0]?.courses.map(c => c.subject) ?? []);
+  // With no schedule, explain against the best one that was only rejected for missing a required subject.
+  const fallbackCourses = expandLinkedSections(step.value.closestMiss?.courses.map(nc => nc.course) ?? []);
+  const missingRequiredSubjects = schedules.length > 0 || !step.value.closestMiss
+    ? []
+    : requiredSubjects.filter(subject => !fallbackCourses.some(c => c.subject === subject));
+  const unitShortfall = schedules.length === 0 && step.value.closestMiss && step.value.closestMiss.totalUnits < options.minUnits
+    ? options.minUnits - step.value.closestMiss.totalUnits
+    : null;
+
+  return {
+    schedules,
+    diagnostics: {
+      searchMode,
+      totalCourses: (courses || []).length,
+      eligibleCourses: eligibleCourses.length,
+      subjectCount: Object.keys(coursesBySubject).length,
+      unscheduledSubjects: Object.keys(coursesBySubject).filter(subject => !scheduledSubjects.has(subject)),
+      omittedSubjects: schedules[0]?.omittedSubjects ?? explainUnscheduledSubjects(courses, constraints, fallbackCourses, explainContext),
+      nodesExplored,
+      newCombinationKeys: step.value.newCombinationKeys ?? [],
+      seed,
+      optimality: step.value.optimality ?? null,
+      missingRequiredSubjects,
+      unitShortfall,
+      lockConflicts: [],
+      duplicateLockedSubjects: [],
+      unpairedLockedSubjects: [],
+      lockedBreakViolations: [],
+    },
+  };
+}
+
+/**
+ * Runs a complete search synchronously. See {@link createScheduleSearch} for a cancellable variant.
+ * @param {import('../utils/parseRawData').Course[]} courses
+ * @param {ScheduleConstraints} [constraints]
+ * @returns {ScheduleResult}
+ */
+export function generateSchedules(courses, constraints = {}) {
+  const search = createScheduleSearch(courses, constraints);
+  let step = search.next();
+  while (!step.done) {
+    step = search.next();
+  }
+  return step.value;
+}
+
+export {
+  averageDayBounds,
+  BLOCK_PREFERENCES,
+  buildCourseModel,
+  checkTimeOverlap,
+  collectBuildings,
+  combineLinkedSections,
+  compareCandidates,
+  conflictsWithSchedule,
+  countCampusDays,
+  countModalityMismatches,
+  createSeed,
+  createSeededRandom,
+  DAY_CODES,
+  DEFAULT_BUILDING_MAP,
+  DEFAULT_OPTIMAL_TIME_LIMIT_SECONDS,
+  DEFAULT_RESULT_LIMIT,
+  DEFAULT_SCORING_PROFILE,
+  DEFAULT_SUBJECT_WEIGHT,
+  describeBreakViolation,
+  exceedsMaxConsecutiveHours,
+  exceedsMaxGap,
+  exceedsMaxHoursPerDay,
+  exceedsMaxUnits,
+  expandLinkedSections,
+  explainUnscheduledSubjects,
+  findConflictingPairs,
+  findWalkingConflicts,
+  formatSectionLabel,
+  generateBestPartialSchedule,
+  generateExhaustiveBestSchedule,
+  generateFastSchedule,
+  generateOptimalSchedule,
+  generateWithinBlocks,
+  getBreakViolations,
+  getCourseBlock,
+  getCourseFilterReasons,
+  getCourseKey,
+  getCourseModality,
+  getDayBoundViolations,
+  getLinkedPairs,
+  getRequiredSubjects,
+  getRoomBuilding,
+  getSectionBlock,
+  getSectionTypeSuffix,
+  getSubjectWeight,
+  getTimeOfDayBucket,
+  getTravelMinutes,
+  groupCoursesBySubject,
+  inferSubjectLinks,
+  isScheduleConflictFree,
+  MAX_RESULT_LIMIT,
+  MAX_SCORING_WEIGHT,
+  MAX_SEED,
+  MAX_SUBJECT_WEIGHT,
+  measureDailyHours,
+  measureSchedule,
+  MODALITIES,
+  MODALITY_FILTERS,
+  normalizeBuildingMap,
+  normalizeCourse,
+  normalizeLunchBreak,
+  normalizeModalityPreferences,
+  normalizeResultLimit,
+  normalizeScoringProfile,
+  normalizeSeed,
+  normalizeSubjectLinks,
+  passesCourseFilters,
+  PREFERRED_BLOCK_WEIGHT,
+  restrictCourseModel,
+  scoreScheduleByTimePreference,
+  scoreWithProfile,
+  SECTION_TYPE_SUFFIXES,
+  shuffle,
+  slotsOverlap,
+  SMALL_N_THRESHOLD_PARTIAL,
+  sumUnits,
+  totalGapMinutes,
+  violatesBreakRules
+};
@@ -0,0 +1,159 @@
+import { normalizeCourse, slotsOverlap } from './courseModel';
+import { SECTION_TYPE_SUFFIXES } from './filters';
+
+/**
+ * A lecture subject whose sections must be taken together with a section of a lab subject.
+ * @typedef {object} SubjectLink
+ * @property {string} lectureSubject - e.g. "IT 311"
+ * @property {string} labSubject - e.g. "IT 311L"
+ */
+
+/**
+ * A lecture and lab section scheduled as one unit. It behaves like a course (combined schedule,
+ * summed units, the lecture's subject) and remembers the rows it was built from.
+ * @typedef {import('../utils/parseRawData').Course & {linkedCourses: import('../utils/parseRawData').Course[]}} LinkedSection
+ */
+
+const compactSubject = (subject) => String(subject || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * The block a section belongs to: the section code without its AP3/AP4/AP5 type suffix or a
+ * trailing LAB/LEC/L marker, so "G01-AP4", "G01L-AP4" and "G01" all give "G01".
+ * @param {string} section
+ * @returns {string}
+ */
+export function getSectionBlock(section) {
+  let block = String(section || '').trim().toUpperCase();
+  const parts = block.split('-');
+  if (parts.length > 1 && SECTION_TYPE_SUFFIXES.includes(parts[parts.length - 1])) {
+    block = parts.slice(0, -1).join('-');
+  }
+  const stripped = block.replace(/-?(LAB|LEC|L)$/, '');
+  return stripped || block;
+}
+
+/**
+ * The block of a course or linked unit; a linked unit uses its lecture's section.
+ * @param {import('../utils/parseRawData').Course|LinkedSection} course
+ * @returns {string}
+ */
+export function getCourseBlock(course) {
+  return getSectionBlock(course.linkedCourses ? course.linkedCourses[0].section : course.section);
+}
+
+/**
+ * Detects lecture/lab subject pairs from naming: a lab subject is the lecture code followed by
+ * "L" or "LAB" ("IT 311" and "IT 311L"). The suffix only counts after the course number, so
+ * "ENGL 101" is not the lab of "ENG 101".
+ * @param {import('../utils/parseRawData').Course[]} courses
+ * @returns {SubjectLink[]}
+ */
+export function inferSubjectLinks(courses) {
+  const subjects = [...new Set((courses || []).map(c => c.subject))];
+  const byCompactCode = new Map(subjects.map(subject => [compactSubject(subject), subject]));
+  const links = [];
+  for (const subject of subjects) {
+    const code = compactSubject(subject);
+    const lectureCode = code.replace(/(\d)(LAB|L)$/, '$1');
+    if (lectureCode === code || !byCompactCode.has(lectureCode)) continue;
+    links.push({ lectureSubject: byCompactCode.get(lectureCode), labSubject: subject });
+  }
+  return links;
+}
+
+/**
+ * Keeps only links whose subjects both exist and where no subject appears in two links.
+ * @param {SubjectLink[]} links
+ * @param {import('../utils/parseRawData').Course[]} courses
+ * @returns {SubjectLink[]}
+ */
+export function normalizeSubjectLinks(links, courses) {
+  const subjects = new Set((courses || []).map(c => c.subject));
+  const used = new Set();
+  return (links || []).filter(link => {
+    if (!link || link.lectureSubject === link.labSubject) return false;
+    if (!subjects.has(link.lectureSubject) || !subjects.has(link.labSubject)) return false;
+    if (used.has(link.lectureSubject) || used.has(link.labSubject)) return false;
+    used.add(link.lectureSubject);
+    used.add(link.labSubject);
+    return true;
+  });
+}
+
+/**
+ * Lists the valid lecture/lab pairs of a link: same block and no time overlap between the two.
+ * @param {SubjectLink} link
+ * @param {import('../utils/parseRawData').Course[]} courses
+ * @returns {Array<[import('../utils/parseRawData').Course, import('../utils/parseRawData').Course]>}
+ */
+export function getLinkedPairs(link, courses) {
+  const lectures = courses.filter(c => c.subject === link.lectureSubject);
+  const labs = courses.filter(c => c.subject === link.labSubject);
+  const pairs = [];
+  for (const lecture of lectures) {
+    const block = getSectionBlock(lecture.section);
+    for (const lab of labs) {
+      if (getSectionBlock(lab.section) !== block) continue;
+      if (slotsOverlap(normalizeCourse(lecture), normalizeCourse(lab))) continue;
+      pairs.push([lecture, lab]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Replaces the sections of linked subjects by one {@link LinkedSection} per valid pair.
+ * Sections of linked subjects without a partner are left out and reported as `unpaired`.
+ * Other courses are returned unchanged and in their original order.
+ * @param {import('../utils/parseRawData').Course[]} courses
+ * @param {SubjectLink[]} links - Assumed normalized, see {@link normalizeSubjectLinks}.
+ * @returns {{units: Array<import('../utils/parseRawData').Course|LinkedSection>, unpaired: import('../utils/parseRawData').Course[]}}
+ */
+export function combineLinkedSections(courses, links) {
+  if (!links || links.length === 0) return { units: courses, unpaired: [] };
+
+  const linkByLecture = new Map(links.map(link => [link.lectureSubject, link]));
+  const labSubjects = new Set(links.map(link => link.labSubject));
+  const paired = new Set();
+  const units = [];
+
+  for (const course of courses) {
+    if (labSubjects.has(course.subject)) continue;
+    const link = linkByLecture.get(course.subject);
+    if (!link) {
+      units.push(course);
+      continue;
+    }
+    for (const [lecture, lab] of getLinkedPairs(link, courses)) {
+      if (lecture !== course) continue;
+      paired.add(lecture);
+      paired.add(lab);
+      const lectureUnits = parseFloat(lecture.creditedUnits || lecture.units) || 0;
+      const labUnits = parseFloat(lab.creditedUnits || lab.units) || 0;
+      units.push({
+        ...lecture,
+        id: `${lecture.id}+${lab.id}`,
+        section: `${lecture.section} + ${lab.section}`,
+        schedule: `${lecture.schedule} + ${lab.schedule}`,
+        creditedUnits: lectureUnits + labUnits,
+        isClosed: Boolean(lecture.isClosed || lab.isClosed),
+        isLocked: Boolean(lecture.isLocked || lab.isLocked),
+        linkedCourses: [lecture, lab],
+      });
+    }
+  }
+
+  const unpaired = courses.filter(course =>
+    (linkByLecture.has(course.subject) || labSubjects.has(course.subject)) && !paired.has(course)
+  );
+  return { units, unpaired };
+}
+
+/**
+ * Turns linked units back into the original rows.
+ * @param {Array<import('../utils/parseRawData').Course|LinkedSection>} courses
+ * @returns {import('../utils/parseRawData').Course[]}
+ */
+export function expandLinkedSections(courses) {
+  return courses.flatMap(course => course.linkedCourses || [course]);
+}
@@ -0,0 +1,52 @@
+export const MAX_SEED = 0xffffffff;
+
+/**
+ * Parses a user-supplied seed. Accepts integers from 0 to {@link MAX_SEED}.
+ * @param {number|string|null|undefined} seed
+ * @returns {number|null} `null` when empty or invalid.
+ */
+export function normalizeSeed(seed) {
+  if (seed === null || seed === undefined || seed === '') return null;
+  const value = Number(seed);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_SEED) return null;
+  return value;
+}
+
+/**
+ * Picks a fresh seed for runs where the user did not set one.
+ * @returns {number}
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Mulberry32: a small, fast PRNG whose sequence depends only on the seed.
+ * @param {number} seed - 32-bit unsigned integer.
+ * @returns {function(): number} Returns floats in [0, 1), like `Math.random`.
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle in place.
+ * @template T
+ * @param {T[]} items
+ * @param {function(): number} random
+ * @returns {T[]} `items`, shuffled.
+ */
+export function shuffle(items, random) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
@@ -0,0 +1,282 @@
+import { DEFAULT_BUILDING_MAP, findWalkingConflicts } from './buildings';
+import { getCourseBlock } from './linkage';
+import { averageDayBounds, countCampusDays, countModalityMismatches, scoreScheduleByTimePreference, totalGapMinutes } from './scoring';
+
+export const DEFAULT_RESULT_LIMIT = 5;
+export const MAX_RESULT_LIMIT = 20;
+export const DEFAULT_SUBJECT_WEIGHT = 1;
+export const MAX_SUBJECT_WEIGHT = 10;
+export const BLOCK_PREFERENCES = ['off', 'prefer', 'require'];
+export const MAX_SCORING_WEIGHT = 1000;
+// Points per extra section block when `blockPreference` is `prefer` and the profile gives block consistency less.
+export const PREFERRED_BLOCK_WEIGHT = 50;
+
+/**
+ * Points a schedule earns per unit of each measure; see {@link scoreWithProfile}. Weights are never negative:
+ * subjects, units and a later start add points, everything else takes them away.
+ * @typedef {object} ScoringProfile
+ * @property {number} subjects - Per subject covered, multiplied by the subject's weight (see {@link getSubjectWeight}).
+ * @property {number} units - Per credited unit.
+ * @property {number} campusDays - Per face-to-face day.
+ * @property {number} gapHours - Per idle hour between classes on the same day.
+ * @property {number} earliestStart - Per hour the average first class of the day starts after midnight.
+ * @property {number} latestEnd - Per hour the average last class of the day ends after midnight.
+ * @property {number} timeOfDay - Per step a class falls from the most preferred time of day.
+ * @property {number} blockConsistency - Per section block beyond the first.
+ * @property {number} walkingConflicts - Per pair of consecutive classes too far apart to walk in time, see `findWalkingConflicts`.
+ * @property {number} modalityMismatches - Per class meeting not taught the way its day is preferred, see
+ *   `countModalityMismatches`.
+ */
+
+/**
+ * Reproduces the original ranking: subjects first, then units. Walking conflicts only exist once the
+ * building map has travel times, and modality mismatches once a day has a preferred modality, so their
+ * weights change nothing until then.
+ * @type {ScoringProfile}
+ */
+export const DEFAULT_SCORING_PROFILE = Object.freeze({
+  subjects: 100,
+  units: 1,
+  campusDays: 0,
+  gapHours: 0,
+  earliestStart: 0,
+  latestEnd: 0,
+  timeOfDay: 0,
+  blockConsistency: 0,
+  walkingConflicts: 20,
+  modalityMismatches: 30,
+});
+
+/**
+ * How much a subject matters to the student. Subjects without an entry are optional with weight 1.
+ * @typedef {object} SubjectPriority
+ * @property {boolean} [required=false] - Every returned schedule must include the subject.
+ * @property {number} [weight=1] - 1 to {@link MAX_SUBJECT_WEIGHT}; ignored for required subjects, which always rank first.
+ */
+
+/**
+ * A candidate schedule with the figures used to rank it.
+ * @typedef {object} ScheduleCandidate
+ * @property {import('./courseModel').NormalizedCourse[]} courses
+ * @property {string} key - Identity of the combination (sorted course indices).
+ * @property {number} score - Weighted by the scoring profile, see {@link scoreWithProfile}; with the default
+ *   profile, priority * 100 + units.
+ * @property {number} priority - Sum of the subject weights, see {@link getSubjectWeight}.
+ * @property {number} subjectCount
+ * @property {number} totalUnits
+ * @property {number} timePreferenceScore - Lower is better.
+ * @property {number} campusDays
+ * @property {number} blockCount - Distinct section blocks (see `getSectionBlock`); 1 means a single block.
+ * @property {number} gapHours - Idle hours between classes on the same day, summed over the week.
+ * @property {number} averageStartHour - See `averageDayBounds`.
+ * @property {number} averageEndHour - See `averageDayBounds`.
+ * @property {number} walkingConflicts - Consecutive classes too far apart to walk in time.
+ * @property {number} modalityMismatches - Class meetings not taught the way their day is preferred.
+ */
+
+/**
+ * Fills missing or invalid weights from {@link DEFAULT_SCORING_PROFILE} and clamps the rest to
+ * 0..{@link MAX_SCORING_WEIGHT}.
+ * @param {Partial<ScoringProfile>} [profile]
+ * @returns {ScoringProfile}
+ */
+export function normalizeScoringProfile(profile) {
+  const normalized = {};
+  for (const [factor, defaultWeight] of Object.entries(DEFAULT_SCORING_PROFILE)) {
+    const weight = parseFloat(profile?.[factor]);
+    normalized[factor] = isNaN(weight) ? defaultWeight : Math.min(MAX_SCORING_WEIGHT, Math.max(0, weight));
+  }
+  return normalized;
+}
+
+/**
+ * Collapses a schedule's measures into one number, higher is better.
+ * @param {Omit<ScheduleCandidate, 'courses'|'key'|'score'|'subjectCount'>} measures
+ * @param {ScoringProfile} profile
+ * @returns {number}
+ */
+export function scoreWithProfile(measures, profile) {
+  return profile.subjects * measures.priority +
+    profile.units * measures.totalUnits -
+    profile.campusDays * measures.campusDays -
+    profile.gapHours * measures.gapHours +
+    profile.earliestStart * measures.averageStartHour -
+    profile.latestEnd * measures.averageEndHour -
+    profile.timeOfDay * measures.timePreferenceScore -
+    profile.blockConsistency * (measures.blockCount - 1) -
+    profile.walkingConflicts * measures.walkingConflicts -
+    profile.modalityMismatches * measures.modalityMismatches;
+}
+
+/**
+ * Computes the ranking figures of a schedule.
+ * @param {import('./courseModel').NormalizedCourse[]} courses
+ * @param {object} options
+ * @param {Object<string, SubjectPriority>} [options.subjectPriorities]
+ * @param {string[]} [options.preferredTimeOfDayOrder]
+ * @param {ScoringProfile} [options.scoringProfile=DEFAULT_SCORING_PROFILE]
+ * @param {import('./buildings').BuildingMap} [options.buildingMap=DEFAULT_BUILDING_MAP] - Assumed normalized.
+ * @param {import('./scoring').ModalityPreferences} [options.modalityPreferences={}] - Assumed normalized.
+ * @returns {Omit<ScheduleCandidate, 'courses'|'key'>}
+ */
+export function measureSchedule(courses, {
+  subjectPriorities,
+  preferredTimeOfDayOrder,
+  scoringProfile = DEFAULT_SCORING_PROFILE,
+  buildingMap = DEFAULT_BUILDING_MAP,
+  modalityPreferences = {},
+}) {
+  const measures = {
+    priority: courses.reduce((sum, c) => sum + getSubjectWeight(subjectPriorities, c.subject), 0),
+    subjectCount: new Set(courses.map(c => c.subject)).size,
+    totalUnits: courses.reduce((sum, c) => sum + c.units, 0),
+    timePreferenceScore: scoreScheduleByTimePreference(courses, preferredTimeOfDayOrder),
+    campusDays: countCampusDays(courses),
+    blockCount: new Set(courses.map(c => getCourseBlock(c.course))).size,
+    gapHours: totalGapMinutes(courses) / 60,
+    ...averageDayBounds(courses),
+    walkingConflicts: findWalkingConflicts(courses, buildingMap).length,
+    modalityMismatches: countModalityMismatches(courses, modalityPreferences),
+  };
+  return { ...measures, score: scoreWithProfile(measures, scoringProfile) };
+}
+
+/**
+ * Weight a subject contributes to a schedule's priority. Required subjects count as
+ * {@link MAX_SUBJECT_WEIGHT} so the heuristics try to place them first.
+ * @param {Object<string, SubjectPriority>} [subjectPriorities]
+ * @param {string} subject
+ * @returns {number}
+ */
+export function getSubjectWeight(subjectPriorities, subject) {
+  const entry = subjectPriorities?.[subject];
+  if (!entry) return DEFAULT_SUBJECT_WEIGHT;
+  if (entry.required) return MAX_SUBJECT_WEIGHT;
+  const weight = parseInt(entry.weight, 10);
+  if (isNaN(weight)) return DEFAULT_SUBJECT_WEIGHT;
+  return Math.min(MAX_SUBJECT_WEIGHT, Math.max(1, weight));
+}
+
+/**
+ * @param {Object<string, SubjectPriority>} [subjectPriorities]
+ * @param {string[]} subjects - Limits the result to subjects that exist in the search.
+ * @returns {string[]}
+ */
+export function getRequiredSubjects(subjectPriorities, subjects) {
+  return subjects.filter(subject => subjectPriorities?.[subject]?.required);
+}
+
+/**
+ * Orders two candidates, best first. With `minimizeDaysOnCampus` fewer campus days win outright,
+ * then the higher profile score; ties go to higher subject priority, more subjects, fewer section
+ * blocks (with `preferSameBlock`), more units and a better time-of-day fit.
+ * @param {ScheduleCandidate} a
+ * @param {ScheduleCandidate} b
+ * @param {boolean} minimizeDaysOnCampus
+ * @param {boolean} [preferSameBlock=false]
+ * @returns {number} Negative when `a` ranks above `b`.
+ */
+export function compareCandidates(a, b, minimizeDaysOnCampus, preferSameBlock = false) {
+  if (minimizeDaysOnCampus && a.campusDays !== b.campusDays) return a.campusDays - b.campusDays;
+  if (a.score !== b.score) return b.score - a.score;
+  if (a.priority !== b.priority) return b.priority - a.priority;
+  if (a.subjectCount !== b.subjectCount) return b.subjectCount - a.subjectCount;
+  if (preferSameBlock && a.blockCount !== b.blockCount) return a.blockCount - b.blockCount;
+  if (a.totalUnits !== b.totalUnits) return b.totalUnits - a.totalUnits;
+  return a.timePreferenceScore - b.timePreferenceScore;
+}
+
+/**
+ * Clamps a user-supplied result count to 1..{@link MAX_RESULT_LIMIT}.
+ * @param {number|string} limit
+ * @returns {number}
+ */
+export function normalizeResultLimit(limit) {
+  const value = parseInt(limit, 10);
+  if (isNaN(value)) return DEFAULT_RESULT_LIMIT;
+  return Math.min(MAX_RESULT_LIMIT, Math.max(1, value));
+}
+
+/**
+ * Keeps the best `limit` distinct schedules seen so far. Among equally ranked schedules the one
+ * offered first stays ahead, matching the single-best behaviour of the original generators.
+ * Schedules missing a required subject or below `minUnits` are rejected; the best of them is kept
+ * as `closestMiss` so a failed search can explain what stood in the way.
+ * @param {object} options
+ * @param {number} options.limit
+ * @param {boolean} options.minimizeDaysOnCampus
+ * @param {string[]} options.preferredTimeOfDayOrder
+ * @param {Object<string, SubjectPriority>} [options.subjectPriorities]
+ * @param {string[]} [options.requiredSubjects]
+ * @param {number} [options.minUnits=0] - Fewest total units a kept schedule may have.
+ * @param {'off'|'prefer'|'require'} [options.blockPreference='off'] - `require` rejects schedules spanning several blocks.
+ * @param {ScoringProfile} [options.scoringProfile=DEFAULT_SCORING_PROFILE] - Assumed normalized.
+ * @param {import('./buildings').BuildingMap} [options.buildingMap=DEFAULT_BUILDING_MAP] - Assumed normalized.
+ * @param {import('./scoring').ModalityPreferences} [options.modalityPreferences={}] - Assumed normalized.
+ */
+export function createTopScheduleList({
+  limit,
+  minimizeDaysOnCampus,
+  preferredTimeOfDayOrder,
+  subjectPriorities,
+  requiredSubjects = [],
+  minUnits = 0,
+  blockPreference = 'off',
+  scoringProfile = DEFAULT_SCORING_PROFILE,
+  buildingMap = DEFAULT_BUILDING_MAP,
+  modalityPreferences = {},
+}) {
+  const preferSameBlock = blockPreference !== 'off';
+  const compare = (a, b) => compareCandidates(a, b, minimizeDaysOnCampus, preferSameBlock);
+  const entries = [];
+  const keys = new Set();
+  let closestMiss = null;
+
+  /**
+   * @param {import('./courseModel').NormalizedCourse[]} courses
+   * @returns {boolean} Whether the schedule made it into the list.
+   */
+  const offer = (courses) => {
+    if (courses.length === 0) return false;
+    const key = courses.map(c => c.index).sort((x, y) => x - y).join(',');
+    if (keys.has(key)) return false;
+
+    const candidate = {
+      courses: [...courses],
+      key,
+      ...measureSchedule(courses, { subjectPriorities, preferredTimeOfDayOrder, scoringProfile, buildingMap, modalityPreferences }),
+    };
+    if (blockPreference === 'require' && candidate.blockCount > 1) return false;
+
+    const subjects = new Set(courses.map(c => c.subject));
+    if (!requiredSubjects.every(subject => subjects.has(subject)) || candidate.totalUnits < minUnits) {
+      if (!closestMiss || compare(candidate, closestMiss) < 0) {
+        closestMiss = candidate;
+      }
+      return false;
+    }
+
+    let position = entries.length;
+    while (position > 0 && compare(candidate, entries[position - 1]) < 0) {
+      position--;
+    }
+    if (position >= limit) return false;
+
+    entries.splice(position, 0, candidate);
+    keys.add(key);
+    if (entries.length > limit) {
+      keys.delete(entries.pop().key);
+    }
+    return true;
+  };
+
+  return {
+    offer,
+    best: () => entries[0] || null,
+    worst: () => entries[entries.length - 1] || null,
+    bestScore: () => (entries[0] ? entries[0].score : null),
+    entries: () => [...entries],
+    isFull: () => entries.length >= limit,
+    closestMiss: () => closestMiss,
+  };
+}
@@ -0,0 +1,520 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildCourseModel,
+  countModalityMismatches,
+  createSeededRandom,
+  exceedsMaxConsecutiveHours,
+  exceedsMaxHoursPerDay,
+  explainUnscheduledSubjects,
+  findWalkingConflicts,
+  generateSchedules,
+  getBreakViolations,
+  getCourseModality,
+  getDayBoundViolations,
+  getRoomBuilding,
+  getSectionBlock,
+  inferSubjectLinks,
+  isScheduleConflictFree,
+  measureDailyHours,
+  normalizeBuildingMap,
+  normalizeCourse,
+  normalizeModalityPreferences,
+  normalizeResultLimit,
+  normalizeScoringProfile,
+  passesCourseFilters,
+  restrictCourseModel,
+  slotsOverlap,
+} from '.';
+
+const DAY_PATTERNS = ['MW', 'TTH', 'F', 'SAT', 'M/W/F'];
+const TIME_RANGES = ['7:30AM-9:00AM', '9:00AM-10:30AM', '10:30AM-12:00PM', '1:00PM-2:30PM', '2:30PM-4:00PM', '4:00PM-5:30PM'];
+
+const makeCourse = (subject, section, schedule, extra = {}) => ({
+  id: `${subject}-${section}`,
+  offeringDept: 'CCS',
+  subject,
+  subjectTitle: subject,
+  creditedUnits: 3,
+  section,
+  schedule,
+  room: 'ACAD309',
+  totalSlots: 40,
+  enrolled: 10,
+  assessed: 0,
+  isClosed: false,
+  isLocked: false,
+  ...extra,
+});
+
+/**
+ * A reproducible course list with `subjectCount` subjects of 1 to `maxSections` sections each.
+ */
+function randomCourses(seed, subjectCount, maxSections) {
+  const random = createSeededRandom(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const courses = [];
+  for (let s = 0; s < subjectCount; s++) {
+    const sectionCount = 1 + Math.floor(random() * maxSections);
+    for (let n = 0; n < sectionCount; n++) {
+      courses.push(makeCourse(`SUBJ ${s + 1}`, `G0${n + 1}`, `${pick(DAY_PATTERNS)} | ${pick(TIME_RANGES)} | ACAD309`, {
+        creditedUnits: 1 + Math.floor(random() * 3),
+      }));
+    }
+  }
+  return courses;
+}
+
+const sectionIds = (result) => result.schedules.map(schedule => schedule.courses.map(course => course.id));
+
+describe('generateSchedules', () => {
+  const courses = [
+    makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309'),
+    makeCourse('MATH 101', 'G02', 'TTH | 9:00AM-10:30AM | ACAD309'),
+    makeCourse('ENG 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD310'),
+    makeCourse('PE 101', 'G01', 'F | 1:00PM-3:00PM | GYM'),
+  ];
+
+  it('picks one conflict-free section per subject in exhaustive mode', () => {
+    const { schedules, diagnostics } = generateSchedules(courses, { searchMode: 'exhaustive' });
+    expect(sectionIds({ schedules })[0].sort()).toEqual(['ENG 101-G01', 'MATH 101-G02', 'PE 101-G01']);
+    expect(isScheduleConflictFree(schedules[0].courses)).toBe(true);
+    expect(diagnostics.unscheduledSubjects).toEqual([]);
+  });
+
+  it('leaves out subjects removed by the filters', () => {
+    const { schedules, diagnostics } = generateSchedules(courses, { searchMode: 'exhaustive', excludedDays: ['F'] });
+    expect(diagnostics.eligibleCourses).toBe(3);
+    expect(schedules[0].courses.map(course => course.subject)).not.toContain('PE 101');
+  });
+});
+
+describe('ranked results', () => {
+  const courses = ['G01', 'G02', 'G03'].flatMap((section, index) => [
+    makeCourse('MATH 101', section, `MW | ${7 + index * 2}:00AM-${8 + index * 2}:30AM | ACAD309`),
+    makeCourse('ENG 101', section, `TTH | ${7 + index * 2}:00AM-${8 + index * 2}:30AM | ACAD310`),
+  ]);
+
+  it('returns up to resultLimit distinct schedules, best first', () => {
+    const { schedules } = generateSchedules(courses, { searchMode: 'exhaustive', resultLimit: 4, preferredTimeOfDayOrder: ['morning'] });
+    expect(schedules).toHaveLength(4);
+    expect(new Set(sectionIds({ schedules }).map(ids => ids.sort().join())).size).toBe(4);
+    expect(schedules.map(schedule => schedule.rank)).toEqual([1, 2, 3, 4]);
+    for (let i = 1; i < schedules.length; i++) {
+      expect(schedules[i].score).toBeLessThanOrEqual(schedules[i - 1].score);
+    }
+  });
+
+  it('clamps the result limit', () => {
+    expect(normalizeResultLimit('0')).toBe(1);
+    expect(normalizeResultLimit(99)).toBe(20);
+    expect(normalizeResultLimit('abc')).toBe(5);
+  });
+});
+
+describe('seeded search', () => {
+  it('returns the same schedules for the same seed in fast mode', () => {
+    const courses = randomCourses(7, 6, 4);
+    const first = generateSchedules(courses, { searchMode: 'fast', seed: 1234 });
+    const second = generateSchedules(courses, { searchMode: 'fast', seed: 1234 });
+    expect(first.diagnostics.seed).toBe(1234);
+    expect(sectionIds(second)).toEqual(sectionIds(first));
+  });
+
+  it('tells apart sections that share an id when recording tried combinations', () => {
+    const courses = [
+      makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309', { id: '1' }),
+      makeCourse('MATH 101', 'G02', 'TTH | 9:00AM-10:30AM | ACAD309', { id: '1' }),
+    ];
+    const { schedules, diagnostics } = generateSchedules(courses, { searchMode: 'fast', seed: 1, resultLimit: 2 });
+    expect(schedules).toHaveLength(2);
+    expect(diagnostics.newCombinationKeys).toHaveLength(2);
+  });
+
+  it('returns the same schedules for the same seed in randomized partial mode', () => {
+    const courses = randomCourses(11, 8, 4);
+    expect(courses.length).toBeGreaterThan(12);
+    const first = generateSchedules(courses, { searchMode: 'partial', seed: 99, resultLimit: 5 });
+    const second = generateSchedules(courses, { searchMode: 'partial', seed: 99, resultLimit: 5 });
+    expect(sectionIds(second)).toEqual(sectionIds(first));
+  });
+});
+
+describe('optimal mode', () => {
+  it('finds the same best score as exhaustive mode when every subject fits', () => {
+    let compared = 0;
+    for (let seed = 1; seed <= 30; seed++) {
+      const courses = randomCourses(seed, 5, 3);
+      const subjectPriorities = Object.fromEntries([...new Set(courses.map(c => c.subject))].map(subject => [subject, { required: true }]));
+      const constraints = { subjectPriorities, preferredTimeOfDayOrder: ['morning', 'afternoon'], maxUnits: seed % 2 === 0 ? 9 : '' };
+      const exhaustive = generateSchedules(courses, { ...constraints, searchMode: 'exhaustive' });
+      if (exhaustive.schedules.length === 0) continue;
+      const optimal = generateSchedules(courses, { ...constraints, searchMode: 'optimal' });
+      expect(optimal.diagnostics.optimality).toBe('proven');
+      expect(optimal.schedules[0].score).toBeCloseTo(exhaustive.schedules[0].score, 6);
+      compared++;
+    }
+    expect(compared).toBeGreaterThan(0);
+  });
+});
+
+describe('scoring profile', () => {
+  it('fills missing weights from the defaults and clamps the rest', () => {
+    expect(normalizeScoringProfile({ units: '5', campusDays: -2, gapHours: 5000, timeOfDay: 'abc' })).toEqual({
+      subjects: 100,
+      units: 5,
+      campusDays: 0,
+      gapHours: 1000,
+      earliestStart: 0,
+      latestEnd: 0,
+      timeOfDay: 0,
+      blockConsistency: 0,
+      walkingConflicts: 20,
+      modalityMismatches: 30,
+    });
+  });
+
+  it('ranks by the weighted factors', () => {
+    const courses = [
+      makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309'),
+      makeCourse('MATH 101', 'G02', 'F | 9:00AM-12:00PM | ACAD309', { creditedUnits: 4 }),
+      makeCourse('ENG 101', 'G01', 'MW | 1:00PM-2:30PM | ACAD310'),
+    ];
+    const byUnits = generateSchedules(courses, { searchMode: 'exhaustive' });
+    expect(sectionIds(byUnits)[0]).toContain('MATH 101-G02');
+    const byDays = generateSchedules(courses, { searchMode: 'exhaustive', scoringProfile: { campusDays: 5 } });
+    expect(sectionIds(byDays)[0]).toContain('MATH 101-G01');
+    expect(byDays.schedules[0].score).toBe(100 * 2 + 6 - 5 * 2);
+  });
+});
+
+describe('subject priorities', () => {
+  const math = makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309');
+  const eng = makeCourse('ENG 101', 'G01', 'MW | 10:00AM-11:00AM | ACAD310');
+
+  it('keeps the heavier of two conflicting optional subjects', () => {
+    const light = generateSchedules([math, eng], { searchMode: 'partial', subjectPriorities: { 'ENG 101': { weight: 3 } } });
+    expect(sectionIds(light)[0]).toEqual(['ENG 101-G01']);
+    const heavy = generateSchedules([math, eng], { searchMode: 'partial', subjectPriorities: { 'MATH 101': { weight: 3 } } });
+    expect(sectionIds(heavy)[0]).toEqual(['MATH 101-G01']);
+  });
+
+  it('returns nothing when a required subject cannot be scheduled', () => {
+    const closedPe = makeCourse('PE 101', 'G01', 'F | 1:00PM-3:00PM | GYM', { isClosed: true });
+    const { schedules, diagnostics } = generateSchedules([math, closedPe], {
+      searchMode: 'partial',
+      statusFilter: 'open',
+      subjectPriorities: { 'PE 101': { required: true } },
+    });
+    expect(schedules).toEqual([]);
+    expect(diagnostics.missingRequiredSubjects).toEqual(['PE 101']);
+  });
+});
+
+describe('locked courses', () => {
+  it('keeps a locked section, even a filtered one, and schedules the rest around it', () => {
+    const lockedMath = makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309', { isLocked: true, isClosed: true });
+    const courses = [
+      lockedMath,
+      makeCourse('MATH 101', 'G02', 'TTH | 9:00AM-10:30AM | ACAD309'),
+      makeCourse('ENG 101', 'G01', 'MW | 10:00AM-11:00AM | ACAD310'),
+      makeCourse('ENG 101', 'G02', 'F | 10:00AM-11:00AM | ACAD310'),
+    ];
+    const { schedules } = generateSchedules(courses, { searchMode: 'exhaustive', statusFilter: 'open', keepLockedCourses: true });
+    expect(sectionIds({ schedules })[0].sort()).toEqual(['ENG 101-G02', 'MATH 101-G01']);
+  });
+
+  it('skips the search when locked sections overlap', () => {
+    const courses = [
+      makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309', { isLocked: true }),
+      makeCourse('ENG 101', 'G01', 'MW | 10:00AM-11:30AM | ACAD310', { isLocked: true }),
+      makeCourse('PE 101', 'G01', 'F | 1:00PM-3:00PM | GYM'),
+    ];
+    const { schedules, diagnostics } = generateSchedules(courses, { searchMode: 'exhaustive', keepLockedCourses: true });
+    expect(schedules).toEqual([]);
+    expect(diagnostics.nodesExplored).toBe(0);
+    expect(diagnostics.lockConflicts).toEqual([[courses[0], courses[1]]]);
+  });
+});
+
+describe('lecture and lab links', () => {
+  const courses = [
+    makeCourse('IT 311', 'G01', 'MW | 9:00AM-10:30AM | ACAD309'),
+    makeCourse('IT 311', 'G02', 'TTH | 9:00AM-10:30AM | ACAD309'),
+    makeCourse('IT 311L', 'G01L', 'F | 9:00AM-12:00PM | NGE101'),
+    makeCourse('IT 311L', 'G02L', 'TTH | 1:00PM-4:00PM | NGE101'),
+  ];
+
+  it('pairs a lecture code with its L or LAB subject', () => {
+    expect(inferSubjectLinks(courses)).toEqual([{ lectureSubject: 'IT 311', labSubject: 'IT 311L' }]);
+    expect(getSectionBlock('G01L-AP4')).toBe('G01');
+  });
+
+  it('only strips the lab suffix after the course number', () => {
+    const english = [makeCourse('ENGL 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309'), makeCourse('ENG 101', 'G01', 'TTH | 9:00AM-10:30AM | ACAD309')];
+    expect(inferSubjectLinks(english)).toEqual([]);
+    expect(inferSubjectLinks([makeCourse('CPE 301', 'G01', 'TBA'), makeCourse('CPE 301LAB', 'G01', 'TBA')]))
+      .toEqual([{ lectureSubject: 'CPE 301', labSubject: 'CPE 301LAB' }]);
+  });
+
+  it('schedules a linked lecture and lab from the same block as one unit', () => {
+    const { schedules } = generateSchedules(courses, {
+      searchMode: 'exhaustive',
+      subjectLinks: inferSubjectLinks(courses),
+      excludedDays: ['F'],
+    });
+    expect(sectionIds({ schedules })[0]).toEqual(['IT 311-G02', 'IT 311L-G02L']);
+  });
+});
+
+describe('block preference', () => {
+  const courses = [
+    makeCourse('MATH 101', 'G01', 'MW | 7:30AM-9:00AM | ACAD309'),
+    makeCourse('MATH 101', 'G02', 'TTH | 7:30AM-9:00AM | ACAD309'),
+    makeCourse('ENG 101', 'G01', 'MW | 1:00PM-2:30PM | ACAD310'),
+    makeCourse('ENG 101', 'G02', 'MW | 9:00AM-10:30AM | ACAD310'),
+  ];
+  const blocksOf = (schedule) => new Set(schedule.courses.map(course => course.section));
+
+  it('ranks single-block schedules first with prefer', () => {
+    const off = generateSchedules(courses, { searchMode: 'exhaustive', preferredTimeOfDayOrder: ['morning'] });
+    expect(sectionIds(off)[0].sort()).toEqual(['ENG 101-G02', 'MATH 101-G01']);
+    const prefer = generateSchedules(courses, { searchMode: 'exhaustive', preferredTimeOfDayOrder: ['morning'], blockPreference: 'prefer' });
+    expect(blocksOf(prefer.schedules[0]).size).toBe(1);
+  });
+
+  it('only returns single-block schedules with require', () => {
+    const { schedules } = generateSchedules(courses, { searchMode: 'exhaustive', resultLimit: 10, blockPreference: 'require' });
+    expect(schedules).toHaveLength(2);
+    schedules.forEach(schedule => expect(blocksOf(schedule).size).toBe(1));
+  });
+});
+
+describe('break rules', () => {
+  const morning = makeCourse('MATH 101', 'G01', 'M | 10:30AM-12:00PM | ACAD309');
+  const noon = makeCourse('ENG 101', 'G01', 'M | 12:30PM-2:00PM | ACAD310');
+  const lunchBreak = { start: '11:00', end: '14:00', minutes: 45 };
+
+  it('reports a missing lunch break and a short transition', () => {
+    expect(getBreakViolations([morning, noon], { lunchBreak })).toEqual([
+      { rule: 'lunch-break', day: 'M', minutes: 30, courses: [morning, noon] },
+    ]);
+    expect(getBreakViolations([morning, noon], { minTransitionMinutes: 45 })).toEqual([
+      { rule: 'min-transition', day: 'M', minutes: 30, courses: [morning, noon] },
+    ]);
+    expect(getBreakViolations([morning, noon], { lunchBreak: { ...lunchBreak, minutes: 30 }, minTransitionMinutes: '30' })).toEqual([]);
+  });
+
+  it('keeps generated schedules within the break rules', () => {
+    const courses = [morning, noon, makeCourse('ENG 101', 'G02', 'W | 12:30PM-2:00PM | ACAD310')];
+    const { schedules } = generateSchedules(courses, { searchMode: 'exhaustive', lunchBreak });
+    expect(sectionIds({ schedules })[0].sort()).toEqual(['ENG 101-G02', 'MATH 101-G01']);
+  });
+});
+
+describe('daily hour limits', () => {
+  const courses = [
+    makeCourse('MATH 101', 'G01', 'M | 7:30AM-9:00AM | ACAD309'),
+    makeCourse('ENG 101', 'G01', 'M | 9:00AM-10:30AM | ACAD310'),
+    makeCourse('PE 101', 'G01', 'MW | 1:00PM-3:00PM | GYM'),
+  ];
+
+  it('measures contact hours and the longest back-to-back run per day', () => {
+    expect(measureDailyHours(courses)).toEqual({
+      M: { totalHours: 5, longestRunHours: 3 },
+      W: { totalHours: 2, longestRunHours: 2 },
+    });
+    expect(exceedsMaxHoursPerDay(courses, 5)).toBe(false);
+    expect(exceedsMaxHoursPerDay(courses, '4.5')).toBe(true);
+    expect(exceedsMaxConsecutiveHours(courses, 3)).toBe(false);
+    expect(exceedsMaxConsecutiveHours(courses, 2.5)).toBe(true);
+    expect(exceedsMaxConsecutiveHours(courses, '')).toBe(false);
+  });
+
+  it('drops sections that would break the limits', () => {
+    const { schedules } = generateSchedules(courses, { searchMode: 'partial', maxConsecutiveHours: 2 });
+    expect(sectionIds({ schedules })[0]).toHaveLength(2);
+    expect(exceedsMaxConsecutiveHours(schedules[0].courses, 2)).toBe(false);
+  });
+});
+
+describe('minimum units', () => {
+  const courses = [
+    makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309'),
+    makeCourse('ENG 101', 'G01', 'MW | 10:00AM-11:30AM | ACAD310'),
+    makeCourse('PE 101', 'G01', 'F | 1:00PM-3:00PM | GYM', { creditedUnits: 2 }),
+  ];
+
+  it('keeps only schedules that reach minUnits', () => {
+    const { schedules, diagnostics } = generateSchedules(courses, { searchMode: 'partial', minUnits: 5 });
+    expect(schedules.length).toBeGreaterThan(0);
+    schedules.forEach(schedule => expect(schedule.totalUnits).toBeGreaterThanOrEqual(5));
+    expect(diagnostics.unitShortfall).toBeNull();
+  });
+
+  it.each(['partial', 'optimal'])('reports the unit shortfall of the closest schedule in %s mode', (searchMode) => {
+    const { schedules, diagnostics } = generateSchedules(courses, { searchMode, minUnits: '7' });
+    expect(schedules).toEqual([]);
+    expect(diagnostics.unitShortfall).toBe(2);
+  });
+});
+
+describe('walking conflicts', () => {
+  const buildingMap = normalizeBuildingMap({
+    rooms: [{ prefix: 'nge', building: 'nge' }, { prefix: 'GYM', building: 'SPORTS' }],
+    travelMinutes: [{ from: 'ACAD', to: 'SPORTS', minutes: 15 }, { from: 'ACAD', to: 'ACAD', minutes: 5 }],
+    defaultMinutes: '10',
+  });
+  const lecture = makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309');
+  const gym = makeCourse('PE 101', 'G01', 'M | 10:40AM-12:00PM | GYM');
+  const lab = makeCourse('IT 311L', 'G01', 'W | 10:45AM-12:00PM | NGE101');
+
+  it('maps rooms to buildings by longest prefix or leading letters', () => {
+    expect(buildingMap.travelMinutes).toEqual([{ from: 'ACAD', to: 'SPORTS', minutes: 15 }]);
+    expect(getRoomBuilding('GYM2', buildingMap)).toBe('SPORTS');
+    expect(getRoomBuilding('ACAD309', buildingMap)).toBe('ACAD');
+    expect(getRoomBuilding('Online', buildingMap)).toBeNull();
+  });
+
+  it('flags consecutive classes closer than the walk between their buildings', () => {
+    expect(findWalkingConflicts([lab, gym, lecture], buildingMap)).toEqual([
+      { day: 'M', courses: [lecture, gym], buildings: ['ACAD', 'SPORTS'], gapMinutes: 10, travelMinutes: 15 },
+    ]);
+    expect(findWalkingConflicts([lecture, gym], normalizeBuildingMap({}))).toEqual([]);
+  });
+
+  it('penalizes walking conflicts in the ranking without rejecting them', () => {
+    const courses = [lecture, gym, makeCourse('PE 101', 'G02', 'M | 1:00PM-2:30PM | GYM')];
+    const { schedules } = generateSchedules(courses, { searchMode: 'exhaustive', resultLimit: 2, preferredTimeOfDayOrder: ['morning'], buildingMap });
+    expect(sectionIds({ schedules })).toEqual([['MATH 101-G01', 'PE 101-G02'], ['MATH 101-G01', 'PE 101-G01']]);
+  });
+});
+
+describe('modality', () => {
+  const online = makeCourse('MATH 101', 'G01', 'S | 9:00AM-12:00PM | ONLINE');
+  const inPerson = makeCourse('MATH 101', 'G02', 'S | 9:00AM-12:00PM | ACAD309');
+  const hybrid = makeCourse('ENG 101', 'G01', 'M | 9:00AM-10:30AM | ACAD310 + S | 1:00PM-2:30PM | ONLINE');
+
+  it('tells the modality from the rooms', () => {
+    expect([online, inPerson, hybrid, makeCourse('NSTP 1', 'G01', 'TBA')].map(getCourseModality))
+      .toEqual(['online', 'face-to-face', 'hybrid', null]);
+  });
+
+  it('filters by modality and lets hybrid sections through only with any', () => {
+    expect(passesCourseFilters(hybrid, { modality: 'any' })).toBe(true);
+    expect(passesCourseFilters(hybrid, { modality: 'online' })).toBe(false);
+    expect(passesCourseFilters(online, { modality: 'online' })).toBe(true);
+    expect(passesCourseFilters(online, { modality: 'face-to-face' })).toBe(false);
+  });
+
+  it('ranks sections taught the way their day is preferred first', () => {
+    const preferences = normalizeModalityPreferences({ S: 'online', M: 'hybrid', X: 'online' });
+    expect(preferences).toEqual({ S: 'online' });
+    expect(countModalityMismatches([inPerson, hybrid], preferences)).toBe(1);
+    const { schedules } = generateSchedules([inPerson, online], { searchMode: 'exhaustive', modalityPreferences: { S: 'online' } });
+    expect(sectionIds({ schedules })[0]).toEqual(['MATH 101-G01']);
+  });
+});
+
+describe('explainUnscheduledSubjects', () => {
+  it('reports filtered sections and conflicts per missing subject', () => {
+    const math = makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309');
+    const courses = [
+      math,
+      makeCourse('ENG 101', 'G01', 'MW | 10:00AM-11:00AM | ACAD310'),
+      makeCourse('PE 101', 'G01', 'F | 1:00PM-3:00PM | GYM', { isClosed: true }),
+    ];
+    const omissions = explainUnscheduledSubjects(courses, { statusFilter: 'open' }, [math]);
+
+    expect(omissions.map(omission => omission.subject)).toEqual(['ENG 101', 'PE 101']);
+    const [eng, pe] = omissions;
+    expect(eng.allFiltered).toBe(false);
+    expect(eng.sections[0].reasons).toEqual([
+      expect.objectContaining({ code: 'conflict', message: 'conflicts with MATH 101 G01', conflictsWith: [math] }),
+    ]);
+    expect(pe.allFiltered).toBe(true);
+    expect(pe.sections[0].reasons.map(reason => reason.code)).toEqual(['status']);
+    expect(pe.summary).toBe('The only section is filtered out: 1 closed or hidden by status.');
+  });
+});
+
+describe('isScheduleConflictFree', () => {
+  it('rejects overlapping sections and accepts touching or TBA ones', () => {
+    const morning = makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309');
+    const touching = makeCourse('ENG 101', 'G01', 'M | 10:30AM-12:00PM | ACAD310');
+    const overlapping = makeCourse('PE 101', 'G01', 'W | 10:00AM-11:00AM | GYM');
+    const tba = makeCourse('NSTP 1', 'G01', 'TBA');
+    expect(isScheduleConflictFree([morning, touching, tba])).toBe(true);
+    expect(isScheduleConflictFree([morning, touching, overlapping])).toBe(false);
+  });
+});
+
+describe('passesCourseFilters', () => {
+  it('applies the status, section type and excluded time filters', () => {
+    const course = makeCourse('MATH 101', 'G01-AP4', 'MW | 9:00AM-10:30AM | ACAD309', { isClosed: true });
+    expect(passesCourseFilters(course, {})).toBe(true);
+    expect(passesCourseFilters(course, { statusFilter: 'open' })).toBe(false);
+    expect(passesCourseFilters(course, { sectionTypes: ['AP3'] })).toBe(false);
+    expect(passesCourseFilters(course, { excludedTimeRanges: [{ start: '10:00', end: '11:00' }] })).toBe(false);
+    expect(passesCourseFilters(course, { excludedTimeRanges: [{ start: '10:30', end: '11:00' }] })).toBe(true);
+  });
+
+  it('applies per-day class hours only to the days they are set for', () => {
+    const course = makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309');
+    const slots = [{ days: ['M', 'W'], startTime: '09:00', endTime: '10:30' }];
+    expect(getDayBoundViolations(slots, { W: { earliestStart: '10:00' }, F: { latestEnd: '09:30' } })).toEqual([
+      { day: 'W', bound: 'earliestStart', limit: '10:00' },
+    ]);
+    expect(passesCourseFilters(course, { dayTimeBounds: { M: { earliestStart: '09:00', latestEnd: '10:30' } } })).toBe(true);
+    expect(passesCourseFilters(course, { dayTimeBounds: { W: { latestEnd: '10:00' } } })).toBe(false);
+  });
+
+  it('applies an excluded time range only on its days', () => {
+    const course = makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309');
+    expect(passesCourseFilters(course, { excludedTimeRanges: [{ start: '10:00', end: '11:00', days: ['F'] }] })).toBe(true);
+    expect(passesCourseFilters(course, { excludedTimeRanges: [{ start: '10:00', end: '11:00', days: ['W', 'F'] }] })).toBe(false);
+  });
+});
+
+describe('course model', () => {
+  it('parses a schedule once into minute-of-week slots', () => {
+    const course = makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309');
+    const normalized = normalizeCourse(course);
+    expect(normalizeCourse(course)).toBe(normalized);
+    expect(normalized.slots.map(slot => [slot.day, slot.start, slot.end])).toEqual([
+      ['M', 9 * 60, 10.5 * 60],
+      ['W', 2 * 24 * 60 + 9 * 60, 2 * 24 * 60 + 10.5 * 60],
+    ]);
+  });
+
+  it('stores the same conflicts as slotsOverlap, in both directions', () => {
+    const courses = [
+      makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309'),
+      makeCourse('ENG 101', 'G01', 'W | 10:00AM-11:00AM | ACAD310'),
+      makeCourse('PE 101', 'G01', 'M | 10:30AM-12:00PM | GYM'),
+      makeCourse('NSTP 1', 'G01', 'TBA'),
+    ];
+    const model = buildCourseModel(courses);
+    for (let i = 0; i < courses.length; i++) {
+      for (let j = 0; j < courses.length; j++) {
+        if (i === j) continue;
+        expect(model.conflicts(i, j)).toBe(slotsOverlap(normalizeCourse(courses[i]), normalizeCourse(courses[j])));
+      }
+    }
+    expect(model.conflicts(0, 1)).toBe(true);
+    expect(model.conflicts(0, 2)).toBe(false);
+    expect(model.bySubject['MATH 101']).toEqual([0]);
+  });
+
+  it('keeps the original indexes in a restricted model', () => {
+    const courses = [
+      makeCourse('MATH 101', 'G01', 'MW | 9:00AM-10:30AM | ACAD309'),
+      makeCourse('MATH 101', 'G02', 'TTH | 9:00AM-10:30AM | ACAD309'),
+      makeCourse('ENG 101', 'G02', 'TTH | 10:00AM-11:00AM | ACAD310'),
+    ];
+    const model = buildCourseModel(courses);
+    const restricted = restrictCourseModel(model, nc => nc.course.section === 'G02');
+    expect(restricted.courses.map(nc => nc.index)).toEqual([1, 2]);
+    expect(restricted.bySubject).toEqual({ 'MATH 101': [0], 'ENG 101': [1] });
+    expect(restricted.conflicts(restricted.courses[0].index, restricted.courses[1].index)).toBe(true);
+  });
+});
@@ -0,0 +1,318 @@
+import { DAY_CODES, MINUTES_PER_DAY, normalizeCourse, timeToMinutes } from './courseModel';
+
+/**
+ * A free stretch every campus day must keep, e.g. 45 minutes somewhere between 11:00 and 14:00.
+ * @typedef {object} LunchBreak
+ * @property {string} start - HH:mm, start of the window.
+ * @property {string} end - HH:mm, end of the window.
+ * @property {number} minutes - Free minutes needed in one stretch inside the window.
+ */
+
+/**
+ * One place where a schedule breaks the lunch break or the minimum transition time.
+ * @typedef {object} BreakViolation
+ * @property {'lunch-break'|'min-transition'} rule
+ * @property {string} day - Day code.
+ * @property {number} minutes - `lunch-break`: the longest free stretch left in the window.
+ *   `min-transition`: the time between the two classes.
+ * @property {import('../utils/parseRawData').Course[]} courses - `lunch-break`: the classes meeting in the window.
+ *   `min-transition`: the two classes, earlier first.
+ */
+
+/**
+ * How the student would rather attend classes on a day, keyed by day code, e.g. `{ S: 'online' }`.
+ * Days without an entry have no preference.
+ * @typedef {Object<string, 'online'|'face-to-face'>} ModalityPreferences
+ */
+
+/**
+ * Maps an HH:mm start time to a time-of-day bucket.
+ * @param {string|null} time
+ * @returns {'morning'|'afternoon'|'evening'|'any'}
+ */
+export function getTimeOfDayBucket(time) {
+  if (!time) return 'any';
+  const [h] = time.split(':').map(Number);
+  if (h < 12) return 'morning';
+  if (h < 17) return 'afternoon';
+  if (h >= 17) return 'evening';
+  return 'any';
+}
+
+/**
+ * Sums, for every course, the index of its best-ranked time-of-day bucket in `prefOrder`.
+ * Lower is better; 0 means every course starts in the most preferred bucket.
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @param {string[]} prefOrder - e.g. ['morning', 'afternoon', 'evening', 'any'].
+ * @returns {number}
+ */
+export function scoreScheduleByTimePreference(schedule, prefOrder) {
+  if (!Array.isArray(prefOrder) || prefOrder.length === 0) return 0;
+  let score = 0;
+  for (const entry of schedule) {
+    const { slots } = normalizeCourse(entry);
+    if (slots.length === 0) continue;
+    let bestIdx = prefOrder.length;
+    for (const slot of slots) {
+      const bucket = getTimeOfDayBucket(slot.startTime);
+      const idx = prefOrder.indexOf(bucket);
+      if (idx !== -1 && idx < bestIdx) bestIdx = idx;
+    }
+    score += bestIdx;
+  }
+  return score;
+}
+
+/**
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @returns {number} Total credited units, ignoring courses with non-numeric units.
+ */
+export function sumUnits(schedule) {
+  return schedule.reduce((sum, entry) => sum + normalizeCourse(entry).units, 0);
+}
+
+/**
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @param {number|string} maxUnits - Empty or 0 means no limit.
+ * @returns {boolean}
+ */
+export function exceedsMaxUnits(schedule, maxUnits) {
+  if (!maxUnits) return false;
+  return sumUnits(schedule) > parseFloat(maxUnits);
+}
+
+/**
+ * Checks whether any break between consecutive classes on the same day is longer than `maxGapHours`.
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @param {number|string} maxGapHours - Empty means no limit.
+ * @returns {boolean}
+ */
+export function exceedsMaxGap(schedule, maxGapHours) {
+  if (!maxGapHours) return false;
+  const maxGapMinutes = parseFloat(maxGapHours) * 60;
+  const slots = schedule.flatMap(entry => normalizeCourse(entry).slots).sort((a, b) => a.start - b.start);
+
+  for (let i = 1; i < slots.length; i++) {
+    if (slots[i].day !== slots[i - 1].day) continue;
+    if (slots[i].start - slots[i - 1].end > maxGapMinutes) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Measures each day with class: the total contact hours and the longest run of classes with no free time
+ * between them.
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @returns {Object<string, {totalHours: number, longestRunHours: number}>} Keyed by day code.
+ */
+export function measureDailyHours(schedule) {
+  const slots = schedule.flatMap(entry => normalizeCourse(entry).slots).sort((a, b) => a.start - b.start);
+  const days = {};
+  let runStart = 0;
+  let runEnd = 0;
+  for (let i = 0; i < slots.length; i++) {
+    const slot = slots[i];
+    if (i === 0 || slots[i - 1].day !== slot.day || slot.start > runEnd) {
+      runStart = slot.start;
+      runEnd = slot.end;
+    } else {
+      runEnd = Math.max(runEnd, slot.end);
+    }
+    const day = days[slot.day] || (days[slot.day] = { totalHours: 0, longestRunHours: 0 });
+    day.totalHours += (slot.end - slot.start) / 60;
+    day.longestRunHours = Math.max(day.longestRunHours, (runEnd - runStart) / 60);
+  }
+  return days;
+}
+
+/**
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @param {number|string} maxHoursPerDay - Empty or 0 means no limit.
+ * @returns {boolean} Whether any day has more contact hours than `maxHoursPerDay`.
+ */
+export function exceedsMaxHoursPerDay(schedule, maxHoursPerDay) {
+  if (!parseFloat(maxHoursPerDay)) return false;
+  return Object.values(measureDailyHours(schedule)).some(day => day.totalHours > parseFloat(maxHoursPerDay));
+}
+
+/**
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @param {number|string} maxConsecutiveHours - Empty or 0 means no limit.
+ * @returns {boolean} Whether any day has a run of back-to-back classes longer than `maxConsecutiveHours`.
+ */
+export function exceedsMaxConsecutiveHours(schedule, maxConsecutiveHours) {
+  if (!parseFloat(maxConsecutiveHours)) return false;
+  return Object.values(measureDailyHours(schedule)).some(day => day.longestRunHours > parseFloat(maxConsecutiveHours));
+}
+
+/**
+ * Sums the breaks between consecutive classes on the same day.
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @returns {number} Idle minutes across the week.
+ */
+export function totalGapMinutes(schedule) {
+  const slots = schedule.flatMap(entry => normalizeCourse(entry).slots).sort((a, b) => a.start - b.start);
+  let total = 0;
+  for (let i = 1; i < slots.length; i++) {
+    if (slots[i].day !== slots[i - 1].day) continue;
+    total += Math.max(0, slots[i].start - slots[i - 1].end);
+  }
+  return total;
+}
+
+/**
+ * Counts distinct days with at least one face-to-face slot. Slots whose room mentions "online" are ignored.
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @returns {number}
+ */
+export function countCampusDays(schedule) {
+  const campusDays = new Set();
+  for (const entry of schedule) {
+    for (const slot of normalizeCourse(entry).slots) {
+      if (!slot.isOnline) {
+        campusDays.add(slot.day);
+      }
+    }
+  }
+  return campusDays.size;
+}
+
+/**
+ * Keeps the entries of known days whose value is `online` or `face-to-face`.
+ * @param {Object<string, string>|null|undefined} preferences
+ * @returns {ModalityPreferences}
+ */
+export function normalizeModalityPreferences(preferences) {
+  const normalized = {};
+  for (const day of DAY_CODES) {
+    const preference = preferences?.[day];
+    if (preference === 'online' || preference === 'face-to-face') normalized[day] = preference;
+  }
+  return normalized;
+}
+
+/**
+ * Counts the class meetings taught differently from the preference of their day, e.g. a face-to-face
+ * Saturday class when Saturdays are preferred online.
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @param {ModalityPreferences} preferences - Normalized, see {@link normalizeModalityPreferences}.
+ * @returns {number}
+ */
+export function countModalityMismatches(schedule, preferences) {
+  let mismatches = 0;
+  for (const entry of schedule) {
+    for (const slot of normalizeCourse(entry).slots) {
+      const preference = preferences[slot.day];
+      if (preference && slot.isOnline !== (preference === 'online')) mismatches++;
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Averages, over the days with class, when the first class starts and the last one ends.
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @returns {{averageStartHour: number, averageEndHour: number}} Hours after midnight (8.5 is 8:30 AM);
+ *   both 0 when no course has a scheduled time.
+ */
+export function averageDayBounds(schedule) {
+  const days = new Map();
+  for (const entry of schedule) {
+    for (const slot of normalizeCourse(entry).slots) {
+      const dayOffset = DAY_CODES.indexOf(slot.day) * MINUTES_PER_DAY;
+      const start = slot.start - dayOffset;
+      const end = slot.end - dayOffset;
+      const bounds = days.get(slot.day);
+      if (!bounds) {
+        days.set(slot.day, { start, end });
+      } else {
+        bounds.start = Math.min(bounds.start, start);
+        bounds.end = Math.max(bounds.end, end);
+      }
+    }
+  }
+  if (days.size === 0) return { averageStartHour: 0, averageEndHour: 0 };
+  let startSum = 0;
+  let endSum = 0;
+  days.forEach(({ start, end }) => {
+    startSum += start;
+    endSum += end;
+  });
+  return { averageStartHour: startSum / days.size / 60, averageEndHour: endSum / days.size / 60 };
+}
+
+/**
+ * @param {Partial<LunchBreak>|null|undefined} lunchBreak
+ * @returns {LunchBreak|null} `null` when the break is off: no minutes, or a missing or empty window.
+ */
+export function normalizeLunchBreak(lunchBreak) {
+  const minutes = parseFloat(lunchBreak?.minutes);
+  if (!minutes || minutes <= 0 || !lunchBreak.start || !lunchBreak.end) return null;
+  // Times are zero-padded HH:mm, so string order is time order.
+  if (lunchBreak.start >= lunchBreak.end) return null;
+  return { start: lunchBreak.start, end: lunchBreak.end, minutes };
+}
+
+/**
+ * Lists the campus days without a long enough free stretch in the lunch window, and the consecutive
+ * classes on a day that start less than `minTransitionMinutes` after the previous one ends.
+ * Adding a class never fixes a violation, so a partial schedule that breaks a rule can be dropped.
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @param {object} rules
+ * @param {Partial<LunchBreak>|null} [rules.lunchBreak] - Applies to days with a face-to-face class.
+ * @param {number|string} [rules.minTransitionMinutes] - Empty or 0 means no minimum.
+ * @returns {BreakViolation[]} In day order.
+ */
+export function getBreakViolations(schedule, { lunchBreak, minTransitionMinutes } = {}) {
+  const lunch = normalizeLunchBreak(lunchBreak);
+  const minTransition = parseFloat(minTransitionMinutes) || 0;
+  if (!lunch && minTransition <= 0) return [];
+
+  const meetingsByDay = new Map();
+  for (const entry of schedule) {
+    const normalized = normalizeCourse(entry);
+    for (const slot of normalized.slots) {
+      if (!meetingsByDay.has(slot.day)) meetingsByDay.set(slot.day, []);
+      meetingsByDay.get(slot.day).push({ slot, course: normalized.course });
+    }
+  }
+
+  const violations = [];
+  for (const day of DAY_CODES) {
+    const meetings = (meetingsByDay.get(day) || []).sort((a, b) => a.slot.start - b.slot.start);
+    for (let i = 1; i < meetings.length && minTransition > 0; i++) {
+      const gap = meetings[i].slot.start - meetings[i - 1].slot.end;
+      if (gap >= 0 && gap < minTransition) {
+        violations.push({ rule: 'min-transition', day, minutes: gap, courses: [meetings[i - 1].course, meetings[i].course] });
+      }
+    }
+
+    if (!lunch || !meetings.some(({ slot }) => !slot.isOnline)) continue;
+    const dayOffset = DAY_CODES.indexOf(day) * MINUTES_PER_DAY;
+    const windowStart = dayOffset + timeToMinutes(lunch.start);
+    const windowEnd = dayOffset + timeToMinutes(lunch.end);
+    const inWindow = meetings.filter(({ slot }) => slot.start < windowEnd && slot.end > windowStart);
+    let longestFree = 0;
+    let freeFrom = windowStart;
+    for (const { slot } of inWindow) {
+      longestFree = Math.max(longestFree, slot.start - freeFrom);
+      freeFrom = Math.max(freeFrom, slot.end);
+    }
+    longestFree = Math.max(longestFree, windowEnd - freeFrom);
+    if (longestFree < lunch.minutes) {
+      violations.push({ rule: 'lunch-break', day, minutes: longestFree, courses: [...new Set(inWindow.map(({ course }) => course))] });
+    }
+  }
+  return violations;
+}
+
+/**
+ * @param {Array<import('../utils/parseRawData').Course|import('./courseModel').NormalizedCourse>} schedule
+ * @param {{lunchBreak?: Partial<LunchBreak>|null, minTransitionMinutes?: number|string}} rules
+ * @returns {boolean} Whether {@link getBreakViolations} finds anything.
+ */
+export function violatesBreakRules(schedule, rules) {
+  return getBreakViolations(schedule, rules).length > 0;
+}
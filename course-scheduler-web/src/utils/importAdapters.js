@@ -0,0 +1,388 @@
+import { addParsedCourse, COURSE_FIELDS, parseRawCourseData } from './parseRawData';
+import { parseSchedule } from './parseSchedule';
+
+/**
+ * Which column holds which course field in a delimited table from another school or a spreadsheet.
+ * @typedef {object} ColumnMapping
+ * @property {string} delimiter - Cell separator, one of {@link MAPPING_DELIMITERS}.
+ * @property {boolean} hasHeader - Whether the first row names the columns and should be skipped.
+ * @property {Object<string, number>} columns - 0-based column index per field of {@link COURSE_FIELDS};
+ *   `subject` and `schedule` are required, unmapped fields stay empty.
+ * @property {number} [columnCount] - How many columns the table had when the mapping was saved. A paste with
+ *   exactly this many columns is taken to be the same layout, unless it reads as an AIMS table.
+ * @property {string} [headerSignature] - With `hasHeader`, the header row the mapping was saved for, see
+ *   {@link getHeaderSignature}. A paste starting with the same header is taken to be the same layout.
+ */
+
+/**
+ * @typedef {object} ImportOptions
+ * @property {ColumnMapping|null} [columnMapping] - Used by the `mapping` adapter.
+ */
+
+/**
+ * Reads one import format into courses.
+ * @typedef {object} ImportAdapter
+ * @property {string} id
+ * @property {string} label - Shown in the format picker.
+ * @property {boolean} [requiresMapping=false] - Only usable once a {@link ColumnMapping} is set.
+ * @property {function(string, ImportOptions): number} detect - How sure the adapter is that it can read the
+ *   text, from 0 (cannot) to 1 (certain). Auto-detection picks the highest.
+ * @property {function(string, ImportOptions): import('./parseRawData').ParsedCourseData} parse
+ */
+
+/**
+ * Names of the course fields for the column-mapping wizard.
+ */
+export const COURSE_FIELD_LABELS = {
+  id: '# (ID)',
+  offeringDept: 'Department',
+  subject: 'Subject',
+  subjectTitle: 'Title',
+  creditedUnits: 'Units',
+  section: 'Section',
+  schedule: 'Schedule',
+  room: 'Room',
+  totalSlots: 'Total slots',
+  enrolled: 'Enrolled',
+  assessed: 'Assessed',
+  isClosed: 'Closed / status',
+};
+
+export const MAPPING_DELIMITERS = ['\t', ',', ';', '|'];
+
+/**
+ * Header names recognised per course field, lower case with everything but letters, digits and "#" removed.
+ */
+const FIELD_ALIASES = {
+  id: ['#', 'id', 'no', 'number'],
+  offeringDept: ['offeringdept', 'department', 'dept', 'college'],
+  subject: ['subject', 'subjectcode', 'course', 'coursecode', 'code'],
+  subjectTitle: ['subjecttitle', 'title', 'coursetitle', 'description', 'descriptivetitle'],
+  creditedUnits: ['creditedunits', 'units', 'unit', 'credits', 'creditunits'],
+  section: ['section', 'sec', 'group', 'class'],
+  schedule: ['schedule', 'sched', 'daystime', 'time'],
+  room: ['room', 'venue', 'location'],
+  totalSlots: ['totalslots', 'slots', 'capacity', 'limit'],
+  enrolled: ['enrolled', 'enrollment', 'enrolment'],
+  assessed: ['assessed'],
+  isClosed: ['isclosed', 'closed', 'status'],
+};
+
+const normalizeHeader = (name) => String(name).toLowerCase().replace(/[^a-z0-9#]/g, '');
+
+const findField = (name) => {
+  const normalized = normalizeHeader(name);
+  return COURSE_FIELDS.find(field => FIELD_ALIASES[field].includes(normalized)) || null;
+};
+
+/**
+ * Splits delimited text into rows of cells. Quoted cells may contain the delimiter, doubled quotes and line breaks.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {{line: number, cells: string[], raw: string}[]} Non-empty rows; `line` is 1-based.
+ */
+export function splitDelimitedRows(text, delimiter) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  let rowStart = 0;
+
+  const endRow = (end) => {
+    cells.push(cell);
+    if (cells.some(value => value.trim() !== '')) {
+      rows.push({ line: rowLine, cells: cells.map(value => value.trim()), raw: text.slice(rowStart, end).trim() });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      inQuotes = true;
+      cell = '';
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      endRow(i);
+      line++;
+      rowLine = line;
+      rowStart = i + 1;
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+  endRow(text.length);
+  return rows;
+}
+
+/**
+ * Reads a header row into a column mapping.
+ * @param {string[]} cells
+ * @returns {Object<string, number>|null} `null` unless both the subject and the schedule column are named.
+ */
+export function detectHeaderColumns(cells) {
+  const columns = {};
+  cells.forEach((cell, index) => {
+    const field = findField(cell);
+    if (field && columns[field] === undefined) columns[field] = index;
+  });
+  return columns.subject !== undefined && columns.schedule !== undefined ? columns : null;
+}
+
+/**
+ * Reduces a header row to a string that ignores case, spacing and punctuation, so the same table
+ * exported twice gives the same signature.
+ * @param {string[]} cells
+ * @returns {string}
+ */
+export function getHeaderSignature(cells) {
+  return cells.map(normalizeHeader).join('|');
+}
+
+const firstLine = (text) => text.split('\n').find(line => line.trim() !== '') || '';
+
+const guessDelimiter = (text) => {
+  const line = firstLine(text);
+  return (line.match(/;/g) || []).length > (line.match(/,/g) || []).length ? ';' : ',';
+};
+
+/**
+ * Checks a stored mapping, e.g. from localStorage.
+ * @param {*} mapping
+ * @returns {ColumnMapping|null} `null` unless the delimiter is known and `subject` and `schedule` are mapped.
+ *   An invalid `columnCount` is dropped, and so is `headerSignature` without `hasHeader`.
+ */
+export function normalizeColumnMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || !MAPPING_DELIMITERS.includes(mapping.delimiter)) return null;
+  const columns = {};
+  for (const field of COURSE_FIELDS) {
+    const index = mapping.columns?.[field];
+    if (Number.isInteger(index) && index >= 0) columns[field] = index;
+  }
+  if (columns.subject === undefined || columns.schedule === undefined) return null;
+  const normalized = { delimiter: mapping.delimiter, hasHeader: Boolean(mapping.hasHeader), columns };
+  if (Number.isInteger(mapping.columnCount) && mapping.columnCount > Math.max(...Object.values(columns))) {
+    normalized.columnCount = mapping.columnCount;
+  }
+  if (normalized.hasHeader && typeof mapping.headerSignature === 'string' && mapping.headerSignature) {
+    normalized.headerSignature = mapping.headerSignature;
+  }
+  return normalized;
+}
+
+/**
+ * A starting point for the column-mapping wizard: tabs when the text has them, the header row when one is
+ * recognised, otherwise the AIMS column order.
+ * @param {string} text
+ * @returns {ColumnMapping} `columns` may be missing required fields.
+ */
+export function suggestColumnMapping(text) {
+  const delimiter = firstLine(text).includes('\t') ? '\t' : guessDelimiter(text);
+  const [firstRow] = splitDelimitedRows(firstLine(text), delimiter);
+  const headerColumns = firstRow ? detectHeaderColumns(firstRow.cells) : null;
+  if (headerColumns) return { delimiter, hasHeader: true, columns: headerColumns };
+  const cellCount = firstRow ? firstRow.cells.length : 0;
+  const columns = {};
+  COURSE_FIELDS.slice(0, cellCount).forEach((field, index) => { columns[field] = index; });
+  return { delimiter, hasHeader: false, columns };
+}
+
+/**
+ * Turns delimited rows into courses with a column mapping.
+ * @param {{line: number, cells: string[], raw: string}[]} rows - Data rows only, without the header.
+ * @param {Object<string, number>} columns
+ * @returns {import('./parseRawData').ParsedCourseData}
+ */
+function readMappedRows(rows, columns) {
+  const result = { courses: [], issues: [] };
+  for (const row of rows) {
+    const values = {};
+    for (const [field, index] of Object.entries(columns)) {
+      values[field] = row.cells[index];
+    }
+    addParsedCourse(result, values, `generated-${Date.now()}-${row.line}`, row.line, row.raw);
+  }
+  return result;
+}
+
+// AIMS rows have 12 tab-separated columns, or 7 when a lab's second schedule wraps onto the next line;
+// either way the seventh holds the schedule. The first few lines are checked so a header row does not count.
+const readsAsAimsTable = (text) => text.split('\n').filter(line => line.trim() !== '').slice(0, 3).some(line => {
+  const cells = line.trim().split('\t');
+  return (cells.length === 12 || cells.length === 7) && Boolean(parseSchedule(cells[6].trim()));
+});
+
+const aimsAdapter = {
+  id: 'aims',
+  label: 'AIMS table (tab-separated)',
+  detect: (text) => {
+    const columnCount = firstLine(text).trim().split('\t').length;
+    return columnCount === 12 || columnCount === 7 ? 0.9 : 0;
+  },
+  parse: (text) => parseRawCourseData(text),
+};
+
+const csvAdapter = {
+  id: 'csv',
+  label: 'CSV',
+  detect: (text) => {
+    const line = firstLine(text);
+    if (line.includes('\t')) return 0;
+    const rows = splitDelimitedRows(line, guessDelimiter(text));
+    if (rows.length === 0 || rows[0].cells.length < 2) return 0;
+    return detectHeaderColumns(rows[0].cells) ? 0.8 : 0.6;
+  },
+  parse: (text) => {
+    const rows = splitDelimitedRows(text, guessDelimiter(text));
+    if (rows.length === 0) return { courses: [], issues: [] };
+    const headerColumns = detectHeaderColumns(rows[0].cells);
+    if (headerColumns) return readMappedRows(rows.slice(1), headerColumns);
+
+    // Without a header, expect the AIMS column order.
+    const aimsColumns = Object.fromEntries(COURSE_FIELDS.map((field, index) => [field, index]));
+    const result = readMappedRows(rows.filter(row => row.cells.length === COURSE_FIELDS.length), aimsColumns);
+    for (const row of rows.filter(row => row.cells.length !== COURSE_FIELDS.length)) {
+      result.issues.push({
+        kind: 'skipped',
+        line: row.line,
+        reason: `No header row found, so expected ${COURSE_FIELDS.length} columns in AIMS order, but found ${row.cells.length}`,
+        raw: row.raw,
+      });
+    }
+    result.issues.sort((a, b) => a.line - b.line);
+    return result;
+  },
+};
+
+const jsonAdapter = {
+  id: 'json',
+  label: 'JSON course list',
+  detect: (text) => {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) return 0;
+    try {
+      const parsed = JSON.parse(trimmed);
+      return Array.isArray(parsed) || Array.isArray(parsed?.courses) ? 1 : 0;
+    } catch {
+      return 0.3;
+    }
+  },
+  parse: (text) => {
+    const result = { courses: [], issues: [] };
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      result.issues.push({ kind: 'skipped', line: 1, reason: `Not valid JSON: ${error.message}`, raw: text.trim().slice(0, 200) });
+      return result;
+    }
+    const entries = Array.isArray(parsed) ? parsed : parsed?.courses;
+    if (!Array.isArray(entries)) {
+      result.issues.push({ kind: 'skipped', line: 1, reason: 'Expected an array of courses or an object with a "courses" array', raw: text.trim().slice(0, 200) });
+      return result;
+    }
+    entries.forEach((entry, index) => {
+      const raw = JSON.stringify(entry);
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        result.issues.push({ kind: 'skipped', line: index + 1, reason: 'Entry is not an object', raw });
+        return;
+      }
+      const values = {};
+      for (const [key, value] of Object.entries(entry)) {
+        const field = findField(key);
+        if (field && values[field] === undefined) values[field] = value;
+      }
+      addParsedCourse(result, values, `generated-${Date.now()}-${index}`, index + 1, raw);
+    });
+    return result;
+  },
+};
+
+const columnMappingAdapter = {
+  id: 'mapping',
+  label: 'My column mapping',
+  requiresMapping: true,
+  detect: (text, { columnMapping } = {}) => {
+    if (!columnMapping) return 0;
+    const rows = splitDelimitedRows(firstLine(text), columnMapping.delimiter);
+    if (rows.length === 0) return 0;
+    const { cells } = rows[0];
+    // The layout it was saved for goes ahead of the AIMS table: the same header row, or the same number of
+    // columns when the rows do not read as AIMS (e.g. an export with the schedule column moved).
+    if (columnMapping.headerSignature && getHeaderSignature(cells) === columnMapping.headerSignature) return 0.95;
+    if (cells.length === columnMapping.columnCount && !readsAsAimsTable(text)) return 0.95;
+    // Between headerless CSV and CSV with a header: a saved mapping is a better guess than AIMS order.
+    return cells.length >= Math.max(...Object.values(columnMapping.columns)) + 1 ? 0.7 : 0;
+  },
+  parse: (text, { columnMapping } = {}) => {
+    if (!columnMapping) {
+      return { courses: [], issues: [{ kind: 'skipped', line: 1, reason: 'No column mapping is set', raw: firstLine(text) }] };
+    }
+    const rows = splitDelimitedRows(text, columnMapping.delimiter);
+    return readMappedRows(columnMapping.hasHeader ? rows.slice(1) : rows, columnMapping.columns);
+  },
+};
+
+const adapters = [aimsAdapter, csvAdapter, jsonAdapter, columnMappingAdapter];
+
+/**
+ * Adds an adapter, or replaces the one with the same id.
+ * @param {ImportAdapter} adapter
+ */
+export function registerImportAdapter(adapter) {
+  const index = adapters.findIndex(existing => existing.id === adapter.id);
+  if (index === -1) adapters.push(adapter); else adapters[index] = adapter;
+}
+
+/**
+ * @returns {ImportAdapter[]} In registration order.
+ */
+export function getImportAdapters() {
+  return [...adapters];
+}
+
+/**
+ * Picks the adapter most sure it can read `text`, falling back to the AIMS table.
+ * @param {string} text
+ * @param {ImportOptions} [options]
+ * @returns {ImportAdapter}
+ */
+export function detectImportAdapter(text, options = {}) {
+  let best = aimsAdapter;
+  let bestConfidence = 0;
+  for (const adapter of adapters) {
+    const confidence = adapter.detect(text, options);
+    if (confidence > bestConfidence) {
+      best = adapter;
+      bestConfidence = confidence;
+    }
+  }
+  return best;
+}
+
+/**
+ * Reads pasted course data with the chosen adapter, or the detected one for `auto`.
+ * @param {string} text
+ * @param {ImportOptions & {adapterId?: string}} [options]
+ * @returns {import('./parseRawData').ParsedCourseData & {adapter: ImportAdapter}}
+ */
+export function parseCourseImport(text, { adapterId = 'auto', ...options } = {}) {
+  if (!text || typeof text !== 'string') return { courses: [], issues: [], adapter: aimsAdapter };
+  const adapter = adapters.find(candidate => candidate.id === adapterId) || detectImportAdapter(text, options);
+  return { ...adapter.parse(text, options), adapter };
+}
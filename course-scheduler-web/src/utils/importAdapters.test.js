@@ -0,0 +1,156 @@
+import { describe, expect, it } from 'vitest';
+import {
+  detectImportAdapter,
+  getHeaderSignature,
+  normalizeColumnMapping,
+  parseCourseImport,
+  splitDelimitedRows,
+  suggestColumnMapping,
+} from './importAdapters';
+
+const AIMS_ROW = ['1', 'CCS', 'IT 311', 'Networking', '3', 'G01', 'MW | 9:00AM-10:30AM', 'ACAD309', '40', '10', '0', 'No'].join('\t');
+
+describe('splitDelimitedRows', () => {
+  it('keeps delimiters, doubled quotes and line breaks inside quoted cells', () => {
+    const text = 'a,"b, c","say ""hi"""\n\n"multi\nline",d\n';
+    expect(splitDelimitedRows(text, ',')).toEqual([
+      { line: 1, cells: ['a', 'b, c', 'say "hi"'], raw: 'a,"b, c","say ""hi"""' },
+      { line: 3, cells: ['multi\nline', 'd'], raw: '"multi\nline",d' },
+    ]);
+  });
+});
+
+describe('detectImportAdapter', () => {
+  it('recognises AIMS tables, CSV and JSON', () => {
+    expect(detectImportAdapter(AIMS_ROW).id).toBe('aims');
+    expect(detectImportAdapter('Subject,Section,Schedule\nIT 311,G01,MW | 9:00AM-10:30AM').id).toBe('csv');
+    expect(detectImportAdapter('[{"subject": "IT 311"}]').id).toBe('json');
+    expect(detectImportAdapter('').id).toBe('aims');
+  });
+
+  it('prefers a saved column mapping over headerless CSV', () => {
+    const columnMapping = { delimiter: ',', hasHeader: false, columns: { subject: 0, section: 1, schedule: 2 } };
+    expect(detectImportAdapter('IT 311,G01,MW | 9:00AM-10:30AM', { columnMapping }).id).toBe('mapping');
+  });
+
+  it('prefers a same-width saved mapping over the AIMS table only when the rows do not read as AIMS', () => {
+    // An AIMS export with the schedule and room columns swapped.
+    const row = ['1', 'CCS', 'CS 101', 'Intro to Computing', '3', 'G01', 'ACAD309', 'MW | 9:00AM-10:30AM | ACAD309', '40', '10', '0', 'No'];
+    const columnMapping = {
+      delimiter: '\t',
+      hasHeader: false,
+      columns: { id: 0, offeringDept: 1, subject: 2, subjectTitle: 3, creditedUnits: 4, section: 5, room: 6, schedule: 7 },
+      columnCount: 12,
+    };
+    expect(detectImportAdapter(row.join('\t'), { columnMapping }).id).toBe('mapping');
+    expect(detectImportAdapter(row.join('\t'), { columnMapping: { ...columnMapping, columnCount: 13 } }).id).toBe('aims');
+    expect(detectImportAdapter(row.join('\t')).id).toBe('aims');
+  });
+
+  it('keeps detecting real AIMS pastes while a same-width mapping is saved', () => {
+    const columnMapping = {
+      delimiter: '\t',
+      hasHeader: false,
+      columns: { subject: 0, schedule: 1 },
+      columnCount: 12,
+    };
+    expect(detectImportAdapter(AIMS_ROW, { columnMapping }).id).toBe('aims');
+    expect(detectImportAdapter(AIMS_ROW.split('\t').slice(0, 7).join('\t'), { columnMapping: { ...columnMapping, columnCount: 7 } }).id)
+      .toBe('aims');
+  });
+
+  it('prefers a saved mapping over the AIMS table when the header row matches', () => {
+    const header = ['No.', 'Dept', 'Code', 'Title', 'Units', 'Sec', 'Days & Time', 'Room', 'Slots', 'Enrolled', 'Assessed', 'Closed'];
+    const text = [header.join('\t'), AIMS_ROW].join('\n');
+    const columnMapping = normalizeColumnMapping({
+      delimiter: '\t',
+      hasHeader: true,
+      columns: { subject: 2, schedule: 6 },
+      columnCount: 12,
+      headerSignature: getHeaderSignature(header.map(cell => cell.toUpperCase())),
+    });
+    expect(detectImportAdapter(text, { columnMapping }).id).toBe('mapping');
+    expect(detectImportAdapter(text, { columnMapping: { ...columnMapping, headerSignature: 'other' } }).id).toBe('aims');
+  });
+});
+
+describe('parseCourseImport', () => {
+  it('reads CSV columns by their header names', () => {
+    const csv = [
+      'Course Code;Descriptive Title;Units;Sec;Days/Time;Venue;Capacity;Status',
+      'IT 311;Networking;3;G01;MW | 9:00AM-10:30AM;ACAD309;40;Closed',
+    ].join('\n');
+    const { courses, issues, adapter } = parseCourseImport(csv);
+    expect(adapter.id).toBe('csv');
+    expect(issues).toEqual([]);
+    expect(courses).toEqual([expect.objectContaining({
+      subject: 'IT 311',
+      subjectTitle: 'Networking',
+      creditedUnits: 3,
+      section: 'G01',
+      schedule: 'MW | 9:00AM-10:30AM',
+      room: 'ACAD309',
+      totalSlots: 40,
+    })]);
+  });
+
+  it('keeps fractional units and reports units that are not a number', () => {
+    const csv = [
+      'Subject,Section,Units,Schedule,Slots',
+      'CHEM 101,G01,4.5,MW | 9:00AM-10:30AM | LAB1,30',
+      'PE 101,G01,n/a,F | 1:00PM-3:00PM | GYM,40',
+    ].join('\n');
+    const { courses, issues } = parseCourseImport(csv, { adapterId: 'csv' });
+    expect(courses.map(course => course.creditedUnits)).toEqual([4.5, 0]);
+    expect(courses[0].totalSlots).toBe(30);
+    expect(issues).toEqual([
+      expect.objectContaining({ kind: 'suspicious', courseIndex: 1, reason: 'Units "n/a" is not a number' }),
+    ]);
+  });
+
+  it('expects the AIMS column order in CSV without a header', () => {
+    const csv = [AIMS_ROW.replaceAll('\t', ','), 'IT 312,G01'].join('\n');
+    const { courses, issues } = parseCourseImport(csv, { adapterId: 'csv' });
+    expect(courses.map(course => course.subject)).toEqual(['IT 311']);
+    expect(issues).toEqual([expect.objectContaining({ kind: 'skipped', line: 2 })]);
+  });
+
+  it('reads a JSON course list and skips entries that are not objects', () => {
+    const json = JSON.stringify({ courses: [{ subject: 'IT 311', section: 'G01', schedule: 'TBA', units: 3 }, 'IT 312'] });
+    const { courses, issues } = parseCourseImport(json);
+    expect(courses).toEqual([expect.objectContaining({ subject: 'IT 311', section: 'G01', creditedUnits: 3 })]);
+    expect(issues).toEqual([{ kind: 'skipped', line: 2, reason: 'Entry is not an object', raw: '"IT 312"' }]);
+  });
+
+  it('reads mapped columns and skips the header row when asked', () => {
+    const columnMapping = { delimiter: '\t', hasHeader: true, columns: { subject: 1, schedule: 0, section: 2 } };
+    const text = 'When\tWhat\tWho\nMW | 9:00AM-10:30AM\tIT 311\tG01';
+    const { courses } = parseCourseImport(text, { adapterId: 'mapping', columnMapping });
+    expect(courses).toEqual([expect.objectContaining({ subject: 'IT 311', section: 'G01', schedule: 'MW | 9:00AM-10:30AM' })]);
+  });
+});
+
+describe('column mapping', () => {
+  it('suggests header columns, or the AIMS order without a header', () => {
+    expect(suggestColumnMapping('Subject;Schedule;Room\nIT 311;TBA;ACAD309')).toEqual({
+      delimiter: ';',
+      hasHeader: true,
+      columns: { subject: 0, schedule: 1, room: 2 },
+    });
+    expect(suggestColumnMapping('1\tCCS\tIT 311')).toEqual({
+      delimiter: '\t',
+      hasHeader: false,
+      columns: { id: 0, offeringDept: 1, subject: 2 },
+    });
+  });
+
+  it('accepts only stored mappings with a known delimiter and the required columns', () => {
+    expect(normalizeColumnMapping({ delimiter: '|', hasHeader: 1, columns: { subject: 0, schedule: 2, room: -1, section: 1.5, foo: 3 } }))
+      .toEqual({ delimiter: '|', hasHeader: true, columns: { subject: 0, schedule: 2 } });
+    expect(normalizeColumnMapping({ delimiter: ':', columns: { subject: 0, schedule: 1 } })).toBeNull();
+    expect(normalizeColumnMapping({ delimiter: ',', columns: { subject: 0 } })).toBeNull();
+    expect(normalizeColumnMapping('mapping')).toBeNull();
+    expect(normalizeColumnMapping({ delimiter: ',', hasHeader: false, headerSignature: 'subject|schedule', columns: { subject: 0, schedule: 1 } }))
+      .toEqual({ delimiter: ',', hasHeader: false, columns: { subject: 0, schedule: 1 } });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Fields a re-import refreshes on a course that is already in the list.
+ */
+export const AVAILABILITY_FIELDS = ['totalSlots', 'enrolled', 'assessed', 'isClosed'];
+
+/**
+ * @typedef {object} CourseUpdate
+ * @property {import('./parseRawData').Course} before
+ * @property {import('./parseRawData').Course} after
+ * @property {string[]} changedFields - Some of {@link AVAILABILITY_FIELDS}.
+ */
+
+/**
+ * What a re-import did, section by section.
+ * @typedef {object} MergeReport
+ * @property {import('./parseRawData').Course[]} added - Sections that were not in the list.
+ * @property {CourseUpdate[]} updated - Sections whose slot counts or status changed.
+ * @property {import('./parseRawData').Course[]} unchanged
+ * @property {import('./parseRawData').Course[]} removed - Unlocked sections of a re-imported subject that the
+ *   import no longer lists. They are taken out of the list.
+ * @property {import('./parseRawData').Course[]} keptLocked - Locked sections the import no longer lists. They stay.
+ * @property {number} duplicates - Sections (same subject and section) listed more than once in the import; only the
+ *   first counts.
+ */
+
+const sectionKey = (course) => `${course.subject}|${course.section}`;
+
+/**
+ * Merges freshly imported courses into the current list instead of appending them, so pasting the same
+ * table twice does not double every course. Courses match on subject and section, preferring the one with
+ * the same `id` when a section appears more than once. A match keeps everything, including `isLocked`,
+ * except the {@link AVAILABILITY_FIELDS}, which take the imported values.
+ *
+ * The import is treated as complete for the subjects it contains: their other sections are removed,
+ * unless locked. Subjects missing from the import are left alone, so importing one subject at a time works.
+ * @param {import('./parseRawData').Course[]} existing - The current list.
+ * @param {import('./parseRawData').Course[]} imported
+ * @returns {{courses: import('./parseRawData').Course[], report: MergeReport}} `courses` keeps the order of
+ *   `existing`, with new sections at the end.
+ */
+export function mergeImportedCourses(existing, imported) {
+  const report = { added: [], updated: [], unchanged: [], removed: [], keptLocked: [], duplicates: 0 };
+  const existingByKey = new Map();
+  existing.forEach((course, index) => {
+    const key = sectionKey(course);
+    if (!existingByKey.has(key)) existingByKey.set(key, []);
+    existingByKey.get(key).push(index);
+  });
+
+  const replacements = new Map();
+  const matchedIndexes = new Set();
+  const seen = new Set();
+  const added = [];
+
+  for (const course of imported) {
+    // Parsers give rows without an id a generated one, so only subject and section identify a repeat.
+    const key = sectionKey(course);
+    if (seen.has(key)) {
+      report.duplicates++;
+      continue;
+    }
+    seen.add(key);
+
+    const candidates = (existingByKey.get(sectionKey(course)) || []).filter(index => !matchedIndexes.has(index));
+    const matchIndex = candidates.find(index => existing[index].id === course.id) ?? candidates[0];
+    if (matchIndex === undefined) {
+      added.push(course);
+      report.added.push(course);
+      continue;
+    }
+
+    matchedIndexes.add(matchIndex);
+    const before = existing[matchIndex];
+    const changedFields = AVAILABILITY_FIELDS.filter(field => before[field] !== course[field]);
+    if (changedFields.length === 0) {
+      report.unchanged.push(before);
+      continue;
+    }
+    const after = { ...before };
+    changedFields.forEach(field => { after[field] = course[field]; });
+    replacements.set(matchIndex, after);
+    report.updated.push({ before, after, changedFields });
+  }
+
+  const importedSubjects = new Set(imported.map(course => course.subject));
+  const courses = [];
+  existing.forEach((course, index) => {
+    if (!matchedIndexes.has(index) && importedSubjects.has(course.subject)) {
+      if (!course.isLocked) {
+        report.removed.push(course);
+        return;
+      }
+      report.keptLocked.push(course);
+    }
+    courses.push(replacements.get(index) || course);
+  });
+
+  return { courses: [...courses, ...added], report };
+}
+
+/**
+ * How seat availability moved between the previous import and this one.
+ * @typedef {object} AvailabilityChanges
+ * @property {CourseUpdate[]} closed - Sections that closed since the last import.
+ * @property {CourseUpdate[]} reopened - Sections that were closed and are open again.
+ * @property {CourseUpdate[]} fillChanges - Sections whose enrolled count or slot total moved, biggest change in
+ *   fill rate first.
+ * @property {CourseUpdate[]} lockedClosed - The `closed` sections that are locked.
+ */
+
+/**
+ * Fraction of a section's slots that are taken, 0 when it has no slots.
+ * @param {import('./parseRawData').Course} course
+ * @returns {number}
+ */
+export const getFillRate = (course) => (course.totalSlots > 0 ? course.enrolled / course.totalSlots : 0);
+
+/**
+ * Picks the availability changes out of a re-import.
+ * @param {MergeReport} report - From {@link mergeImportedCourses}.
+ * @returns {AvailabilityChanges|null} `null` when no section's availability changed.
+ */
+export function summarizeAvailabilityChanges(report) {
+  const closed = report.updated.filter(({ before, after }) => !before.isClosed && after.isClosed);
+  const reopened = report.updated.filter(({ before, after }) => before.isClosed && !after.isClosed);
+  const fillChanges = report.updated
+    .filter(({ changedFields }) => changedFields.includes('enrolled') || changedFields.includes('totalSlots'))
+    .sort((a, b) => Math.abs(getFillRate(b.after) - getFillRate(b.before)) - Math.abs(getFillRate(a.after) - getFillRate(a.before)));
+  if (closed.length === 0 && reopened.length === 0 && fillChanges.length === 0) return null;
+  return { closed, reopened, fillChanges, lockedClosed: closed.filter(({ after }) => after.isLocked) };
+}
@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import { getFillRate, mergeImportedCourses, summarizeAvailabilityChanges } from './mergeImportedCourses';
+
+const makeCourse = (id, subject, section, extra = {}) => ({
+  id,
+  offeringDept: 'CCS',
+  subject,
+  subjectTitle: subject,
+  creditedUnits: 3,
+  section,
+  schedule: 'MW | 9:00AM-10:30AM',
+  room: 'ACAD309',
+  totalSlots: 40,
+  enrolled: 10,
+  assessed: 0,
+  isClosed: false,
+  isLocked: false,
+  ...extra,
+});
+
+describe('mergeImportedCourses', () => {
+  const existing = [
+    makeCourse('1', 'MATH 101', 'G01', { isLocked: true }),
+    makeCourse('2', 'MATH 101', 'G02'),
+    makeCourse('3', 'MATH 101', 'G03'),
+    makeCourse('4', 'MATH 101', 'G04', { isLocked: true }),
+    makeCourse('5', 'ENG 101', 'G01'),
+  ];
+
+  it('adds new sections, refreshes availability and keeps locks', () => {
+    const imported = [
+      makeCourse('1', 'MATH 101', 'G01', { enrolled: 40, isClosed: true }),
+      makeCourse('2', 'MATH 101', 'G02'),
+      makeCourse('6', 'MATH 101', 'G05'),
+    ];
+    const { courses, report } = mergeImportedCourses(existing, imported);
+
+    expect(report.added).toEqual([imported[2]]);
+    expect(report.updated).toEqual([{
+      before: existing[0],
+      after: { ...existing[0], enrolled: 40, isClosed: true },
+      changedFields: ['enrolled', 'isClosed'],
+    }]);
+    expect(report.unchanged).toEqual([existing[1]]);
+    expect(courses.map(course => course.id)).toEqual(['1', '2', '4', '5', '6']);
+    expect(courses[0].isLocked).toBe(true);
+  });
+
+  it('removes unlisted sections of re-imported subjects unless locked', () => {
+    const { courses, report } = mergeImportedCourses(existing, [makeCourse('2', 'MATH 101', 'G02')]);
+
+    expect(report.removed).toEqual([existing[2]]);
+    expect(report.keptLocked).toEqual([existing[0], existing[3]]);
+    expect(courses).toContain(existing[4]);
+  });
+
+  it('counts sections listed more than once and keeps the first', () => {
+    const imported = [
+      makeCourse('7', 'PE 101', 'G01'),
+      makeCourse('7', 'PE 101', 'G01', { enrolled: 39 }),
+    ];
+    const { courses, report } = mergeImportedCourses([], imported);
+
+    expect(report.duplicates).toBe(1);
+    expect(courses).toEqual([imported[0]]);
+  });
+
+  it('counts repeated sections whose ids were generated', () => {
+    const imported = [
+      makeCourse('generated-1-1', 'PE 101', 'G01'),
+      makeCourse('generated-1-2', 'PE 101', 'G01', { enrolled: 39 }),
+      makeCourse('generated-1-3', 'PE 101', 'G02'),
+    ];
+    const { courses, report } = mergeImportedCourses([makeCourse('9', 'PE 101', 'G01')], imported);
+
+    expect(report.duplicates).toBe(1);
+    expect(report.unchanged.map(course => course.id)).toEqual(['9']);
+    expect(report.added).toEqual([imported[2]]);
+    expect(courses.map(course => course.id)).toEqual(['9', 'generated-1-3']);
+  });
+});
+
+describe('summarizeAvailabilityChanges', () => {
+  const existing = [
+    makeCourse('1', 'MATH 101', 'G01', { isLocked: true }),
+    makeCourse('2', 'MATH 101', 'G02', { enrolled: 40, isClosed: true }),
+    makeCourse('3', 'MATH 101', 'G03'),
+    makeCourse('4', 'MATH 101', 'G04'),
+  ];
+
+  it('sorts closed, reopened and filling sections apart', () => {
+    const { report } = mergeImportedCourses(existing, [
+      makeCourse('1', 'MATH 101', 'G01', { enrolled: 40, isClosed: true }),
+      makeCourse('2', 'MATH 101', 'G02', { enrolled: 38, isClosed: false }),
+      makeCourse('3', 'MATH 101', 'G03', { enrolled: 30 }),
+      makeCourse('4', 'MATH 101', 'G04'),
+    ]);
+    const changes = summarizeAvailabilityChanges(report);
+
+    expect(changes.closed.map(({ after }) => after.id)).toEqual(['1']);
+    expect(changes.reopened.map(({ after }) => after.id)).toEqual(['2']);
+    expect(changes.fillChanges.map(({ after }) => after.id)).toEqual(['1', '3', '2']);
+    expect(changes.lockedClosed.map(({ after }) => after.id)).toEqual(['1']);
+  });
+
+  it('returns null when no availability changed', () => {
+    const { report } = mergeImportedCourses(existing, existing);
+    expect(summarizeAvailabilityChanges(report)).toBeNull();
+    expect(getFillRate(makeCourse('5', 'PE 101', 'G01', { totalSlots: 0 }))).toBe(0);
+  });
+});
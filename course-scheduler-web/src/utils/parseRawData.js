@@ -1,3 +1,5 @@
+import { parseSchedule } from './parseSchedule';
+
 /**
  * @typedef {object} Course
  * @property {string | number} id - Unique identifier from '#' column
@@ -16,19 +18,114 @@
  */
 
 /**
- * Parses raw tab-separated course data into an array of Course objects.
+ * Course fields in the order of CIT-U's 12-column AIMS table.
+ */
+export const COURSE_FIELDS = [
+    'id', 'offeringDept', 'subject', 'subjectTitle', 'creditedUnits', 'section',
+    'schedule', 'room', 'totalSlots', 'enrolled', 'assessed', 'isClosed',
+];
+
+/**
+ * A line the parser could not use, or a course it kept but that looks wrong.
+ * @typedef {object} ImportIssue
+ * @property {'skipped'|'suspicious'} kind - Skipped lines produced no course; suspicious courses were kept.
+ * @property {number} line - 1-based line number where the entry starts; for JSON imports, the 1-based position
+ *   in the array.
+ * @property {string} reason - Human readable, e.g. "Expected 12 or 7 columns, but found 5".
+ * @property {string} raw - The text of the entry, both lines joined by a newline for two-line entries.
+ * @property {number} [courseIndex] - Suspicious issues only: index of the course in `courses`.
+ */
+
+/**
+ * @typedef {object} ParsedCourseData
+ * @property {Course[]} courses
+ * @property {ImportIssue[]} issues - In line order.
+ */
+
+/**
+ * Lists what looks wrong with a parsed course: a schedule that is neither TBA nor parseable, units that are
+ * not a number, or zero units.
+ * @param {Course} course
+ * @param {Object<string, string|number|boolean|undefined>} values - What the course was built from.
+ * @returns {string[]}
+ */
+const findSuspiciousFields = (course, values) => {
+    const reasons = [];
+    const unitsText = String(values.creditedUnits ?? '').trim();
+    if (!parseSchedule(course.schedule)) reasons.push(`Schedule "${course.schedule}" could not be read`);
+    if (unitsText !== '' && isNaN(parseFloat(unitsText))) reasons.push(`Units "${unitsText}" is not a number`);
+    else if (course.creditedUnits === 0) reasons.push('Zero units');
+    return reasons;
+};
+
+/**
+ * Builds a Course from raw field values, as read from any import format.
+ * Units may be fractional (1.5); slot counts are whole numbers. Numbers that cannot be read become 0.
+ * `isClosed` accepts a boolean or "yes", "true" or "closed".
+ * @param {Object<string, string|number|boolean|undefined>} values - Keyed by {@link COURSE_FIELDS}.
+ * @param {string} fallbackId - Used when `values.id` is empty.
+ * @returns {Course}
+ */
+export const buildCourse = (values, fallbackId) => {
+    const text = (field) => String(values[field] ?? '').trim();
+    const count = (field) => parseInt(text(field), 10) || 0;
+    const units = parseFloat(text('creditedUnits'));
+    return {
+        id: text('id') || fallbackId,
+        offeringDept: text('offeringDept'),
+        subject: text('subject'),
+        subjectTitle: text('subjectTitle'),
+        creditedUnits: isNaN(units) ? 0 : units,
+        section: text('section'),
+        schedule: text('schedule'),
+        room: text('room'),
+        totalSlots: count('totalSlots'),
+        enrolled: count('enrolled'),
+        assessed: count('assessed'),
+        isClosed: typeof values.isClosed === 'boolean' ? values.isClosed : ['yes', 'true', 'closed'].includes(text('isClosed').toLowerCase()),
+        isLocked: false,
+    };
+};
+
+/**
+ * Builds a course (see {@link buildCourse}) and adds it to `result`, or records it as skipped when it has no
+ * subject or schedule. Courses that look wrong are added and recorded as suspicious.
+ * @param {ParsedCourseData} result
+ * @param {Object<string, string|number|boolean|undefined>} values - Keyed by {@link COURSE_FIELDS}.
+ * @param {string} fallbackId
+ * @param {number} line - See {@link ImportIssue}.
+ * @param {string} raw
+ */
+export const addParsedCourse = (result, values, fallbackId, line, raw) => {
+    const course = buildCourse(values, fallbackId);
+    if (!course.subject || !course.schedule) {
+        result.issues.push({ kind: 'skipped', line, reason: `Missing ${course.subject ? 'schedule' : 'subject'}`, raw });
+        return;
+    }
+    const suspicious = findSuspiciousFields(course, values);
+    if (suspicious.length > 0) {
+        result.issues.push({ kind: 'suspicious', line, reason: suspicious.join('; '), raw, courseIndex: result.courses.length });
+    }
+    result.courses.push(course);
+};
+
+/**
+ * Parses raw tab-separated course data into Course objects.
  * Handles data where course info might be on a single line (12 columns)
  * or split across two lines (7 columns followed by 5 or 6 columns).
+ * Lines that cannot be used are reported as `skipped` issues instead of being dropped silently.
  * @param {string} rawText - The raw string data pasted by the user.
- * @returns {Course[]} An array of parsed course objects.
+ * @returns {ParsedCourseData}
  */
 export const parseRawCourseData = (rawText) => {
     if (!rawText || typeof rawText !== 'string') {
-        return [];
+        return { courses: [], issues: [] };
     }
 
-    const lines = rawText.trim().split('\n');
-    const courses = [];
+    // Not trimmed as a whole, so line numbers match what the user pasted.
+    const lines = rawText.split('\n');
+    const result = { courses: [], issues: [] };
+    const skip = (line, reason, raw) => result.issues.push({ kind: 'skipped', line, reason, raw });
     const expectedColumnsSingleLine = 12;
     const expectedColumnsPart1 = 7;
 
@@ -36,6 +133,7 @@ export const parseRawCourseData = (rawText) => {
     while (i < lines.length) {
         const line1 = lines[i]?.trim();
         i++;
+        const startLine = i;
 
         if (!line1) {
             continue;
@@ -85,52 +183,36 @@ export const parseRawCourseData = (rawText) => {
                             }
                             i++;
                         } else {
-                            console.warn(`Skipping line ${i}: Found 7 columns, but the next line did not have the expected columns format. Line 1 content: "${line1}", Line 2 content: "${line2}"`);
+                            skip(startLine, `Found 7 columns, but the next line had ${columns2.length} instead of 5 or 6`, `${line1}\n${line2}`);
                             continue;
                         }
                     } else {
-                        console.warn(`Skipping line ${i}: Found 7 columns, but the next line was missing or empty. Line 1 content: "${line1}"`);
+                        skip(startLine, 'Found 7 columns, but the next line was empty', line1);
                         continue;
                     }
                 } else {
-                    console.warn(`Skipping line ${i}: Found 7 columns, but it was the last line in the input. Line 1 content: "${line1}"`);
+                    skip(startLine, 'Found 7 columns, but it was the last line', line1);
                     continue;
                 }
             }
             else {
-                console.warn(`Skipping line ${i}: Expected ${expectedColumnsSingleLine} or ${expectedColumnsPart1} columns, but found ${columns1.length}. Line content: "${line1}"`);
+                skip(startLine, `Expected ${expectedColumnsSingleLine} or ${expectedColumnsPart1} columns, but found ${columns1.length}`, line1);
                 continue;
             }
 
             if (courseDataColumns.length >= expectedColumnsSingleLine) {
-                const course = {
-                    id: courseDataColumns[0].trim() || `generated-${Date.now()}-${i}`,
-                    offeringDept: courseDataColumns[1].trim(),
-                    subject: courseDataColumns[2].trim(),
-                    subjectTitle: courseDataColumns[3].trim(),
-                    creditedUnits: parseInt(courseDataColumns[4].trim(), 10) || 0,
-                    section: courseDataColumns[5].trim(),
-                    schedule: courseDataColumns[6].trim(),
-                    room: courseDataColumns[7].trim(),
-                    totalSlots: parseInt(courseDataColumns[8].trim(), 10) || 0,
-                    enrolled: parseInt(courseDataColumns[9].trim(), 10) || 0,
-                    assessed: parseInt(courseDataColumns[10].trim(), 10) || 0,
-                    isClosed: courseDataColumns[11]?.trim().toLowerCase() === 'yes',
-                    isLocked: false,
-                };
-
-                if (!course.subject || !course.schedule) {
-                    console.warn(`Skipping entry starting around line ${i}: Missing essential data (Subject or Schedule). Combined data: "${courseDataColumns.join('\t')}"`);
-                    continue;
-                }
-
-                courses.push(course);
+                const values = Object.fromEntries(COURSE_FIELDS.map((field, index) => [field, courseDataColumns[index]]));
+                // AIMS only marks closed sections with "Yes".
+                values.isClosed = courseDataColumns[11]?.trim().toLowerCase() === 'yes';
+                const raw = lines.slice(startLine - 1, i).map(line => line.trim()).join('\n');
+                addParsedCourse(result, values, `generated-${Date.now()}-${i}`, startLine, raw);
             }
 
         } catch (error) {
-            console.error(`Error processing entry starting around line ${i}: "${line1}"`, error);
+            console.error(`Error processing entry starting around line ${startLine}: "${line1}"`, error);
+            skip(startLine, `Could not be read: ${error.message}`, line1);
         }
     }
 
-    return courses;
+    return result;
 };
\ No newline at end of file
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { parseRawCourseData } from './parseRawData';
+
+const row = (...columns) => columns.join('\t');
+
+describe('parseRawCourseData', () => {
+    it('parses single-line and two-line entries', () => {
+        const text = [
+            row('1', 'CCS', 'IT 311', 'Networking', '3', 'G01', 'MW | 9:00AM-10:30AM', 'ACAD309', '40', '10', '0', 'No'),
+            row('2', 'CCS', 'IT 311L', 'Networking Lab', '1', 'G01L', 'F | 1:00PM-4:00PM'),
+            row('NGE101', '30', '30', '0', 'Yes'),
+        ].join('\n');
+        const { courses, issues } = parseRawCourseData(text);
+
+        expect(issues).toEqual([]);
+        expect(courses.map(course => [course.id, course.subject, course.section, course.room, course.isClosed])).toEqual([
+            ['1', 'IT 311', 'G01', 'ACAD309', false],
+            ['2', 'IT 311L', 'G01L', 'NGE101', true],
+        ]);
+    });
+
+    it('reports skipped lines with their line number and reason', () => {
+        const text = [
+            '',
+            row('Header', 'only'),
+            row('1', 'CCS', 'IT 311', 'Networking', '3', 'G01', 'MW | 9:00AM-10:30AM'),
+        ].join('\n');
+        const { courses, issues } = parseRawCourseData(text);
+
+        expect(courses).toEqual([]);
+        expect(issues).toEqual([
+            { kind: 'skipped', line: 2, reason: 'Expected 12 or 7 columns, but found 2', raw: row('Header', 'only') },
+            { kind: 'skipped', line: 3, reason: 'Found 7 columns, but it was the last line', raw: text.split('\n')[2] },
+        ]);
+    });
+
+    it('keeps suspicious courses and points at them', () => {
+        const text = [
+            row('1', 'CCS', 'IT 311', 'Networking', '3', 'G01', 'MW | 9:00AM-10:30AM', 'ACAD309', '40', '10', '0', 'No'),
+            row('2', 'CCS', 'NSTP 1', 'NSTP', '0', 'G01', 'Sometime', 'FIELD', '40', '10', '0', 'No'),
+        ].join('\n');
+        const { courses, issues } = parseRawCourseData(text);
+
+        expect(courses).toHaveLength(2);
+        expect(issues).toEqual([{
+            kind: 'suspicious',
+            line: 2,
+            reason: 'Schedule "Sometime" could not be read; Zero units',
+            raw: text.split('\n')[1],
+            courseIndex: 1,
+        }]);
+    });
+
+    it('returns nothing for empty input', () => {
+        expect(parseRawCourseData('')).toEqual({ courses: [], issues: [] });
+        expect(parseRawCourseData(null)).toEqual({ courses: [], issues: [] });
+    });
+});
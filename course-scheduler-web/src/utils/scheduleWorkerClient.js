@@ -0,0 +1,80 @@
+/**
+ * @typedef {object} ScheduleRunOutcome
+ * @property {'done'|'cancelled'} status
+ * @property {import('../scheduler').ScheduleResult} [result] - Present when status is 'done'.
+ */
+
+/**
+ * Creates a main-thread client for the schedule search worker.
+ * Only one search runs at a time; starting a new one cancels the previous run.
+ * @returns {{run: function(object[], import('../scheduler').ScheduleConstraints, function=): Promise<ScheduleRunOutcome>, cancel: function(): void, dispose: function(): void}}
+ */
+export function createScheduleWorkerClient() {
+  let worker = null;
+  let nextRunId = 1;
+  let pending = null;
+
+  const settle = (outcome, isError = false) => {
+    if (!pending) return;
+    const { resolve, reject } = pending;
+    pending = null;
+    if (isError) reject(outcome);
+    else resolve(outcome);
+  };
+
+  const handleMessage = (event) => {
+    const { type, runId, progress, result, message } = event.data || {};
+    if (!pending || runId !== pending.runId) return;
+
+    if (type === 'progress') {
+      pending.onProgress?.(progress);
+    } else if (type === 'result') {
+      settle({ status: 'done', result });
+    } else if (type === 'cancelled') {
+      settle({ status: 'cancelled' });
+    } else if (type === 'error') {
+      settle(new Error(message || 'Schedule search failed'), true);
+    }
+  };
+
+  const ensureWorker = () => {
+    if (!worker) {
+      worker = new Worker(new URL('../workers/scheduleWorker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = handleMessage;
+      worker.onerror = (event) => {
+        console.error('Schedule worker error:', event);
+        settle(new Error(event.message || 'Schedule worker crashed'), true);
+        worker.terminate();
+        worker = null;
+      };
+    }
+    return worker;
+  };
+
+  const cancel = () => {
+    if (!pending || !worker) return;
+    worker.postMessage({ type: 'cancel', runId: pending.runId });
+  };
+
+  const run = (courses, constraints, onProgress) => {
+    if (pending) {
+      cancel();
+      settle({ status: 'cancelled' });
+    }
+    const runId = nextRunId++;
+    return new Promise((resolve, reject) => {
+      pending = { runId, resolve, reject, onProgress };
+      ensureWorker().postMessage({ type: 'generate', runId, courses, constraints });
+    });
+  };
+
+  const dispose = () => {
+    settle({ status: 'cancelled' });
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  };
+
+  return { run, cancel, dispose };
+}
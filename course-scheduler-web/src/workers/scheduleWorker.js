@@ -0,0 +1,74 @@
+import { createScheduleSearch } from '../scheduler';
+
+/**
+ * Web Worker running the schedule search strategies off the main thread.
+ *
+ * Incoming messages:
+ * - `{ type: 'generate', runId, courses, constraints }` starts a search (see `ScheduleConstraints`).
+ * - `{ type: 'cancel', runId }` stops the matching search at its next time slice.
+ *
+ * Outgoing messages (all tagged with `runId`):
+ * - `{ type: 'progress', progress }` with `{ nodesExplored, bestScore }`.
+ * - `{ type: 'result', result }` with a `ScheduleResult` (`{ schedules, diagnostics }`).
+ * - `{ type: 'cancelled' }` or `{ type: 'error', message }`.
+ */
+
+// How long the search runs before yielding to the event loop so cancel messages get through.
+const TIME_SLICE_MS = 50;
+
+let activeRun = null;
+
+function pump(run) {
+  if (run !== activeRun) return;
+  if (run.cancelled) {
+    activeRun = null;
+    self.postMessage({ type: 'cancelled', runId: run.runId });
+    return;
+  }
+
+  try {
+    const sliceEnd = performance.now() + TIME_SLICE_MS;
+    let lastProgress = null;
+    while (performance.now() < sliceEnd) {
+      const step = run.search.next();
+      if (step.done) {
+        activeRun = null;
+        self.postMessage({ type: 'result', runId: run.runId, result: step.value });
+        return;
+      }
+      lastProgress = step.value;
+    }
+    if (lastProgress) {
+      self.postMessage({ type: 'progress', runId: run.runId, progress: lastProgress });
+    }
+    setTimeout(() => pump(run), 0);
+  } catch (error) {
+    activeRun = null;
+    self.postMessage({ type: 'error', runId: run.runId, message: error.message });
+  }
+}
+
+self.onmessage = (event) => {
+  const { type, runId, courses, constraints } = event.data || {};
+
+  if (type === 'cancel') {
+    if (activeRun && activeRun.runId === runId) {
+      activeRun.cancelled = true;
+    }
+    return;
+  }
+
+  if (type === 'generate') {
+    if (activeRun) {
+      self.postMessage({ type: 'cancelled', runId: activeRun.runId });
+    }
+    try {
+      activeRun = { runId, search: createScheduleSearch(courses, constraints), cancelled: false };
+    } catch (error) {
+      activeRun = null;
+      self.postMessage({ type: 'error', runId, message: error.message });
+      return;
+    }
+    pump(activeRun);
+  }
+};